@@ -0,0 +1,60 @@
+const geometry = require('../utils/geometry.js');
+const { KartPhysics } = require('../utils/physics.js');
+
+// corners.js uses the browser globals set up by geometry.js and lineComparison.js
+Object.assign(global, geometry);
+global.timeByProgress = require('../utils/lineComparison.js').timeByProgress;
+const { detectCorners, findTrackCorners, analyzeCorners } = require('../utils/corners.js');
+const { roundedSquare } = require('./fixtures/tracks.js');
+
+describe('corners', () => {
+  const centerline = roundedSquare();
+  const trackData = { points: centerline, closed: true, metersPerPixel: 1 };
+
+  test('numbers one corner per bend and splits the whole lap between them', () => {
+    const corners = findTrackCorners(trackData);
+    expect(corners.map((c) => c.name)).toEqual(['T1', 'T2', 'T3', 'T4']);
+    // Angles grow clockwise on screen (y down), which turns right
+    corners.forEach((c) => expect(c.direction).toBe('right'));
+    const covered = corners.reduce((sum, c) => sum + (c.end - c.start), 0);
+    expect(covered).toBeCloseTo(geometry.trackLength(centerline, true));
+  });
+
+  test('a chicane is two corners and a slight kink is none', () => {
+    const line = [];
+    for (let i = 0; i <= 60; i++) line.push({ x: i * 2, y: 0 });
+    // S-bend: two opposite 20 m radius arcs of 60°
+    const s = [];
+    let x = 0;
+    let y = 0;
+    let heading = 0;
+    for (let i = 0; i < 90; i++) {
+      const turn = i >= 20 && i < 30 ? -0.1 : i >= 40 && i < 50 ? 0.1 : i === 70 ? 0.05 : 0;
+      heading += turn;
+      x += 2 * Math.cos(heading);
+      y += 2 * Math.sin(heading);
+      s.push({ x, y });
+    }
+    const corners = detectCorners(s);
+    expect(corners.map((c) => c.direction)).toEqual(['left', 'right']);
+    corners.forEach((c) => expect(c.minRadius).toBeCloseTo(20, -1));
+    expect(detectCorners(line)).toEqual([]);
+  });
+
+  test('analyzes turn-in, apex, exit and speeds for each corner of a line', () => {
+    const kart = new KartPhysics();
+    const nodes = centerline.map((p, i) => ({
+      radius: geometry.radiusOfCurvature(geometry.pointAt(centerline, i - 1, true), p, geometry.pointAt(centerline, i + 1, true)),
+      length: geometry.distance(p, geometry.pointAt(centerline, i + 1, true)),
+    }));
+    const lap = kart.simulateLap(nodes, true);
+    const corners = analyzeCorners(centerline, trackData, lap);
+    expect(corners).toHaveLength(4);
+    for (const c of corners) {
+      expect(c.minRadius).toBeCloseTo(10, 0);
+      expect(c.minSpeed).toBeLessThanOrEqual(c.entrySpeed);
+      expect(c.minSpeed).toBeLessThanOrEqual(c.exitSpeed);
+      expect(c.minSpeed).toBeCloseTo(Math.sqrt(kart.gripCoefficient * kart.gravity * 10), 0);
+    }
+  });
+});
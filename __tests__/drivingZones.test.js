@@ -0,0 +1,50 @@
+const geometry = require('../utils/geometry.js');
+const { KartPhysics } = require('../utils/physics.js');
+
+// drivingZones.js and corners.js use the browser globals set up by geometry.js and lineComparison.js
+Object.assign(global, geometry);
+global.timeByProgress = require('../utils/lineComparison.js').timeByProgress;
+const { analyzeCorners } = require('../utils/corners.js');
+const { classifyPhases, findDrivingZones, findBrakePoints } = require('../utils/drivingZones.js');
+const { roundedSquare } = require('./fixtures/tracks.js');
+
+describe('drivingZones', () => {
+  test('splits a lap into throttle, corner and brake zones', () => {
+    // 10 m segments: accelerate, hold, brake, hold
+    const speeds = [10, 14, 17, 17, 17, 12, 8, 8];
+    const distances = speeds.map((_, i) => i * 10);
+    const lonAccel = speeds.map((v, i) => (i < speeds.length - 1 ? (speeds[i + 1] ** 2 - v ** 2) / 20 : 0));
+    const lap = { speeds, distances, lonAccel, lapLength: 70 };
+
+    expect(classifyPhases(lap, 17).slice(0, 7)).toEqual(
+      ['throttle', 'throttle', 'throttle', 'throttle', 'brake', 'brake', 'corner']);
+    const zones = findDrivingZones(lap, false, 17);
+    expect(zones.map((z) => [z.phase, z.start, z.end])).toEqual([['throttle', 0, 4], ['brake', 4, 6], ['corner', 6, 7]]);
+    expect(zones[1]).toMatchObject({ startDistance: 40, endDistance: 60, entrySpeed: 17, exitSpeed: 8 });
+  });
+
+  test('finds a brake point with distance boards before every corner of a closed lap', () => {
+    const line = roundedSquare();
+    const trackData = { points: line, closed: true, metersPerPixel: 1 };
+    const kart = new KartPhysics();
+    const nodes = line.map((p, i) => ({
+      radius: geometry.radiusOfCurvature(geometry.pointAt(line, i - 1, true), p, geometry.pointAt(line, i + 1, true)),
+      length: geometry.distance(p, geometry.pointAt(line, i + 1, true)),
+    }));
+    const lap = kart.simulateLap(nodes, true);
+
+    // Zones cover the whole lap once, across the start line
+    const zones = findDrivingZones(lap, true, kart.topSpeed());
+    const covered = zones.reduce((sum, z) => sum + z.endDistance - z.startDistance, 0);
+    expect(covered).toBeCloseTo(lap.lapLength);
+
+    const brakes = findBrakePoints(line, lap, true, kart.topSpeed(), analyzeCorners(line, trackData, lap));
+    expect(brakes.map((b) => b.corner).sort()).toEqual(['T1', 'T2', 'T3', 'T4']);
+    for (const b of brakes) {
+      expect(b.speedFrom).toBeGreaterThan(b.speedTo);
+      expect(b.brakingDistance).toBeGreaterThan(0);
+      // Corner entries are a quarter lap (~76 m) apart: no room for the 100 m board
+      expect(b.boards.map((board) => board.distance)).toEqual([50, 25]);
+    }
+  });
+});
@@ -0,0 +1,74 @@
+const geometry = require('../utils/geometry.js');
+const { KartPhysics } = require('../utils/physics.js');
+
+// exporters.js uses the browser globals set up by geometry.js, heatmap.js, telemetry.js and gpsImport.js
+Object.assign(global, geometry);
+global.scaleColor = require('../utils/heatmap.js').scaleColor;
+const { buildTelemetry } = require('../utils/telemetry.js');
+const { projectLap, canvasToLatLon } = require('../utils/gpsImport.js');
+global.canvasToLatLon = canvasToLatLon;
+const { exportLines, exportSVG, exportCSV, exportGPX, exportKML } = require('../utils/exporters.js');
+
+describe('exporters', () => {
+  const square = [
+    { x: 100, y: 100 },
+    { x: 100, y: 200 },
+    { x: 200, y: 200 },
+    { x: 200, y: 100 },
+  ];
+  const track = { points: square, closed: true, trackWidth: 8, metersPerPixel: 0.5 };
+  const lap = new KartPhysics().simulateLap(
+    square.map((p, i) => ({ radius: 30, length: geometry.distance(p, geometry.pointAt(square, i + 1, true)) * 0.5 })),
+    true
+  );
+  const geoReference = { lat: 45.5, lon: 7.25, x: 150, y: 150, metersPerPixel: 0.5 };
+
+  test('canvas points map back to the latitude and longitude they were projected from', () => {
+    const samples = [{ lat: 45.5, lon: 7.25 }, { lat: 45.5012, lon: 7.2491 }, { lat: 45.4993, lon: 7.2517 }]
+      .map((s, i) => ({ ...s, time: i, speed: 10 }));
+    const { points, origin } = projectLap(samples, { lat: 45.5, lon: 7.25 });
+    points.forEach((p, i) => {
+      const canvas = { x: geoReference.x + p.x / geoReference.metersPerPixel, y: geoReference.y + p.y / geoReference.metersPerPixel };
+      const back = canvasToLatLon(canvas, { ...geoReference, ...origin });
+      expect(back.lat).toBeCloseTo(samples[i].lat, 7);
+      expect(back.lon).toBeCloseTo(samples[i].lon, 7);
+    });
+  });
+
+  test('SVG and CSV cover the centerline, edges and racing line', () => {
+    const lines = exportLines(track, square);
+    expect(lines.map(l => l.key)).toEqual(['centerline', 'left', 'right', 'racingLine']);
+    // 4 m either side at 0.5 m/px
+    expect(geometry.distance(lines[1].points[0], lines[2].points[0])).toBeCloseTo(16);
+
+    const svg = exportSVG(track, square, lap, 'Test & Track');
+    expect(svg).toContain('<svg');
+    expect(svg).toContain('Test &amp; Track');
+    // One coloured segment per racing line segment, closing segment included
+    expect(svg.match(/<line [^>]*stroke="rgb/g)).toHaveLength(4);
+
+    const rows = exportCSV(buildTelemetry(square, track, lap), lap, 0.5).trim().split('\n');
+    expect(rows[0]).toBe('distance_m,time_s,x_m,y_m,speed_mps,speed_kmh,lat_g,lon_g');
+    // Closed loops end back at the start after a full lap
+    expect(rows).toHaveLength(6);
+    expect(rows[1].split(',').slice(2, 4)).toEqual(['50.00', '50.00']);
+    expect(Number(rows[5].split(',')[0])).toBeCloseTo(lap.lapLength, 1);
+    expect(Number(rows[5].split(',')[1])).toBeCloseTo(lap.lapTime, 2);
+  });
+
+  test('GPX and KML place closed lines on the map and need a geographic reference', () => {
+    const gpx = exportGPX(track, square, geoReference, 'Home <track>');
+    expect(gpx.match(/<trk>/g)).toHaveLength(4);
+    expect(gpx).toContain('<name>Home &lt;track&gt;</name>');
+    // The first point is repeated to close the loop
+    const firstTrack = gpx.split('</trk>')[0];
+    expect(firstTrack.match(/<trkpt /g)).toHaveLength(5);
+
+    const kml = exportKML(track, null, geoReference);
+    expect(kml.match(/<Placemark>/g)).toHaveLength(3);
+    const start = canvasToLatLon(square[0], geoReference);
+    expect(kml).toContain(`${start.lon.toFixed(7)},${start.lat.toFixed(7)},0`);
+
+    expect(() => exportGPX(track, square, null)).toThrow(/geographic reference/);
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * Track fixtures shared by the test suites
+ */
+
+/**
+ * Closed rounded square: 60 m straights joined by 10 m radius corners, in meters
+ * Angles grow clockwise on screen (y down), so every corner turns right.
+ * @returns {Array} 88 centerline points {x, y}, about 1.6 m apart in the corners and 5 m on the straights
+ */
+function roundedSquare() {
+  const points = [];
+  const centers = [[70, 70], [10, 70], [10, 10], [70, 10]];
+  centers.forEach(([cx, cy], k) => {
+    for (let j = 0; j < 10; j++) {
+      const a = (k + j / 10) * (Math.PI / 2);
+      points.push({ x: cx + 10 * Math.cos(a), y: cy + 10 * Math.sin(a) });
+    }
+    // Straight from this corner's exit to the next corner's entry
+    const a = (k + 1) * (Math.PI / 2);
+    const [nx, ny] = centers[(k + 1) % 4];
+    for (let j = 0; j < 12; j++) {
+      const t = j / 12;
+      points.push({ x: cx + 10 * Math.cos(a) + (nx - cx) * t, y: cy + 10 * Math.sin(a) + (ny - cy) * t });
+    }
+  });
+  return points;
+}
+
+module.exports = {
+  roundedSquare
+};
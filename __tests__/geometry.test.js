@@ -1,7 +1,81 @@
-const { distance } = require('../utils/geometry.js');
+const {
+  distance,
+  trackLength,
+  trackSelfIntersects,
+  interpolate,
+  pointAt,
+  trackEdges,
+  projectOntoPolyline,
+} = require('../utils/geometry.js');
 
 test('distance between two points', () => {
   const a = { x: 0, y: 0 };
   const b = { x: 3, y: 4 };
   expect(distance(a, b)).toBeCloseTo(5);
 });
+
+describe('closed loops', () => {
+  const square = [
+    { x: 0, y: 0 },
+    { x: 10, y: 0 },
+    { x: 10, y: 10 },
+    { x: 0, y: 10 },
+  ];
+
+  test('trackLength includes the closing segment', () => {
+    expect(trackLength(square)).toBeCloseTo(30);
+    expect(trackLength(square, true)).toBeCloseTo(40);
+    expect(trackLength(square, true, 0.5)).toBeCloseTo(20);
+  });
+
+  test('pointAt wraps on closed loops and clamps on open lines', () => {
+    expect(pointAt(square, -1, true)).toBe(square[3]);
+    expect(pointAt(square, 4, true)).toBe(square[0]);
+    expect(pointAt(square, -1)).toBe(square[0]);
+    expect(pointAt(square, 4)).toBe(square[3]);
+  });
+
+  test('trackSelfIntersects checks the closing segment', () => {
+    const zigzag = [square[0], square[1], square[3], square[2]];
+    expect(trackSelfIntersects(square, true)).toBe(false);
+    expect(trackSelfIntersects(zigzag, false)).toBe(false);
+    expect(trackSelfIntersects(zigzag, true)).toBe(true);
+  });
+
+  test('interpolate wraps through the start without duplicating it', () => {
+    const smooth = interpolate(square, 4, true);
+    expect(smooth).toHaveLength(16);
+    expect(smooth[0]).toEqual(square[0]);
+  });
+});
+
+describe('track corridor', () => {
+  const straight = [
+    { x: 0, y: 0 },
+    { x: 10, y: 0 },
+    { x: 20, y: 0 },
+  ];
+
+  test('trackEdges offsets each side by half the width', () => {
+    const { left, right } = trackEdges(straight, 6);
+    expect(left).toHaveLength(3);
+    expect(left[1].y).toBeCloseTo(-3);
+    expect(right[1].y).toBeCloseTo(3);
+  });
+
+  test('trackEdges honours per-point widths', () => {
+    const widened = straight.map((p, i) => (i === 1 ? { ...p, widthLeft: 1, widthRight: 5 } : p));
+    const { left, right } = trackEdges(widened, 6);
+    expect(left[1].y).toBeCloseTo(-1);
+    expect(right[1].y).toBeCloseTo(5);
+    expect(right[0].y).toBeCloseTo(3);
+  });
+
+  test('projectOntoPolyline reports a signed lateral offset', () => {
+    const proj = projectOntoPolyline({ x: 12, y: 4 }, straight);
+    expect(proj.index).toBe(1);
+    expect(proj.t).toBeCloseTo(0.2);
+    expect(proj.offset).toBeCloseTo(4);
+    expect(projectOntoPolyline({ x: 5, y: -2 }, straight).offset).toBeCloseTo(-2);
+  });
+});
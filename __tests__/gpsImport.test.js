@@ -0,0 +1,131 @@
+const geometry = require('../utils/geometry.js');
+
+// gpsImport.js uses the browser globals set up by geometry.js
+Object.assign(global, geometry);
+const { parseLapCSV, parseLapGPX, parseLapFile, splitLaps, projectLap, buildCenterline } = require('../utils/gpsImport.js');
+
+describe('GPS lap import', () => {
+  test('reads logger CSV with metadata, a units row and km/h speeds', () => {
+    const csv = [
+      '"Format","AiM CSV File"',
+      '"Session","Practice 1"',
+      '',
+      '"Time","GPS Speed","GPS Latitude","GPS Longitude"',
+      '"s","km/h","deg","deg"',
+      '0.0,36.0,0,0',
+      '0.1,36.0,51.50000,-0.12000',
+      '0.2,72.0,51.50001,-0.12000',
+    ].join('\n');
+    const samples = parseLapCSV(csv);
+    // The 0,0 row (no fix yet) is dropped and times start at the first fix
+    expect(samples).toHaveLength(2);
+    expect(samples[0]).toMatchObject({ time: 0, lat: 51.5, lon: -0.12 });
+    expect(samples[1].time).toBeCloseTo(0.1);
+    expect(samples[1].speed).toBeCloseTo(20);
+  });
+
+  test('reads clock timestamps (h:mm:ss.s) as times from the first sample', () => {
+    const csv = [
+      'Timestamp;Latitude;Longitude;Speed (km/h)',
+      '12:31:04.20;51.50000;-0.12000;36',
+      '12:31:04.70;51.50001;-0.12000;36',
+      '12:31:05.20;51.50002;-0.12000;36',
+      '12:32:00;51.50003;-0.12000;36',
+    ].join('\n');
+    const samples = parseLapFile(csv, 'lap.csv');
+    expect(samples).toHaveLength(4);
+    expect(samples[1].time).toBeCloseTo(0.5);
+    expect(samples[2].time).toBeCloseTo(1);
+    expect(samples[3].time).toBeCloseTo(55.8);
+    // m:ss still works alongside
+    expect(parseLapCSV('time,lat,lon\n1:02.5,51.5,-0.12\n1:03.0,51.5,-0.12')[1].time).toBeCloseTo(0.5);
+  });
+
+  test('reads decimal commas in semicolon-separated files', () => {
+    const csv = [
+      'Time;Latitude;Longitude;Speed (km/h)',
+      '0,0;45,123456;7,654321;50,5',
+      '0,5;45,123556;7,654321;54',
+      '1,0;45,123656;7,654321;57,6',
+    ].join('\n');
+    const samples = parseLapCSV(csv);
+    expect(samples).toHaveLength(3);
+    expect(samples[0]).toMatchObject({ time: 0, lat: 45.123456, lon: 7.654321 });
+    expect(samples[0].speed).toBeCloseTo(50.5 / 3.6);
+    expect(samples[1].time).toBeCloseTo(0.5);
+    expect(samples[2].lat).toBeCloseTo(45.123656, 6);
+    expect(samples[2].speed).toBeCloseTo(16);
+  });
+
+  test('reads GPX track points and derives missing speeds', () => {
+    const gpx = `<?xml version="1.0"?>
+      <gpx version="1.1"><trk><trkseg>
+        <trkpt lat="45.000" lon="7.000"><time>2024-05-01T10:00:00Z</time></trkpt>
+        <trkpt lat="45.001" lon="7.000"><time>2024-05-01T10:00:10Z</time></trkpt>
+        <trkpt lon="7.000" lat="45.002"><time>2024-05-01T10:00:20Z</time></trkpt>
+      </trkseg></trk></gpx>`;
+    const samples = parseLapFile(gpx, 'lap.gpx');
+    expect(samples.map((s) => s.time)).toEqual([0, 10, 20]);
+    expect(samples.every((s) => s.speed === null)).toBe(true);
+
+    const lap = projectLap(samples);
+    // 0.001° of latitude ≈ 111.2 m, northwards is up (negative y)
+    expect(lap.points[2].y - lap.points[1].y).toBeCloseTo(-111.2, 0);
+    expect(lap.points[1].x).toBeCloseTo(0);
+    expect(lap.speeds[1]).toBeCloseTo(11.12, 1);
+  });
+
+  test('rejects files without positions', () => {
+    expect(() => parseLapCSV('time,speed,rpm\n0,1,2')).toThrow('No latitude/longitude columns found');
+    expect(() => parseLapGPX('<gpx></gpx>')).toThrow('No track points');
+  });
+
+  test('splits a multi-lap log into laps at the start/finish crossing', () => {
+    // 2.5 laps of a ~200 m circle at one sample per second, the second lap slower
+    const samples = [];
+    let time = 0;
+    for (let i = 0; i <= 100; i++) {
+      const a = (i / 40) * 2 * Math.PI;
+      samples.push({ time, lat: 45 + 0.0003 * Math.sin(a), lon: 7 + 0.0004 * (1 - Math.cos(a)), speed: null });
+      time += i >= 40 && i < 80 ? 1.5 : 1;
+    }
+    const laps = splitLaps(samples);
+    // The half lap after the last crossing is dropped
+    expect(laps).toHaveLength(2);
+    expect(laps[0]).toHaveLength(41);
+    expect(laps[0][0].time).toBe(0);
+    expect(laps[0][40].time).toBeCloseTo(40);
+    expect(laps[1][0]).toMatchObject({ time: 0, lat: samples[40].lat, lon: samples[40].lon });
+    expect(laps[1][40].time).toBeCloseTo(60);
+
+    // A single lap that never comes back stays whole
+    const open = samples.slice(0, 30);
+    expect(splitLaps(open)).toEqual([open]);
+  });
+
+  test('builds a closed, evenly spaced centerline from a lap that overruns its start', () => {
+    // 1.1 laps of a 50 m circle at 1 m samples with a little deterministic jitter
+    const trace = [];
+    for (let i = 0; i < 346; i++) {
+      const a = i / 50;
+      const r = 50 + 0.3 * Math.sin(i * 1.7);
+      trace.push({ x: r * Math.cos(a), y: r * Math.sin(a) });
+    }
+    const { points, closed } = buildCenterline(trace, 5);
+    expect(closed).toBe(true);
+    expect(points.length).toBeGreaterThan(55);
+    expect(points.length).toBeLessThan(70);
+    points.forEach((p) => expect(Math.hypot(p.x, p.y)).toBeCloseTo(50, 0));
+    for (let i = 0; i < points.length; i++) {
+      expect(geometry.distance(points[i], geometry.pointAt(points, i + 1, true))).toBeCloseTo(5, 0);
+    }
+  });
+
+  test('leaves a trace that does not come back open', () => {
+    const trace = Array.from({ length: 101 }, (_, i) => ({ x: i * 2, y: 0 }));
+    const { points, closed } = buildCenterline(trace, 5);
+    expect(closed).toBe(false);
+    expect(points[0]).toEqual({ x: 0, y: 0 });
+    expect(points[points.length - 1].x).toBeCloseTo(200);
+  });
+});
@@ -0,0 +1,34 @@
+// heatmap.js uses classifyPhases from drivingZones.js as a browser global
+global.classifyPhases = require('../utils/drivingZones.js').classifyPhases;
+const { scaleColor, heatmapValues, heatmapColor } = require('../utils/heatmap.js');
+
+describe('heatmap', () => {
+  // Accelerating out of a hairpin: slow at first, fast at the end of the straight
+  const lap = {
+    speeds: [8, 12, 15, 17, 18],
+    latAccel: [9.81, 4.9, 0, 0, 0],
+    lonAccel: [4, 3, 2, 1, 0]
+  };
+
+  test('interpolates colour scales between their stops and clamps outside them', () => {
+    expect(scaleColor(0)).toBe('rgb(255, 0, 0)');
+    expect(scaleColor(0.5)).toBe('rgb(255, 255, 0)');
+    expect(scaleColor(1)).toBe('rgb(0, 255, 0)');
+    expect(scaleColor(2, 'viridis')).toBe('rgb(253, 231, 37)');
+    expect(scaleColor(-1, 'unknown')).toBe('rgb(255, 0, 0)');
+  });
+
+  test('colours speed by the simulated profile from slowest to fastest', () => {
+    const heat = heatmapValues(lap, 'speed');
+    expect([heat.min, heat.max]).toEqual([8, 18]);
+    // The straight is still accelerating, so only its end is the top of the scale
+    expect(heatmapColor(heat, 0)).toBe('rgb(255, 0, 0)');
+    expect(heatmapColor(heat, 2)).not.toBe(heatmapColor(heat, 4));
+    expect(heatmapColor(heat, 4)).toBe('rgb(0, 255, 0)');
+
+    const latG = heatmapValues(lap, 'latG');
+    expect(latG.values[0]).toBeCloseTo(1);
+    expect(latG.min).toBe(0);
+    expect(heatmapValues(lap, 'phase', 18).values).toEqual(['throttle', 'throttle', 'throttle', 'throttle', 'throttle']);
+  });
+});
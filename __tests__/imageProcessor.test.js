@@ -0,0 +1,59 @@
+const ImageProcessor = require('../utils/imageProcessor.js');
+
+// Grey image: dark (40) where inside(x, y), light (230) elsewhere
+const image = (width, height, inside) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = inside(x, y) ? 40 : 230;
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width, height };
+};
+
+describe('ImageProcessor', () => {
+  test('Otsu threshold separates the two classes of a bimodal histogram', () => {
+    const histogram = new Array(256).fill(0);
+    histogram[50] = 300;
+    histogram[60] = 100;
+    histogram[200] = 500;
+    const threshold = ImageProcessor.otsuThreshold(histogram);
+    expect(threshold).toBeGreaterThanOrEqual(60);
+    expect(threshold).toBeLessThan(200);
+  });
+
+  test('traces a ring of asphalt along its middle as a closed loop with its width', () => {
+    // 10 px wide ring of radius 40, plus a speck that must be ignored
+    const ring = image(140, 120, (x, y) => {
+      const r = Math.hypot(x - 70, y - 60);
+      return (r >= 35 && r < 45) || (x > 5 && x < 9 && y > 5 && y < 9);
+    });
+    const track = new ImageProcessor(ring).extractTrack();
+    expect(track.closed).toBe(true);
+    expect(track.width).toBeCloseTo(10, -1);
+    for (const p of track.points) {
+      expect(Math.abs(Math.hypot(p.x - 70, p.y - 60) - 40)).toBeLessThan(1.5);
+    }
+  });
+
+  test('a light track on a dark background and an open bar are found too', () => {
+    const inverted = image(140, 120, (x, y) => Math.abs(Math.hypot(x - 70, y - 60) - 40) >= 5);
+    expect(new ImageProcessor(inverted).extractTrack().closed).toBe(true);
+
+    const bar = image(100, 60, (x, y) => x > 10 && x < 90 && y > 25 && y < 35);
+    const track = new ImageProcessor(bar).extractTrack();
+    expect(track.closed).toBe(false);
+    // Douglas-Peucker leaves a straight as its two ends
+    expect(track.points).toHaveLength(2);
+    expect(track.width).toBe(9);
+  });
+
+  test('Douglas-Peucker keeps the points further than the tolerance from the chord', () => {
+    const processor = new ImageProcessor(image(1, 1, () => false));
+    const points = [{ x: 0, y: 0 }, { x: 5, y: 1.8 }, { x: 10, y: 4 }, { x: 15, y: 2.2 }, { x: 20, y: 0 }];
+    expect(processor.simplifyPath(points, 1)).toEqual([points[0], points[2], points[4]]);
+    expect(processor.simplifyPath(points, 5)).toEqual([points[0], points[4]]);
+  });
+});
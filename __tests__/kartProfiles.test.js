@@ -0,0 +1,97 @@
+const { KartPhysics, ENGINE_PRESETS } = require('../utils/physics.js');
+
+// kartProfiles.js uses the browser globals set up by physics.js
+global.ENGINE_PRESETS = ENGINE_PRESETS;
+const {
+  getKartProfiles,
+  saveKartProfile,
+  deleteKartProfile,
+  applyKartProfile,
+  exportKartProfile,
+  parseKartProfile,
+} = require('../utils/kartProfiles.js');
+
+const memoryStorage = () => {
+  const items = {};
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = String(value);
+    },
+  };
+};
+
+describe('kart profiles', () => {
+  test('presets apply every parameter at once', () => {
+    const kart = new KartPhysics();
+    const kz = getKartProfiles(memoryStorage()).find((p) => p.id === 'kz');
+    applyKartProfile(kz, kart);
+    expect(kart.drivetrain).toBe('engine');
+    expect(kart.engine.name).toBe(ENGINE_PRESETS.kz125.name);
+    expect(kart.weightKg).toBe(175);
+    expect(kart.maxBraking).toBe(14);
+  });
+
+  test('custom profiles are stored, listed and deleted', () => {
+    const storage = memoryStorage();
+    const kart = new KartPhysics();
+    kart.updateParameters({ weight: 190, braking: 12 });
+    const saved = saveKartProfile('Club kart #7', kart.getParameters(), storage);
+    expect(saved.id).toBe('custom-club-kart-7');
+
+    const listed = getKartProfiles(storage).find((p) => p.id === saved.id);
+    expect(listed.builtIn).toBe(false);
+    expect(listed.params.weight).toBe(190);
+
+    // Saving under the same name replaces it; a name with the same slug gets its own id
+    expect(saveKartProfile('Club kart #7', { ...kart.getParameters(), weight: 185 }, storage).id).toBe(saved.id);
+    const other = saveKartProfile('club-kart-7', kart.getParameters(), storage);
+    expect(other.id).toBe('custom-club-kart-7-2');
+    expect(saveKartProfile('CLUB KART 7', kart.getParameters(), storage).id).toBe('custom-club-kart-7-3');
+    const custom = getKartProfiles(storage).filter((p) => !p.builtIn);
+    expect(custom.map((p) => p.name)).toEqual(['Club kart #7', 'club-kart-7', 'CLUB KART 7']);
+    expect(custom[0].params.weight).toBe(185);
+
+    expect(deleteKartProfile(saved.id, storage)).toBe(true);
+    expect(getKartProfiles(storage).some((p) => p.id === saved.id)).toBe(false);
+  });
+
+  test('exported profiles import back unchanged', () => {
+    const rotax = getKartProfiles(memoryStorage()).find((p) => p.id === 'rotaxMax');
+    const imported = parseKartProfile(exportKartProfile(rotax));
+    expect(imported.name).toBe(rotax.name);
+    expect(imported.params).toEqual(rotax.params);
+  });
+
+  test('malformed profiles are rejected', () => {
+    expect(() => parseKartProfile({ type: 'track' })).toThrow('Not a kart profile');
+    expect(() => parseKartProfile({ type: 'kartProfile', name: 'x', params: { weight: -5 } })).toThrow('weight');
+    expect(() => parseKartProfile({ type: 'kartProfile', name: 'x', params: { drivetrain: 'engine' } })).toThrow(
+      'no engine'
+    );
+  });
+
+  test('numbers given as strings are rejected', () => {
+    expect(() => parseKartProfile({ type: 'kartProfile', name: 'x', params: { weight: '12' } })).toThrow('weight');
+    const engine = { ...ENGINE_PRESETS.tag125, torqueCurve: [['6000', 14], [8000, 19]] };
+    expect(() => parseKartProfile({ type: 'kartProfile', name: 'x', params: { engine } })).toThrow('engine is incomplete');
+    const stringRpm = { ...ENGINE_PRESETS.tag125, maxRpm: '14000' };
+    expect(() => parseKartProfile({ type: 'kartProfile', name: 'x', params: { engine: stringRpm } })).toThrow(
+      'engine is incomplete'
+    );
+  });
+
+  test('torque curves must have strictly increasing rpm', () => {
+    const curveProfile = (torqueCurve) => ({
+      type: 'kartProfile',
+      name: 'x',
+      params: { engine: { ...ENGINE_PRESETS.tag125, torqueCurve } },
+    });
+    expect(() => parseKartProfile(curveProfile([[8000, 19], [6000, 14]]))).toThrow('strictly increasing rpm');
+    expect(() => parseKartProfile(curveProfile([[6000, 14], [6000, 19]]))).toThrow('strictly increasing rpm');
+    expect(parseKartProfile(curveProfile([[6000, 14], [8000, 19]])).params.engine.torqueCurve).toEqual([
+      [6000, 14],
+      [8000, 19],
+    ]);
+  });
+});
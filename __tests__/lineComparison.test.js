@@ -0,0 +1,46 @@
+const geometry = require('../utils/geometry.js');
+const { KartPhysics } = require('../utils/physics.js');
+
+// lineComparison.js uses the browser globals set up by geometry.js and corners.js
+Object.assign(global, geometry);
+global.findTrackCorners = require('../utils/corners.js').findTrackCorners;
+const { timeByProgress, compareLines } = require('../utils/lineComparison.js');
+const { roundedSquare } = require('./fixtures/tracks.js');
+
+const lapFor = (line, kart) => {
+  const nodes = line.map((p, i) => ({
+    radius: geometry.radiusOfCurvature(geometry.pointAt(line, i - 1, true), p, geometry.pointAt(line, i + 1, true)),
+    length: geometry.distance(p, geometry.pointAt(line, i + 1, true)),
+  }));
+  return kart.simulateLap(nodes, true);
+};
+
+describe('line comparison', () => {
+  const centerline = roundedSquare();
+  const trackData = { points: centerline, closed: true, metersPerPixel: 1 };
+
+  test('progress keeps increasing for a line that starts mid-lap', () => {
+    const shifted = centerline.slice(30).concat(centerline.slice(0, 30));
+    const timing = timeByProgress(shifted, lapFor(shifted, new KartPhysics()), trackData);
+    for (let i = 1; i < timing.progress.length; i++) {
+      expect(timing.progress[i]).toBeGreaterThanOrEqual(timing.progress[i - 1]);
+    }
+    expect(timing.progress[timing.progress.length - 1] - timing.progress[0]).toBeCloseTo(timing.length);
+  });
+
+  test('delta is zero against itself and sums to the lap difference', () => {
+    const kart = new KartPhysics();
+    const reference = { line: centerline, lap: lapFor(centerline, kart) };
+    const same = compareLines(reference, reference, trackData);
+    same.delta.forEach((d) => expect(d).toBeCloseTo(0));
+
+    const slower = new KartPhysics();
+    slower.updateParameters({ grip: 0.7 });
+    const current = { line: centerline, lap: lapFor(centerline, slower) };
+    const comparison = compareLines(reference, current, trackData);
+    expect(comparison.lapDelta).toBeGreaterThan(0);
+    expect(comparison.delta[comparison.delta.length - 1]).toBeCloseTo(comparison.lapDelta);
+    const cornerTotal = comparison.corners.reduce((sum, c) => sum + c.delta, 0);
+    expect(cornerTotal).toBeCloseTo(comparison.lapDelta);
+  });
+});
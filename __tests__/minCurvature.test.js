@@ -0,0 +1,72 @@
+const geometry = require('../utils/geometry.js');
+const { KartPhysics } = require('../utils/physics.js');
+
+// minCurvature.js and racingLine.js use the browser globals set up by geometry.js,
+// random.js and physics.js (the shared kart instance)
+Object.assign(global, geometry);
+Object.assign(global, require('../utils/random.js'));
+global.kart = new KartPhysics();
+Object.assign(global, require('../utils/racingLine.js'));
+const { buildStations, solveMinCurvature, refineLapTime, optimizeLineMinCurvature } = require('../utils/minCurvature.js');
+
+describe('minimum-curvature optimizer', () => {
+  const ring = (n, radius) => Array.from({ length: n }, (_, i) => ({
+    x: 200 + radius * Math.cos((i / n) * 2 * Math.PI),
+    y: 200 + radius * Math.sin((i / n) * 2 * Math.PI)
+  }));
+  // Closed track with bends both ways
+  const wiggly = {
+    points: Array.from({ length: 36 }, (_, i) => {
+      const a = (i / 36) * 2 * Math.PI;
+      const r = 120 + 30 * Math.sin(3 * a);
+      return { x: 200 + r * Math.cos(a), y: 200 + r * Math.sin(a) };
+    }),
+    closed: true,
+    trackWidth: 10,
+    metersPerPixel: 1
+  };
+
+  test('stations sample the centerline with the corridor as their offset range', () => {
+    const stations = buildStations({ points: ring(40, 100), closed: true, trackWidth: 10, metersPerPixel: 1 }, 80);
+    expect(stations).toHaveLength(80);
+    stations.forEach(st => {
+      expect(Math.hypot(st.nx, st.ny)).toBeCloseTo(1);
+      expect(st.minOffset).toBeCloseTo(-4.5);
+      expect(st.maxOffset).toBeCloseTo(4.5);
+    });
+    // Increasing distance along the track
+    stations.slice(1).forEach((st, i) => expect(st.s).toBeGreaterThan(stations[i].s));
+  });
+
+  test('a straight stays on the centerline and a constant-radius bend hugs the inside edge', () => {
+    const straight = Array.from({ length: 11 }, (_, i) => ({ x: 20 * i, y: 50 }));
+    const line = optimizeLineMinCurvature({ points: straight, closed: false, trackWidth: 8, metersPerPixel: 1 }, { maxStations: 50 });
+    line.forEach(p => expect(p.y).toBeCloseTo(50, 6));
+
+    // Concentric with the ring, 4.5 px (the usable half-width) inside it
+    const circle = optimizeLineMinCurvature({ points: ring(40, 100), closed: true, trackWidth: 10, metersPerPixel: 1 }, { maxStations: 80 });
+    circle.forEach(p => expect(Math.hypot(p.x - 200, p.y - 200)).toBeCloseTo(95.5, 1));
+  });
+
+  test('every offset stays within its corridor, before and after lap-time refinement', () => {
+    const stations = buildStations(wiggly, 60);
+    const offsets = solveMinCurvature(stations, true);
+    const refined = refineLapTime(stations, offsets, wiggly);
+    for (const result of [offsets, refined]) {
+      result.forEach((offset, i) => {
+        expect(offset).toBeGreaterThanOrEqual(stations[i].minOffset - 1e-9);
+        expect(offset).toBeLessThanOrEqual(stations[i].maxOffset + 1e-9);
+      });
+    }
+    // The corridor is used: some offsets sit on an edge
+    expect(offsets.some((offset, i) => Math.abs(offset - stations[i].minOffset) < 1e-9 || Math.abs(offset - stations[i].maxOffset) < 1e-9)).toBe(true);
+  });
+
+  test('runs are deterministic and the minimum-time line is no slower', () => {
+    const minCurvature = optimizeLineMinCurvature(wiggly, { maxStations: 60 });
+    const minTime = optimizeLineMinCurvature(wiggly, { maxStations: 60, refineLapTime: true });
+    expect(optimizeLineMinCurvature(wiggly, { maxStations: 60 })).toEqual(minCurvature);
+    expect(optimizeLineMinCurvature(wiggly, { maxStations: 60, refineLapTime: true })).toEqual(minTime);
+    expect(calculateLapTime(minTime, wiggly)).toBeLessThanOrEqual(calculateLapTime(minCurvature, wiggly));
+  });
+});
@@ -0,0 +1,88 @@
+const { KartPhysics, ENGINE_PRESETS } = require('../utils/physics.js');
+
+describe('simulateLap', () => {
+  const straight = (count, length) => Array.from({ length: count }, () => ({ radius: Infinity, length }));
+
+  test('open lines start from rest and accelerate at maxAcceleration', () => {
+    const kart = new KartPhysics();
+    kart.maxDrivingSpeed = 1000;
+    const lap = kart.simulateLap(straight(11, 10));
+    expect(lap.speeds[0]).toBe(0);
+    // v² = 2 a s over 100 m
+    expect(lap.speeds[10]).toBeCloseTo(Math.sqrt(2 * kart.maxAcceleration * 100));
+    expect(lap.lapLength).toBeCloseTo(100);
+  });
+
+  test('no longitudinal grip is left at the cornering limit', () => {
+    const kart = new KartPhysics();
+    const radius = 20;
+    const limit = Math.sqrt(kart.gripCoefficient * kart.gravity * radius);
+    expect(kart.availableLongitudinal(limit, radius, kart.maxBraking)).toBeCloseTo(0);
+    expect(kart.availableLongitudinal(0, radius, kart.maxBraking)).toBe(kart.maxBraking);
+  });
+
+  test('braking into a corner is limited by the friction ellipse', () => {
+    const kart = new KartPhysics();
+    kart.maxDrivingSpeed = 1000;
+    // Straight, then a constant-radius corner, then a hairpin
+    const nodes = [
+      ...straight(10, 5),
+      ...Array.from({ length: 10 }, () => ({ radius: 30, length: 5 })),
+      { radius: 5, length: 5 },
+      ...straight(5, 5),
+    ];
+    const lap = kart.simulateLap(nodes, true);
+    lap.speeds.forEach((v, i) => expect(v).toBeLessThanOrEqual(kart.maxCornerSpeed(nodes[i].radius) + 1e-9));
+    // Braking in the 30 m corner gets less than the straight-line v² = v_next² + 2 b s
+    for (const i of [17, 18]) {
+      expect(lap.speeds[i]).toBeLessThan(Math.sqrt(lap.speeds[i + 1] ** 2 + 2 * kart.maxBraking * 5));
+    }
+    expect(lap.lapTime).toBeGreaterThan(0);
+  });
+
+  test('a flying lap uses the full straight-line limits on straights', () => {
+    const kart = new KartPhysics();
+    kart.maxDrivingSpeed = 1000;
+    // A 5 m radius hairpin closing a 100 m straight
+    const lap = kart.simulateLap([{ radius: 5, length: 5 }, ...straight(20, 5)], true);
+    const hairpin = kart.maxCornerSpeed(5);
+    expect(lap.speeds[0]).toBeCloseTo(hairpin);
+    // Full acceleration out of the hairpin, full braking into it, whichever is slower
+    for (let k = 1; k <= 20; k++) {
+      const accelerating = Math.sqrt(hairpin ** 2 + 2 * kart.maxAcceleration * 5 * (k - 1));
+      const braking = Math.sqrt(hairpin ** 2 + 2 * kart.maxBraking * 5 * (20 - k));
+      expect(lap.speeds[k]).toBeCloseTo(Math.min(accelerating, braking), 6);
+    }
+  });
+});
+
+describe('engine drivetrain', () => {
+  const engineKart = () => {
+    const kart = new KartPhysics();
+    kart.updateParameters({ drivetrain: 'engine', engine: ENGINE_PRESETS.tag125, weight: 165 });
+    return kart;
+  };
+
+  test('acceleration falls off toward top speed', () => {
+    const kart = engineKart();
+    const low = kart.driveAcceleration(30 / 3.6, Infinity);
+    const nearTop = kart.driveAcceleration(kart.topSpeed() * 0.95, Infinity);
+    expect(low).toBeGreaterThan(nearTop);
+    expect(kart.driveAcceleration(kart.topSpeed() * 1.01, Infinity)).toBeLessThan(0);
+  });
+
+  test('a heavier kart accelerates less', () => {
+    const light = engineKart();
+    const heavy = engineKart();
+    heavy.updateParameters({ weight: 220 });
+    expect(heavy.driveAcceleration(15, Infinity)).toBeLessThan(light.driveAcceleration(15, Infinity));
+  });
+
+  test('getParameters round-trips through updateParameters', () => {
+    const kart = engineKart();
+    const copy = new KartPhysics();
+    copy.updateParameters(kart.getParameters());
+    expect(copy.getParameters()).toEqual(kart.getParameters());
+    expect(copy.topSpeed()).toBeCloseTo(kart.topSpeed());
+  });
+});
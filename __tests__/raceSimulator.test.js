@@ -0,0 +1,42 @@
+const geometry = require('../utils/geometry.js');
+const { KartPhysics } = require('../utils/physics.js');
+
+// script.js uses the browser globals set up by the utils scripts, and hooks
+// itself up to the page when loaded
+Object.assign(global, geometry);
+Object.assign(global, require('../utils/random.js'));
+global.kart = new KartPhysics();
+Object.assign(global, require('../utils/racingLine.js'));
+global.document = { addEventListener() {}, createElement: () => ({}), head: { appendChild() {} } };
+global.window = { addEventListener() {} };
+const { RaceSimulator } = require('../script.js');
+
+describe('race simulator', () => {
+  const square = [
+    { x: 0, y: 0 },
+    { x: 0, y: 100 },
+    { x: 100, y: 100 },
+    { x: 100, y: 0 },
+  ];
+  const simulatorFor = (closedLoop) => {
+    const simulator = new RaceSimulator({ racingLine: square, closedLoop, metersPerPixel: 1 });
+    simulator.updateProfile();
+    return simulator;
+  };
+
+  test('a closed loop runs its closing segment back to the start at the lap boundary', () => {
+    const simulator = simulatorFor(true);
+    expect(simulator.totalLength).toBeCloseTo(400);
+    expect(simulator.getPositionData(350)).toMatchObject({ x: 50, y: 0, idx: 3 });
+    const end = simulator.getPositionData(simulator.totalLength);
+    expect(end.x).toBeCloseTo(0);
+    expect(end.y).toBeCloseTo(0);
+    expect(end.idx).toBe(3);
+  });
+
+  test('an open line stops on its last point', () => {
+    const simulator = simulatorFor(false);
+    expect(simulator.totalLength).toBeCloseTo(300);
+    expect(simulator.getPositionData(simulator.totalLength)).toMatchObject({ x: 100, y: 0, idx: 3 });
+  });
+});
@@ -0,0 +1,62 @@
+const geometry = require('../utils/geometry.js');
+const { KartPhysics } = require('../utils/physics.js');
+
+// racingLine.js uses the browser globals set up by geometry.js, random.js and physics.js
+Object.assign(global, geometry);
+Object.assign(global, require('../utils/random.js'));
+global.kart = new KartPhysics();
+const { initialHeuristicLine, optimizeLine, clampToTrackBounds, isPointInTrackBounds } = require('../utils/racingLine.js');
+
+describe('seeded annealing optimizer', () => {
+  // Interpolated like an editor track, so the perturbations have room to pay off
+  const points = geometry.interpolate(Array.from({ length: 24 }, (_, i) => {
+    const a = (i / 24) * 2 * Math.PI;
+    const r = 120 + 30 * Math.sin(2 * a);
+    return { x: 200 + r * Math.cos(a), y: 200 + r * Math.sin(a) };
+  }), 4, true);
+  const trackData = { points, closed: true, trackWidth: 12, metersPerPixel: 1 };
+  trackData.boundaries = geometry.trackEdges(points, 12, true, 1);
+  const initial = initialHeuristicLine(points, trackData);
+
+  test('the same seed gives the same line and another seed a different one', () => {
+    const a = optimizeLine(initial, trackData, 40, 1234);
+    const b = optimizeLine(initial, trackData, 40, 1234);
+    const c = optimizeLine(initial, trackData, 40, 99);
+    expect(b).toEqual(a);
+    expect(c).not.toEqual(a);
+    // The input line is left untouched
+    expect(initialHeuristicLine(points, trackData)).toEqual(initial);
+  });
+});
+
+describe('corridor clamping', () => {
+  // Open L: east along y=0, then a sharp turn north at (100, 0)
+  const points = [
+    { x: 0, y: 0 },
+    { x: 50, y: 0 },
+    { x: 100, y: 0 },
+    { x: 100, y: -50 },
+    { x: 100, y: -100 },
+  ];
+  const trackData = { points, closed: false, trackWidth: 10, metersPerPixel: 1 };
+  trackData.boundaries = geometry.trackEdges(points, 10, false, 1);
+
+  test('keeps points inside and moves the others onto the edge, one for one', () => {
+    const line = [
+      { x: 0, y: 2 },
+      { x: 50, y: 20 },
+      // Past the corner on the inside and the outside: these project backwards
+      { x: 90, y: -20 },
+      { x: 112, y: 8 },
+      { x: 103, y: -50 },
+      { x: 100, y: -100 },
+    ];
+    const clamped = clampToTrackBounds(line, trackData);
+    expect(clamped).toHaveLength(line.length);
+    expect(clamped[0]).toEqual(line[0]);
+    expect(clamped[1].x).toBeCloseTo(50);
+    expect(clamped[1].y).toBeCloseTo(5);
+    expect(clamped[4]).toEqual(line[4]);
+    clamped.forEach(p => expect(isPointInTrackBounds(p, trackData)).toBe(true));
+  });
+});
@@ -0,0 +1,25 @@
+const { createRandom } = require('../utils/random.js');
+
+describe('createRandom', () => {
+  test('the same seed repeats the same sequence', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    for (let i = 0; i < 100; i++) expect(a()).toBe(b());
+  });
+
+  test('different seeds give different sequences', () => {
+    const a = createRandom(1);
+    const b = createRandom(2);
+    const same = Array.from({ length: 10 }, () => a() === b());
+    expect(same.every(Boolean)).toBe(false);
+  });
+
+  test('values lie in [0, 1)', () => {
+    const random = createRandom(7);
+    for (let i = 0; i < 1000; i++) {
+      const v = random();
+      expect(v).toBeGreaterThanOrEqual(0);
+      expect(v).toBeLessThan(1);
+    }
+  });
+});
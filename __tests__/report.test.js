@@ -0,0 +1,65 @@
+// report.js uses escapeXML from exporters.js
+global.escapeXML = require('../utils/exporters.js').escapeXML;
+const { speedTraceSVG, kartSetupRows, buildDriverReport } = require('../utils/report.js');
+
+describe('driver report', () => {
+  const format = {
+    speed: (ms) => (ms * 3.6).toFixed(0),
+    speedUnit: 'km/h',
+    distance: (m) => m.toFixed(1) + ' m',
+    lapTime: (s) => s.toFixed(3)
+  };
+  const telemetry = { distance: [0, 50, 100, 150, 200], speed: [20, 12, 18, 10, 20] };
+  const corners = [
+    { name: 'T1', direction: 'left', apex: { index: 1 }, minRadius: 12, minSpeed: 12, entrySpeed: 15, exitSpeed: 14 },
+    { name: 'T2', direction: 'right', apex: { index: 3 }, minRadius: 8, minSpeed: 10, entrySpeed: 13, exitSpeed: 12 }
+  ];
+  const kart = { weight: 180, acceleration: 8, braking: 10, maxSpeed: 70, grip: 1, drivetrain: 'simple', engine: {} };
+
+  test('the speed trace plots every sample and marks each corner apex', () => {
+    const svg = speedTraceSVG(telemetry, corners, format);
+    const trace = svg.match(/<polyline points="([^"]*)"/)[1].split(' ');
+    expect(trace).toHaveLength(5);
+    // Full lap spans the chart: first and last samples at the axis ends, top speed at the top
+    expect(trace[0]).toBe('40.0,18.0');
+    expect(trace[4]).toBe('690.0,18.0');
+    expect(svg).toContain('>T1</text>');
+    expect(svg).toContain('>T2</text>');
+    expect(svg).toContain('>72</text>');
+  });
+
+  test('the report lists corners with their brake points, the kart setup and the lap time', () => {
+    const brakes = [{ corner: 'T2', brakingDistance: 22.5, boards: [{ distance: 50 }, { distance: 25 }] }];
+    const html = buildDriverReport({
+      title: 'Club <Night> Race',
+      lapTime: 41.234,
+      lapLength: 200,
+      trackMap: '<?xml version="1.0" encoding="UTF-8"?>\n<svg id="map"></svg>',
+      corners,
+      brakes,
+      telemetry,
+      kart,
+      topSpeed: 70 / 3.6
+    }, format);
+
+    expect(html).toContain('<title>Club &lt;Night&gt; Race - Driver Briefing</title>');
+    expect(html).toContain('41.234');
+    expect(html).toContain('@page');
+    expect(html).toContain('<svg id="map"></svg>');
+    expect(html).not.toContain('<?xml');
+    const rows = html.match(/<tr>\s*<td><b>T\d<\/b>[\s\S]*?<\/tr>/g);
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toContain('Lift / none');
+    expect(rows[1]).toContain('22.5 m');
+    // Trackside boards stay metric whatever the display units
+    expect(rows[1]).toContain('<td>50, 25</td>');
+    expect(html).toContain('<tr><th>Top speed</th><td>70 km/h</td></tr>');
+  });
+
+  test('engine karts list the engine and gearing instead of a flat acceleration', () => {
+    const engine = { name: 'Shifter', maxRpm: 14000, gearRatios: [10, 8, 6.5, 5.5, 4.8, 4.3] };
+    const labels = kartSetupRows({ ...kart, drivetrain: 'engine', engine }, 30, format);
+    expect(labels).toContainEqual(['Engine', 'Shifter, 6 gears']);
+    expect(labels.map(([label]) => label)).not.toContain('Max acceleration');
+  });
+});
@@ -0,0 +1,63 @@
+const { KartPhysics, ENGINE_PRESETS } = require('../utils/physics.js');
+
+// shareLink.js validates with trackSchema.js, which uses the kartProfiles.js and physics.js globals
+global.ENGINE_PRESETS = ENGINE_PRESETS;
+global.PROFILE_FILE_TYPE = 'kartProfile';
+global.parseKartProfile = require('../utils/kartProfiles.js').parseKartProfile;
+Object.assign(global, require('../utils/trackSchema.js'));
+const { SHARE_HASH_PREFIX, encodeShareLink, decodeShareLink } = require('../utils/shareLink.js');
+
+describe('share links', () => {
+  const trackPoints = Array.from({ length: 200 }, (_, i) => {
+    const a = (i / 200) * 2 * Math.PI;
+    return { x: 400 + 300 * Math.cos(a), y: 300 + 200 * Math.sin(a) };
+  });
+  const kart = new KartPhysics();
+  kart.updateParameters({ grip: 1.25, weight: 165 });
+  const track = {
+    type: 'kartTrack',
+    version: 2,
+    metadata: { name: 'Oval – night', description: '', created: '2024-05-01T10:00:00.000Z', modified: '2024-05-01T10:00:00.000Z' },
+    units: 'imperial',
+    trackPoints,
+    closed: true,
+    trackWidth: 7,
+    metersPerPixel: 0.4,
+    racingLine: trackPoints.map(p => ({ x: p.x * 0.98 + 8, y: p.y * 0.98 + 6 })),
+    optimizer: { algorithm: 'minCurvature', seed: 42, iterations: 30 },
+    kart: kart.getParameters(),
+    geoReference: null,
+    background: null
+  };
+
+  test('a link restores the track, kart and racing line to within 0.1 px', async () => {
+    const hash = await encodeShareLink(track);
+    expect(hash.startsWith(SHARE_HASH_PREFIX)).toBe(true);
+    expect(hash).toMatch(/^#track=[A-Za-z0-9_-]+$/);
+    // Compressed well below the plain JSON
+    expect(hash.length).toBeLessThan(JSON.stringify(track).length / 2);
+
+    const shared = await decodeShareLink(hash);
+    expect(shared.metadata.name).toBe('Oval – night');
+    expect(shared.units).toBe('imperial');
+    expect(shared.kart).toEqual(kart.getParameters());
+    expect(shared.optimizer).toEqual(track.optimizer);
+    expect(shared.trackPoints).toHaveLength(200);
+    shared.trackPoints.forEach((p, i) => {
+      expect(Math.abs(p.x - trackPoints[i].x)).toBeLessThanOrEqual(0.05 + 1e-9);
+      expect(Math.abs(p.y - trackPoints[i].y)).toBeLessThanOrEqual(0.05 + 1e-9);
+    });
+    expect(shared.racingLine).toHaveLength(200);
+  });
+
+  test('the racing line can be left out, and damaged links are rejected', async () => {
+    const hash = await encodeShareLink(track, false);
+    expect((await decodeShareLink(hash)).racingLine).toBeNull();
+    expect(hash.length).toBeLessThan((await encodeShareLink(track)).length);
+
+    await expect(decodeShareLink(hash.slice(0, hash.length / 2))).rejects.toThrow(/damaged or incomplete/);
+    await expect(decodeShareLink('#other=1')).rejects.toThrow(/Not a track link/);
+    const invalid = await encodeShareLink({ ...track, trackWidth: -1 });
+    await expect(decodeShareLink(invalid)).rejects.toThrow(/trackWidth must be positive/);
+  });
+});
@@ -0,0 +1,55 @@
+const { curvature, pointAt } = require('../utils/geometry.js');
+const { KartPhysics } = require('../utils/physics.js');
+
+// telemetry.js uses the browser globals set up by geometry.js
+global.curvature = curvature;
+global.pointAt = pointAt;
+const { buildTelemetry, sampleTelemetry } = require('../utils/telemetry.js');
+
+describe('telemetry', () => {
+  // Counter-clockwise on screen (y down): every corner turns left
+  const square = [
+    { x: 0, y: 0 },
+    { x: 0, y: 100 },
+    { x: 100, y: 100 },
+    { x: 100, y: 0 },
+  ];
+  const lapFor = (line, closed) => {
+    const kart = new KartPhysics();
+    const nodes = line.map((p, i) => ({
+      radius: 50,
+      length: closed || i < line.length - 1 ? Math.hypot(pointAt(line, i + 1, closed).x - p.x, pointAt(line, i + 1, closed).y - p.y) : 0,
+    }));
+    return kart.simulateLap(nodes, closed);
+  };
+
+  test('closed loops get a closing sample spanning the whole lap', () => {
+    const trackData = { closed: true, metersPerPixel: 0.5 };
+    const lap = lapFor(square, true);
+    const telemetry = buildTelemetry(square, trackData, lap);
+    expect(telemetry.distance).toHaveLength(5);
+    expect(telemetry.distance[4]).toBeCloseTo(lap.lapLength);
+    expect(telemetry.speed[4]).toBe(telemetry.speed[0]);
+    expect(telemetry.points[4]).toEqual(square[0]);
+  });
+
+  test('left turns have positive curvature and lateral g, scaled to meters', () => {
+    const telemetry = buildTelemetry(square, { closed: true, metersPerPixel: 0.5 }, lapFor(square, true));
+    const expected = curvature(square[3], square[0], square[1]) / 0.5;
+    telemetry.curvature.forEach((k) => expect(k).toBeCloseTo(expected));
+    telemetry.latG.forEach((g) => expect(g).toBeGreaterThanOrEqual(0));
+
+    const mirrored = square.map((p) => ({ x: -p.x, y: p.y }));
+    const right = buildTelemetry(mirrored, { closed: true, metersPerPixel: 0.5 }, lapFor(mirrored, true));
+    right.curvature.forEach((k) => expect(k).toBeCloseTo(-expected));
+  });
+
+  test('sampleTelemetry interpolates position and channels', () => {
+    const telemetry = buildTelemetry(square, { closed: false }, lapFor(square, false));
+    const halfway = telemetry.distance[1] / 2;
+    const sample = sampleTelemetry(telemetry, halfway);
+    expect(sample.x).toBeCloseTo(0);
+    expect(sample.y).toBeCloseTo(50);
+    expect(sample.speed).toBeCloseTo((telemetry.speed[0] + telemetry.speed[1]) / 2);
+  });
+});
@@ -0,0 +1,59 @@
+const geometry = require('../utils/geometry.js');
+
+// trackLibrary.js uses the browser globals set up by geometry.js and exporters.js
+Object.assign(global, geometry);
+Object.assign(global, require('../utils/exporters.js'));
+const { parseTags, uniqueTrackName, createLibraryRecord, searchLibrary } = require('../utils/trackLibrary.js');
+
+describe('track library', () => {
+  const track = {
+    type: 'kartTrack',
+    version: 2,
+    metadata: { name: 'Old name', description: '', created: '2024-01-01T00:00:00.000Z', modified: '2024-01-01T00:00:00.000Z' },
+    trackPoints: [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 80 }],
+    closed: true,
+    trackWidth: 6,
+    metersPerPixel: 0.5,
+    racingLine: null
+  };
+
+  test('entries carry the name into the track file and keep their id and creation date when replaced', () => {
+    const record = createLibraryRecord(track, { name: '  Lonato  ', tags: ['outdoor'] });
+    expect(record.id).toMatch(/^track-/);
+    expect(record.name).toBe('Lonato');
+    expect(record.track.metadata.name).toBe('Lonato');
+    expect(track.metadata.name).toBe('Old name');
+    expect(record.thumbnail).toMatch(/^data:image\/svg\+xml/);
+    expect(decodeURIComponent(record.thumbnail)).toContain('<svg');
+
+    const updated = createLibraryRecord(track, { id: record.id, name: 'Lonato', created: record.created });
+    expect(updated.id).toBe(record.id);
+    expect(updated.created).toBe(record.created);
+    // Without a name the file's own name is used
+    expect(createLibraryRecord(track).name).toBe('Old name');
+    expect(createLibraryRecord({ ...track, trackPoints: [] }).thumbnail).toBeNull();
+  });
+
+  test('names are kept unique and tags are normalised', () => {
+    expect(uniqueTrackName('Lonato', ['Adria'])).toBe('Lonato');
+    expect(uniqueTrackName('Lonato', ['lonato', 'Lonato (2)'])).toBe('Lonato (3)');
+    expect(parseTags(' Indoor, club  wet,indoor ')).toEqual(['indoor', 'club', 'wet']);
+    expect(parseTags('')).toEqual([]);
+  });
+
+  test('search matches word starts in names and tags; #tag matches tags only', () => {
+    const records = [
+      { name: 'South Garda Karting', tags: ['outdoor', 'fia'] },
+      { name: 'Indoor Arena', tags: ['indoor', 'rental'] },
+      { name: 'Club track', tags: ['outdoor', 'club'] }
+    ];
+    const names = (query) => searchLibrary(records, query).map(r => r.name);
+    expect(names('')).toHaveLength(3);
+    expect(names('gar')).toEqual(['South Garda Karting']);
+    expect(names('outdoor club')).toEqual(['Club track']);
+    expect(names('indoor')).toEqual(['Indoor Arena']);
+    expect(names('#club')).toEqual(['Club track']);
+    expect(names('#arena')).toEqual([]);
+    expect(names('ena')).toEqual([]);
+  });
+});
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const { KartPhysics, ENGINE_PRESETS } = require('../utils/physics.js');
+
+// trackSchema.js validates the kart with kartProfiles.js, which uses physics.js globals
+global.ENGINE_PRESETS = ENGINE_PRESETS;
+global.PROFILE_FILE_TYPE = 'kartProfile';
+global.parseKartProfile = require('../utils/kartProfiles.js').parseKartProfile;
+const { TRACK_FILE_VERSION, migrateTrack, validateTrack, parseTrackFile } = require('../utils/trackSchema.js');
+
+const examples = path.join(__dirname, '../assets/example_tracks');
+
+describe('track schema', () => {
+  test('migrates the unversioned example tracks to the current version', () => {
+    for (const file of fs.readdirSync(examples).filter((f) => f.endsWith('.json'))) {
+      const raw = JSON.parse(fs.readFileSync(path.join(examples, file), 'utf8'));
+      const track = parseTrackFile(raw);
+      expect(track.version).toBe(TRACK_FILE_VERSION);
+      expect(track.metadata.name).toBe(raw.name);
+      expect(track.metadata.created).toBe(raw.timestamp);
+      expect(track).toMatchObject({ units: 'metric', trackWidth: 6, metersPerPixel: 1, kart: null });
+      expect(track.trackPoints).toEqual(raw.trackPoints);
+    }
+  });
+
+  test('migrates files saved before versioning with their optimizer run and scale', () => {
+    const track = parseTrackFile(JSON.stringify({
+      trackPoints: [{ x: 0, y: 0 }, { x: 10, y: 0, widthLeft: 4 }, { x: 10, y: 10 }],
+      racingLine: null,
+      closed: true,
+      trackWidth: 8,
+      metersPerPixel: 0.5,
+      optimizer: { algorithm: 'minTime', seed: 7, iterations: 30 },
+      geoReference: null,
+      timestamp: '2024-05-01T10:00:00.000Z',
+    }));
+    expect(track).toMatchObject({ closed: true, trackWidth: 8, metersPerPixel: 0.5, optimizer: { seed: 7 } });
+    expect(track.trackPoints[1].widthLeft).toBe(4);
+  });
+
+  test('keeps a saved kart and rejects malformed files with every problem listed', () => {
+    const kart = new KartPhysics();
+    kart.updateParameters({ weight: 190 });
+    const valid = migrateTrack({ trackPoints: [], closed: false });
+    valid.kart = kart.getParameters();
+    expect(validateTrack(valid)).toEqual([]);
+    expect(parseTrackFile(valid).kart.weight).toBe(190);
+
+    const broken = {
+      ...valid,
+      units: 'furlongs',
+      trackPoints: [{ x: 0, y: 0 }, { x: 'a', y: 1 }, null],
+      trackWidth: -2,
+      optimizer: { algorithm: 'guess', seed: 1, iterations: 0 },
+      kart: { weight: -1 },
+    };
+    expect(validateTrack(broken)).toEqual([
+      'units must be "metric" or "imperial"',
+      'trackPoints[1].x must be a number',
+      'trackPoints[2] must be a point {x, y}',
+      'trackWidth must be positive',
+      'optimizer.algorithm must be one of annealing, minCurvature, minTime',
+      'optimizer.iterations must be a positive integer',
+      'kart: Kart profile parameter "weight" must be a positive number',
+    ]);
+    expect(() => parseTrackFile(broken)).toThrow(/Invalid track file:\n- units/);
+    expect(() => parseTrackFile({ ...valid, version: TRACK_FILE_VERSION + 1 })).toThrow(/newer/);
+    expect(() => parseTrackFile('[1, 2]')).toThrow(/JSON object/);
+  });
+});
@@ -0,0 +1,73 @@
+const geometry = require('../utils/geometry.js');
+const { ENGINE_PRESETS } = require('../utils/physics.js');
+
+// uiHelpers.js uses the browser globals set up by geometry.js and trackSchema.js
+// (which validates the kart with kartProfiles.js)
+Object.assign(global, geometry);
+global.ENGINE_PRESETS = ENGINE_PRESETS;
+global.PROFILE_FILE_TYPE = 'kartProfile';
+global.parseKartProfile = require('../utils/kartProfiles.js').parseKartProfile;
+Object.assign(global, require('../utils/trackSchema.js'));
+const { CanvasManager } = require('../utils/uiHelpers.js');
+
+describe('canvas manager background', () => {
+  // The file and background methods without a canvas: drawing and history are no-ops
+  const createManager = () => {
+    const manager = Object.create(CanvasManager.prototype);
+    Object.assign(manager, {
+      scale: 1,
+      panX: 0,
+      panY: 0,
+      displayWidth: 800,
+      displayHeight: 600,
+      trackPoints: [],
+      racingLine: null,
+      closedLoop: false,
+      trackWidth: 6,
+      metersPerPixel: 1,
+      optimizerRun: null,
+      geoReference: null,
+      background: null,
+      pendingBackground: null,
+      trackMetadata: { name: '', description: '', created: null },
+    });
+    manager.render = () => {};
+    manager.saveToHistory = () => {};
+    return manager;
+  };
+  const image = { width: 1000, height: 500 };
+  const placement = { x: 320, y: 240, scale: 0.75, rotation: 12, opacity: 0.3 };
+
+  test('a saved track restores the background placement once its image is loaded again', () => {
+    const original = createManager();
+    original.trackPoints = [
+      { x: 0, y: 0 },
+      { x: 100, y: 0 },
+      { x: 100, y: 100 },
+    ];
+    original.setBackground(image, 'circuit.png', placement);
+    const file = JSON.parse(JSON.stringify(original.saveTrackJSON()));
+    expect(file.background).toEqual({ source: 'circuit.png', ...placement });
+
+    const loaded = createManager();
+    loaded.loadTrackJSON(file);
+    // No image yet: the placement waits, and is saved again unchanged
+    expect(loaded.background).toBeNull();
+    expect(loaded.pendingBackground).toEqual({ source: 'circuit.png', ...placement });
+    expect(loaded.saveTrackJSON().background).toEqual(file.background);
+
+    loaded.setBackground(image, 'circuit.png');
+    expect(loaded.background).toEqual({ source: 'circuit.png', ...placement, image });
+    expect(loaded.pendingBackground).toBeNull();
+  });
+
+  test('an image from another source is fitted to the view instead', () => {
+    const manager = createManager();
+    manager.loadTrackJSON(createManager().saveTrackJSON());
+    manager.pendingBackground = { source: 'circuit.png', ...placement };
+    manager.setBackground(image, 'other.png');
+    expect(manager.background).toMatchObject({ source: 'other.png', x: 400, y: 300, rotation: 0, opacity: 0.5 });
+    expect(manager.background.scale).toBeCloseTo(0.72);
+    expect(manager.pendingBackground).toBeNull();
+  });
+});
@@ -9,12 +9,34 @@ let trackData = {
   points: [],
   length: 0,
   boundaries: null,
-  segments: []
+  segments: [],
+  closed: false,
+  trackWidth: 6,
+  metersPerPixel: 1
 };
 // Simulation controller
 let raceSimulator;
+let telemetryPanel;
 // Units: 'metric' (meters, km/h) or 'imperial' (feet, mph)
 let units = 'metric';
+// Lap time of the latest line from each optimizer, for side-by-side comparison
+let optimizerResults = {};
+// Background optimizer: one shared worker, at most one run in flight
+let optimizerWorker = null;
+let activeOptimization = null;
+let nextOptimizationId = 1;
+// Pending re-optimization after a kart slider change
+let reoptimizeTimer = null;
+// Engine from an imported profile that matches no ENGINE_PRESETS entry
+let customEngine = null;
+// Line pinned for comparison: {line, lap, name}, lap being its simulation from when it
+// was pinned or the timing of a logged lap
+let referenceLine = null;
+// Track library (IndexedDB); null until opened or where IndexedDB is unavailable
+let trackLibrary = null;
+// Library entry the working track was opened from or last saved as
+let libraryTrackId = null;
+let autosaveTimer = null;
 
 // Initialize application when DOM is ready
 document.addEventListener('DOMContentLoaded', initializeApp);
@@ -29,6 +51,16 @@ function initializeApp() {
   canvasManager = new CanvasManager(canvas, overlay);
   // Simulation helper
   raceSimulator = new RaceSimulator(canvasManager);
+  // Telemetry charts; hovering them marks the matching spot on the track
+  const telemetryCanvas = document.getElementById('telemetryCanvas');
+  if (telemetryCanvas) {
+    telemetryPanel = new TelemetryPanel(telemetryCanvas, (dist) => {
+      canvasManager.highlightPoint = dist === null || !telemetryPanel.telemetry
+        ? null
+        : sampleTelemetry(telemetryPanel.telemetry, dist);
+      canvasManager.render();
+    });
+  }
   
   // Set up event listeners for all controls
   setupControlListeners();
@@ -36,6 +68,15 @@ function initializeApp() {
   // Initial render
   canvasManager.render();
   
+  // Open a shared track link, or restore the last session; then list the saved tracks
+  canvasManager.onHistoryChange = scheduleAutosave;
+  const shared = location.hash.startsWith(SHARE_HASH_PREFIX);
+  initTrackLibrary(!shared);
+  if (shared) loadSharedTrack(location.hash);
+  window.addEventListener('hashchange', () => {
+    if (location.hash.startsWith(SHARE_HASH_PREFIX)) loadSharedTrack(location.hash);
+  });
+  
   console.log('✓ Karting Racing Line Optimizer initialized');
 }
 
@@ -48,6 +89,11 @@ function setupControlListeners() {
     document.getElementById('clearBtn').addEventListener('click', () => {
       if (confirm('Clear all track points?')) {
         canvasManager.clearTrack();
+        libraryTrackId = null;
+        syncLibraryFields();
+        optimizerResults = {};
+        renderOptimizerResults();
+        setReferenceLine(null);
         updateUI();
       }
     });
@@ -69,9 +115,9 @@ function setupControlListeners() {
         const reader = new FileReader();
         reader.onload = (event) => {
           try {
-            const data = JSON.parse(event.target.result);
-            canvasManager.loadTrackJSON(data);
-            updateUI();
+            applyTrackFile(event.target.result);
+            libraryTrackId = null;
+            syncLibraryFields();
             showMessage('Track loaded successfully!', 'success');
           } catch (err) {
             showMessage('Error loading track: ' + err.message, 'error');
@@ -87,18 +133,21 @@ function setupControlListeners() {
         return;
       }
       
-      const data = canvasManager.saveTrackJSON();
-      const json = JSON.stringify(data, null, 2);
-      const blob = new Blob([json], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `track_${Date.now()}.json`;
-      a.click();
-      URL.revokeObjectURL(url);
+      const data = canvasManager.saveTrackJSON({ kart: kart.getParameters(), units });
+      downloadFile(JSON.stringify(data, null, 2), `track_${Date.now()}.json`, 'application/json');
       showMessage('Track saved!', 'success');
     });
     
+    document.getElementById('exportBtn').addEventListener('click', () => {
+      exportTrack(document.getElementById('exportFormat').value);
+    });
+    
+    document.getElementById('shareLinkBtn').addEventListener('click', shareTrackLink);
+    
+    // Track library
+    document.getElementById('librarySaveBtn').addEventListener('click', saveToLibrary);
+    document.getElementById('librarySearch').addEventListener('input', refreshLibraryList);
+    
     // Physics sliders
   const gripSlider = document.getElementById('gripSlider');
   if (gripSlider) {
@@ -106,10 +155,9 @@ function setupControlListeners() {
       const grip = parseFloat(e.target.value);
       document.getElementById('gripValue').textContent = grip.toFixed(2);
       kart.setGripCoefficient(grip);
-      if (canvasManager.racingLine) {
-        canvasManager.render();
-        updateUI();
-      }
+      clearKartProfileSelection();
+      onKartChanged();
+      scheduleReoptimize();
     });
   }
   
@@ -119,6 +167,74 @@ function setupControlListeners() {
       const width = parseFloat(e.target.value);
       document.getElementById('trackWidthValue').textContent = units === 'metric' ? width.toFixed(1) : (width * 3.28084).toFixed(1);
       trackData.trackWidth = width;
+      canvasManager.trackWidth = width;
+      // Rebuild the corridor so validation and the kerbs follow the new width
+      if (canvasManager.trackPoints.length > 1) processTrack();
+      canvasManager.render();
+      updateUI();
+    });
+  }
+  
+  const drivetrainSelect = document.getElementById('drivetrainSelect');
+  if (drivetrainSelect) {
+    for (const [key, preset] of Object.entries(ENGINE_PRESETS)) {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = preset.name;
+      drivetrainSelect.appendChild(option);
+    }
+    drivetrainSelect.addEventListener('change', (e) => {
+      const key = e.target.value;
+      if (key === 'simple') {
+        kart.updateParameters({ drivetrain: 'simple' });
+      } else if (key === 'custom') {
+        // Imported engine that matches no preset
+        kart.updateParameters({ drivetrain: 'engine', engine: customEngine });
+      } else {
+        kart.updateParameters({ drivetrain: 'engine', engine: ENGINE_PRESETS[key] });
+      }
+      clearKartProfileSelection();
+      updateDrivetrainControls();
+      onKartChanged();
+    });
+  }
+  
+  setupKartProfileControls();
+  
+  // Reference line for comparisons
+  const pinReferenceBtn = document.getElementById('pinReferenceBtn');
+  if (pinReferenceBtn) {
+    pinReferenceBtn.addEventListener('click', () => {
+      const line = canvasManager.racingLine;
+      if (!line || line.length < 2) {
+        showMessage('Generate a racing line to pin first', 'warning');
+        return;
+      }
+      setReferenceLine({
+        line: line.map(p => ({ x: p.x, y: p.y })),
+        lap: simulateRacingLine(line, trackData),
+        name: 'reference'
+      });
+      updateUI();
+      showMessage('Racing line pinned as reference', 'success');
+    });
+  }
+  const clearReferenceBtn = document.getElementById('clearReferenceBtn');
+  if (clearReferenceBtn) {
+    clearReferenceBtn.addEventListener('click', () => {
+      setReferenceLine(null);
+      updateUI();
+    });
+  }
+  
+  const weightSlider = document.getElementById('weightSlider');
+  if (weightSlider) {
+    weightSlider.addEventListener('input', (e) => {
+      const weight = parseFloat(e.target.value);
+      document.getElementById('weightValue').textContent = weight.toFixed(0);
+      kart.updateParameters({ weight });
+      clearKartProfileSelection();
+      onKartChanged();
     });
   }
   
@@ -127,14 +243,10 @@ function setupControlListeners() {
     accelSlider.addEventListener('input', (e) => {
       const accel = parseFloat(e.target.value);
       document.getElementById('accelValue').textContent = accel.toFixed(1);
-      kart.maxAcceleration = accel;
-      if (canvasManager.racingLine && canvasManager.trackPoints.length > 2) {
-        calculateSegmentSpeeds();
-        const initialLine = initialHeuristicLine(canvasManager.trackPoints);
-        canvasManager.racingLine = smoothLine(optimizeLine(initialLine, trackData, 30), 2);
-        canvasManager.render();
-        updateUI();
-      }
+      kart.updateParameters({ acceleration: accel });
+      clearKartProfileSelection();
+      onKartChanged();
+      scheduleReoptimize();
     });
   }
   
@@ -143,14 +255,50 @@ function setupControlListeners() {
     brakeSlider.addEventListener('input', (e) => {
       const brake = parseFloat(e.target.value);
       document.getElementById('brakeValue').textContent = brake.toFixed(1);
-      kart.maxBraking = brake;
-      if (canvasManager.racingLine && canvasManager.trackPoints.length > 2) {
-        calculateSegmentSpeeds();
-        const initialLine = initialHeuristicLine(canvasManager.trackPoints);
-        canvasManager.racingLine = smoothLine(optimizeLine(initialLine, trackData, 30), 2);
-        canvasManager.render();
-        updateUI();
-      }
+      kart.updateParameters({ braking: brake });
+      clearKartProfileSelection();
+      onKartChanged();
+      scheduleReoptimize();
+    });
+  }
+  
+  // Track centerline from a logged lap
+  const trackFromLapInput = document.getElementById('trackFromLapInput');
+  if (trackFromLapInput) {
+    trackFromLapInput.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = (event) => {
+        try {
+          const lap = readLoggedLap(event.target.result, file.name);
+          if (lap) buildTrackFromLap(lap.samples, lap.name);
+        } catch (err) {
+          showMessage('Error building track: ' + err.message, 'error');
+        }
+      };
+      reader.readAsText(file);
+      e.target.value = '';
+    });
+  }
+  
+  // Logged lap import (CSV / GPX)
+  const importLapInput = document.getElementById('importLapInput');
+  if (importLapInput) {
+    importLapInput.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = (event) => {
+        try {
+          const lap = readLoggedLap(event.target.result, file.name);
+          if (lap) importLoggedLap(lap.samples, lap.name);
+        } catch (err) {
+          showMessage('Error importing lap: ' + err.message, 'error');
+        }
+      };
+      reader.readAsText(file);
+      e.target.value = '';
     });
   }
   
@@ -164,7 +312,7 @@ function setupControlListeners() {
         reader.onload = (event) => {
           const img = new Image();
           img.onload = () => {
-            processTrackImage(img);
+            processTrackImage(img, file.name);
           };
           img.src = event.target.result;
         };
@@ -173,8 +321,51 @@ function setupControlListeners() {
     });
   }
   
+  // Background image to trace over
+  const backgroundInput = document.getElementById('backgroundInput');
+  if (backgroundInput) {
+    backgroundInput.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        const reader = new FileReader();
+        reader.onload = (event) => loadBackgroundImage(event.target.result, file.name);
+        reader.readAsDataURL(file);
+      }
+      e.target.value = '';
+    });
+  }
+  const backgroundSliders = [
+    ['backgroundOpacity', 'opacity', (v) => v],
+    ['backgroundScale', 'scale', (v) => Math.pow(2, v)],
+    ['backgroundRotation', 'rotation', (v) => v]
+  ];
+  for (const [id, field, toValue] of backgroundSliders) {
+    const slider = document.getElementById(id);
+    if (!slider) continue;
+    slider.addEventListener('input', (e) => {
+      if (!canvasManager.background) return;
+      canvasManager.background[field] = toValue(parseFloat(e.target.value));
+      syncBackgroundControls();
+      canvasManager.render();
+    });
+  }
+  const moveBackground = document.getElementById('moveBackground');
+  if (moveBackground) {
+    moveBackground.addEventListener('change', (e) => {
+      canvasManager.movingBackground = e.target.checked;
+    });
+  }
+  const removeBackgroundBtn = document.getElementById('removeBackgroundBtn');
+  if (removeBackgroundBtn) {
+    removeBackgroundBtn.addEventListener('click', () => {
+      canvasManager.removeBackground();
+      syncBackgroundControls();
+    });
+  }
+  
   // Racing line generation
-  document.getElementById('optimizeBtn').addEventListener('click', generateRacingLine);
+  document.getElementById('optimizeBtn').addEventListener('click', () => generateRacingLine());
+  document.getElementById('cancelOptimizeBtn').addEventListener('click', cancelOptimization);
   
   // Visualization toggles
   document.getElementById('showApexes').addEventListener('change', (e) => {
@@ -190,6 +381,39 @@ function setupControlListeners() {
       canvasManager.render();
     }
   });
+  
+  // Heatmap channel and colour scale selectors
+  const heatmapSelects = [
+    ['heatmapChannel', HEATMAP_CHANNELS, 'heatmapChannel'],
+    ['colorScale', COLOR_SCALES, 'colorScale']
+  ];
+  for (const [id, options, field] of heatmapSelects) {
+    const select = document.getElementById(id);
+    if (!select) continue;
+    for (const [key, option] of Object.entries(options)) {
+      const element = document.createElement('option');
+      element.value = key;
+      element.textContent = option.label;
+      select.appendChild(element);
+    }
+    select.value = canvasManager[field];
+    select.addEventListener('change', (e) => {
+      canvasManager[field] = e.target.value;
+      canvasManager.render();
+    });
+  }
+  
+  document.getElementById('showZones').addEventListener('change', (e) => {
+    canvasManager.showZones = e.target.checked;
+    if (canvasManager.racingLine) {
+      canvasManager.render();
+    }
+  });
+  
+  const brakeSheetBtn = document.getElementById('brakeSheetBtn');
+  if (brakeSheetBtn) brakeSheetBtn.addEventListener('click', printBrakeSheet);
+  const reportBtn = document.getElementById('reportBtn');
+  if (reportBtn) reportBtn.addEventListener('click', openDriverReport);
 
   // Simulation / playback controls
   const playPauseBtn = document.getElementById('playPauseBtn');
@@ -250,6 +474,45 @@ function setupControlListeners() {
     });
   }
 
+  // Scale calibration: click two points a known distance apart
+  const calibrateBtn = document.getElementById('calibrateBtn');
+  if (calibrateBtn) {
+    calibrateBtn.addEventListener('click', () => {
+      showMessage('Click two points a known distance apart', 'info');
+      canvasManager.startCalibration((a, b) => {
+        const pixels = distance(a, b);
+        const unitLabel = units === 'metric' ? 'meters' : 'feet';
+        const value = parseFloat(prompt(`Real distance between the two points (${unitLabel}):`));
+        if (!(value > 0) || pixels === 0) {
+          showMessage('Calibration cancelled', 'warning');
+          canvasManager.render();
+          return;
+        }
+        const meters = units === 'metric' ? value : value / 3.28084;
+        setMetersPerPixel(meters / pixels);
+        showMessage('Scale calibrated: ' + formatScale(canvasManager.metersPerPixel), 'success');
+      });
+    });
+  }
+
+  // Closed-circuit mode: the centerline wraps from the last point to the first
+  const closedLoop = document.getElementById('closedLoop');
+  if (closedLoop) {
+    closedLoop.addEventListener('change', (e) => {
+      canvasManager.closedLoop = !!e.target.checked;
+      trackData.closed = canvasManager.closedLoop;
+      if (canvasManager.trackPoints.length > 1) processTrack();
+      // The line was shaped for the other mode: drop it and optimize again
+      const hadLine = !!(canvasManager.racingLine || activeOptimization);
+      if (activeOptimization) cancelOptimization();
+      canvasManager.racingLine = null;
+      if (raceSimulator) raceSimulator.updateProfile();
+      if (hadLine && canvasManager.trackPoints.length >= 3) generateRacingLine(true);
+      canvasManager.render();
+      updateUI();
+    });
+  }
+
   // WebGL / edit / unit controls
   const useWebGL = document.getElementById('useWebGL');
   const editMode = document.getElementById('editMode');
@@ -274,10 +537,12 @@ function setupControlListeners() {
     deletePointBtn.addEventListener('click', () => {
       // delete nearest point to center or last selected
       if (!canvasManager) return;
-      // if draggingPoint available delete it
-      if (canvasManager.draggingPoint != null && canvasManager.draggingPoint >= 0) {
-        canvasManager.trackPoints.splice(canvasManager.draggingPoint, 1);
+      // if a point is being dragged or selected in edit mode delete it
+      const idx = canvasManager.draggingPoint != null ? canvasManager.draggingPoint : canvasManager.selectedPoint;
+      if (idx != null && idx >= 0 && idx < canvasManager.trackPoints.length) {
+        canvasManager.trackPoints.splice(idx, 1);
         canvasManager.draggingPoint = null;
+        canvasManager.selectedPoint = null;
         canvasManager.saveToHistory();
         canvasManager.render();
         updateUI();
@@ -295,9 +560,7 @@ function setupControlListeners() {
 
   if (unitToggleBtn) {
     unitToggleBtn.addEventListener('click', () => {
-      units = units === 'metric' ? 'imperial' : 'metric';
-      unitToggleBtn.textContent = 'Units: ' + (units === 'metric' ? 'Metric' : 'Imperial');
-      updateUI();
+      setUnits(units === 'metric' ? 'imperial' : 'metric');
     });
   }
 
@@ -306,22 +569,250 @@ function setupControlListeners() {
   }
 }
 
+/**
+ * Reflect the drivetrain mode in the controls
+ * The acceleration slider only applies to the simple model.
+ */
+function updateDrivetrainControls() {
+  const accelSlider = document.getElementById('accelSlider');
+  if (accelSlider) accelSlider.disabled = kart.drivetrain === 'engine';
+  
+  const info = document.getElementById('drivetrainInfo');
+  if (!info) return;
+  if (kart.drivetrain === 'engine') {
+    const top = kart.topSpeed();
+    const topText = units === 'metric' ? (top * 3.6).toFixed(0) + ' km/h' : (top * 2.23694).toFixed(0) + ' mph';
+    info.textContent = `Torque curve, gearing, rolling resistance and drag; rev-limited at ${topText}`;
+  } else {
+    info.textContent = 'Flat acceleration up to the top speed';
+  }
+}
+
+/**
+ * Wire up the kart profile selector and its save/delete/import/export buttons
+ */
+function setupKartProfileControls() {
+  const select = document.getElementById('kartProfileSelect');
+  if (!select) return;
+  
+  refreshKartProfileList();
+  
+  select.addEventListener('change', () => {
+    const profile = findKartProfile(select.value);
+    if (!profile) return;
+    applyKartProfile(profile);
+    syncPhysicsControls();
+    onKartChanged();
+  });
+  
+  document.getElementById('saveProfileBtn').addEventListener('click', () => {
+    const current = findKartProfile(select.value);
+    const name = prompt('Save current kart settings as:', current && !current.builtIn ? current.name : '');
+    if (!name) return;
+    try {
+      const saved = saveKartProfile(name, kart.getParameters());
+      refreshKartProfileList(saved.id);
+      showMessage(`Kart profile "${saved.name}" saved`, 'success');
+    } catch (err) {
+      showMessage('Could not save kart profile: ' + err.message, 'error');
+    }
+  });
+  
+  document.getElementById('deleteProfileBtn').addEventListener('click', () => {
+    const profile = findKartProfile(select.value);
+    if (!profile || profile.builtIn) {
+      showMessage('Select a custom profile to delete', 'warning');
+      return;
+    }
+    if (!confirm(`Delete kart profile "${profile.name}"?`)) return;
+    deleteKartProfile(profile.id);
+    refreshKartProfileList();
+  });
+  
+  document.getElementById('exportProfileBtn').addEventListener('click', () => {
+    // Export the selected profile, or the current settings if none is selected
+    const profile = findKartProfile(select.value) || { name: 'Custom kart', params: kart.getParameters() };
+    downloadFile(exportKartProfile(profile), `kart_${profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '_')}.json`, 'application/json');
+  });
+  
+  document.getElementById('importProfileInput').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        const imported = parseKartProfile(event.target.result);
+        // Keep an existing profile with the same name; the import gets " (2)"
+        const names = getKartProfiles().map(p => p.name);
+        const saved = saveKartProfile(uniqueTrackName(imported.name, names), imported.params);
+        refreshKartProfileList(saved.id);
+        applyKartProfile(saved);
+        syncPhysicsControls();
+        onKartChanged();
+        showMessage(`Kart profile "${saved.name}" imported`, 'success');
+      } catch (err) {
+        showMessage('Error importing kart profile: ' + err.message, 'error');
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  });
+}
+
+/**
+ * Show "current settings" once a physics control departs from the selected profile
+ */
+function clearKartProfileSelection() {
+  const select = document.getElementById('kartProfileSelect');
+  if (select) select.value = '';
+}
+
+/**
+ * Look up a kart profile (built-in or custom) by id
+ */
+function findKartProfile(id) {
+  return id ? getKartProfiles().find(profile => profile.id === id) : null;
+}
+
+/**
+ * Rebuild the profile selector, keeping or setting the selection
+ */
+function refreshKartProfileList(selectedId) {
+  const select = document.getElementById('kartProfileSelect');
+  const keep = selectedId !== undefined ? selectedId : select.value;
+  select.querySelectorAll('optgroup').forEach(group => group.remove());
+  
+  const profiles = getKartProfiles();
+  for (const [label, builtIn] of [['Kart classes', true], ['My karts', false]]) {
+    const matching = profiles.filter(profile => profile.builtIn === builtIn);
+    if (matching.length === 0) continue;
+    const group = document.createElement('optgroup');
+    group.label = label;
+    for (const profile of matching) {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      group.appendChild(option);
+    }
+    select.appendChild(group);
+  }
+  select.value = profiles.some(profile => profile.id === keep) ? keep : '';
+}
+
+/**
+ * Set every physics control from the current kart parameters
+ */
+function syncPhysicsControls() {
+  const setSlider = (id, valueId, value, digits) => {
+    const slider = document.getElementById(id);
+    if (slider) slider.value = value;
+    const label = document.getElementById(valueId);
+    if (label) label.textContent = value.toFixed(digits);
+  };
+  setSlider('gripSlider', 'gripValue', kart.gripCoefficient, 2);
+  setSlider('weightSlider', 'weightValue', kart.weightKg, 0);
+  setSlider('accelSlider', 'accelValue', kart.maxAcceleration, 1);
+  setSlider('brakeSlider', 'brakeValue', kart.maxBraking, 1);
+  
+  // Match the engine to a preset; anything else is listed as a custom engine
+  const select = document.getElementById('drivetrainSelect');
+  if (select) {
+    let value = 'simple';
+    if (kart.drivetrain === 'engine') {
+      const key = Object.keys(ENGINE_PRESETS).find(k => ENGINE_PRESETS[k].name === kart.engine.name);
+      value = key || 'custom';
+      if (!key) customEngine = { ...kart.engine };
+      let custom = select.querySelector('option[value="custom"]');
+      if (!key && !custom) {
+        custom = document.createElement('option');
+        custom.value = 'custom';
+        select.appendChild(custom);
+      }
+      if (custom) custom.textContent = kart.engine.name || 'Custom engine';
+    }
+    select.value = value;
+  }
+  updateDrivetrainControls();
+}
+
+/**
+ * Refresh lap time, colouring and playback after a kart parameter changed
+ */
+function onKartChanged() {
+  if (raceSimulator) raceSimulator.updateProfile();
+  canvasManager.render();
+  updateUI();
+}
+
+/**
+ * Switch the display units and refresh every read-out
+ * @param {string} value - 'metric' or 'imperial'
+ */
+function setUnits(value) {
+  units = value;
+  const unitToggleBtn = document.getElementById('unitToggleBtn');
+  if (unitToggleBtn) unitToggleBtn.textContent = 'Units: ' + (units === 'metric' ? 'Metric' : 'Imperial');
+  canvasManager.units = units;
+  updateDrivetrainControls();
+  updateUI();
+  canvasManager.render();
+}
+
+/**
+ * Copy track settings restored by CanvasManager (e.g. after loading a file)
+ * into trackData and the matching controls
+ */
+function syncTrackSettings() {
+  trackData.closed = canvasManager.closedLoop;
+  trackData.trackWidth = canvasManager.trackWidth;
+  trackData.metersPerPixel = canvasManager.metersPerPixel;
+  
+  const closedLoop = document.getElementById('closedLoop');
+  if (closedLoop) closedLoop.checked = canvasManager.closedLoop;
+  const widthSlider = document.getElementById('trackWidthSlider');
+  if (widthSlider) widthSlider.value = canvasManager.trackWidth;
+  
+  // Preload the recorded optimizer run so Generate reproduces the saved line
+  const run = canvasManager.optimizerRun;
+  if (run) {
+    const select = document.getElementById('optimizerAlgorithm');
+    if (select && run.algorithm) select.value = run.algorithm;
+    const seedInput = document.getElementById('optimizerSeed');
+    if (seedInput && Number.isInteger(run.seed)) seedInput.value = run.seed;
+    const iterationsInput = document.getElementById('optimizerIterations');
+    if (iterationsInput && run.iterations > 0) iterationsInput.value = run.iterations;
+  }
+  
+  if (canvasManager.trackPoints.length > 1) processTrack();
+  if (raceSimulator) raceSimulator.updateProfile();
+}
+
+/**
+ * Set the world scale (meters per canvas pixel) used by all physics
+ */
+function setMetersPerPixel(metersPerPixel) {
+  canvasManager.metersPerPixel = metersPerPixel;
+  syncTrackSettings();
+  canvasManager.render();
+  updateUI();
+}
+
 /**
  * Generate optimal racing line for current track
+ * @param {boolean} keepSeed - Re-run with the current line's seed when the seed field is empty
  */
-function generateRacingLine() {
+function generateRacingLine(keepSeed = false) {
   if (canvasManager.trackPoints.length < 3) {
     showMessage('Draw at least 3 points to generate a racing line', 'warning');
     return;
   }
+  if (activeOptimization) return;
   
-  const btn = document.getElementById('optimizeBtn');
   const infoBox = document.getElementById('optimizeInfo');
   const infoText = document.getElementById('optimizeText');
   
+  let initialLine;
   try {
-    btn.disabled = true;
-    btn.classList.add('processing');
     infoBox.style.display = 'block';
     infoText.textContent = 'Analyzing track geometry...';
     
@@ -334,176 +825,498 @@ function generateRacingLine() {
     infoText.textContent = 'Generating initial racing line...';
     
     // Step 3: Generate initial heuristic line
-    const initialLine = initialHeuristicLine(canvasManager.trackPoints);
-    infoText.textContent = 'Optimizing racing line...';
-    
-      // Step 4: Optimize line (use Web Worker if available)
-      infoText.textContent = 'Optimizing racing line... (this may take a moment)';
-      let optimizedLine = null;
-      const iterations = 30;
-
-      const runOptimizeSync = () => {
-        optimizedLine = optimizeLine(initialLine, trackData, iterations);
-        proceedAfterOptimize(optimizedLine);
-      };
-
-      const proceedAfterOptimize = (optimized) => {
-        infoText.textContent = 'Smoothing racing line...';
-
-        // Step 5: Smooth the line
-        canvasManager.racingLine = smoothLine(optimized, 2);
-
-        // Update simulator profile
-        if (raceSimulator) {
-          raceSimulator.updateProfile();
-          raceSimulator.currentDist = 0;
-        }
-
-        // Validate result
-        const validation = validateRacingLine(canvasManager.racingLine, trackData);
-        if (!validation.valid) {
-          console.warn('Racing line validation warnings:', validation.errors);
-        }
-
-        infoText.textContent = '✓ Racing line generated successfully!';
-        setTimeout(() => {
-          infoBox.style.display = 'none';
-        }, 2000);
-
-        canvasManager.render();
-        updateUI();
-        console.log('✓ Racing line generated');
-      };
-
-      // Try worker
-      if (window.Worker) {
-        try {
-          const worker = new Worker('utils/optimizeWorker.js');
-          worker.onmessage = (ev) => {
-            const data = ev.data;
-            if (data && data.success) {
-              proceedAfterOptimize(data.optimized);
-            } else {
-              console.warn('Worker optimize failed, falling back:', data && data.error);
-              runOptimizeSync();
-            }
-            worker.terminate();
-          };
-          worker.onerror = (err) => {
-            console.error('Worker error:', err);
-            worker.terminate();
-            runOptimizeSync();
-          };
-          worker.postMessage({ action: 'optimize', initialLine, trackData, iterations });
-        } catch (err) {
-          console.warn('Could not start worker, optimizing synchronously:', err);
-          runOptimizeSync();
-        }
-        return; // worker will call proceedAfterOptimize
-      } else {
-        runOptimizeSync();
-      }
+    initialLine = initialHeuristicLine(canvasManager.trackPoints, trackData);
   } catch (error) {
     console.error('Error generating racing line:', error);
     infoText.textContent = '✗ Error: ' + error.message;
     showMessage('Error generating racing line: ' + error.message, 'error');
-  } finally {
-    btn.disabled = false;
-    btn.classList.remove('processing');
+    return;
+  }
+  
+  // Step 4: Optimize line (in the background worker if available)
+  const job = {
+    runId: nextOptimizationId++,
+    settings: getOptimizerSettings(keepSeed ? canvasManager.optimizerRun : null),
+    initialLine,
+    startTime: performance.now(),
+    scores: []
+  };
+  activeOptimization = job;
+  setOptimizing(true);
+  infoText.textContent = 'Optimizing racing line... (this may take a moment)';
+  drawOptimizerChart(job.scores);
+  
+  const worker = getOptimizerWorker();
+  if (worker) {
+    const { algorithm, iterations, seed } = job.settings;
+    worker.postMessage({
+      action: 'optimize',
+      runId: job.runId,
+      algorithm,
+      initialLine,
+      trackData,
+      iterations,
+      seed,
+      kartParams: kart.getParameters() // the worker has its own kart instance
+    });
+  } else {
+    // Let the status text paint before blocking the main thread
+    setTimeout(() => runOptimizationSync(job), 0);
   }
 }
 
 /**
- * Process track: calculate geometry and create segments
+ * Re-optimize the racing line for changed kart parameters once the slider
+ * settles; the run goes through the worker and keeps the current line's seed
  */
-function processTrack() {
-  const points = canvasManager.trackPoints;
+function scheduleReoptimize() {
+  if (!canvasManager.racingLine || canvasManager.trackPoints.length < 3) return;
+  clearTimeout(reoptimizeTimer);
+  reoptimizeTimer = setTimeout(() => {
+    // A run still in flight was started with the old parameters
+    if (activeOptimization) cancelOptimization();
+    generateRacingLine(true);
+  }, 500);
+}
+
+/**
+ * Stop the running optimization and keep the previous racing line
+ */
+function cancelOptimization() {
+  const job = activeOptimization;
+  if (!job) return;
   
-  if (points.length < 2) {
-    throw new Error('Not enough points');
-  }
+  if (optimizerWorker) optimizerWorker.postMessage({ action: 'cancel', runId: job.runId });
+  // Anything the worker still sends for this run is ignored from here on
+  endOptimization('Optimization cancelled');
+}
+
+/**
+ * Get the background optimizer worker, starting it on first use
+ * One worker serves every run; null when workers are unavailable
+ */
+function getOptimizerWorker() {
+  if (optimizerWorker || !window.Worker) return optimizerWorker;
   
-  // Check for self-intersection
-  if (trackSelfIntersects(points)) {
-    console.warn('⚠ Track contains self-intersection');
+  try {
+    optimizerWorker = new Worker('utils/optimizeWorker.js');
+    optimizerWorker.onmessage = handleOptimizerMessage;
+    optimizerWorker.onerror = (err) => {
+      console.error('Worker error:', err);
+      optimizerWorker.terminate();
+      optimizerWorker = null;
+      // Finish the interrupted run on the main thread
+      if (activeOptimization) runOptimizationSync(activeOptimization);
+    };
+  } catch (err) {
+    console.warn('Could not start worker, optimizing synchronously:', err);
+    optimizerWorker = null;
   }
+  return optimizerWorker;
+}
+
+/**
+ * Handle progress, completion and failure messages from the worker
+ */
+function handleOptimizerMessage(ev) {
+  const data = ev.data;
+  const job = activeOptimization;
+  // Ignore messages from cancelled or superseded runs
+  if (!data || !job || data.runId !== job.runId) return;
   
-  // Calculate track length
-  trackData.length = trackLength(points);
-  
-  // Create segments with geometry data
-  trackData.segments = [];
-  for (let i = 0; i < points.length - 1; i++) {
-    const p1 = points[i];
-    const p2 = points[i + 1];
-    const p3 = points[Math.min(i + 2, points.length - 1)];
-    
-    const segLen = distance(p1, p2);
-    const radius = radiusOfCurvature(p1, p2, p3);
+  if (data.type === 'progress') {
+    job.scores.push(...data.scores);
+    canvasManager.previewLine = data.line;
+    canvasManager.render();
     
-    trackData.segments.push({
-      startPoint: p1,
-      endPoint: p2,
-      length: segLen,
-      radius: radius,
-      curvature: radius === Infinity ? 0 : 1 / radius,
-      speed: kart.maxCornerSpeed(radius)
-    });
+    const lap = isFinite(data.lapTime) ? `, lap ${data.lapTime.toFixed(2)}s` : '';
+    document.getElementById('optimizeText').textContent =
+      `Optimizing... iteration ${data.iteration}/${data.iterations}${lap}`;
+    drawOptimizerChart(job.scores);
+  } else if (data.type === 'done') {
+    finishOptimization(job, data.optimized);
+  } else if (data.type === 'cancelled') {
+    endOptimization('Optimization cancelled');
+  } else if (data.type === 'error') {
+    console.warn('Worker optimize failed, falling back:', data.error);
+    runOptimizationSync(job);
   }
 }
 
 /**
- * Calculate speed limit for each segment based on physics
+ * Run an optimization on the main thread (no worker, or the worker failed)
  */
-function calculateSegmentSpeeds() {
-  for (let segment of trackData.segments) {
-    // Speed limited by grip and radius
-    const maxSpeed = kart.maxCornerSpeed(segment.radius);
-    segment.speed = maxSpeed;
+function runOptimizationSync(job) {
+  const { algorithm, iterations, seed } = job.settings;
+  try {
+    finishOptimization(job, runOptimizer(algorithm, job.initialLine, trackData, iterations, seed));
+  } catch (error) {
+    console.error('Error generating racing line:', error);
+    showMessage('Error generating racing line: ' + error.message, 'error');
+    endOptimization('✗ Error: ' + error.message);
   }
 }
+
 /**
- * Process track image and extract track points
+ * Install the optimized line and record the run
  */
-function processTrackImage(img) {
-  showMessage('Processing image...', 'info');
+function finishOptimization(job, optimized) {
+  const { algorithm, seed } = job.settings;
   
-  // Create canvas for image processing
-  const canvas = document.createElement('canvas');
-  canvas.width = img.width;
-  canvas.height = img.height;
-  const ctx = canvas.getContext('2d');
-  ctx.drawImage(img, 0, 0);
+  // Step 5: Smooth the line
+  const line = finalizeRacingLine(optimized, algorithm);
+  // Too few points to drive or time: keep the previous line
+  if (!line || line.length < 3) {
+    showMessage('Optimization failed: the racing line collapsed to fewer than 3 points', 'error');
+    endOptimization('✗ No usable racing line');
+    return;
+  }
+  canvasManager.racingLine = line;
+  // Record the settings so the saved track can regenerate this exact line
+  canvasManager.optimizerRun = job.settings;
   
-  // Extract image data
-  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  // Keep the result for comparison with the other algorithms
+  optimizerResults[algorithm] = {
+    lapTime: calculateLapTime(canvasManager.racingLine, trackData),
+    elapsedMs: performance.now() - job.startTime,
+    seed
+  };
+  renderOptimizerResults();
   
-  // Process with ImageProcessor
-  const processor = new ImageProcessor(imageData);
-  let trackPoints = processor.extractTrackPoints();
+  // Update simulator profile
+  if (raceSimulator) {
+    raceSimulator.updateProfile();
+    raceSimulator.reset();
+  }
   
-  console.log('Extracted points from image:', trackPoints.length);
+  // Validate result
+  const validation = validateRacingLine(canvasManager.racingLine, trackData);
+  if (!validation.valid) {
+    console.warn('Racing line validation errors:', validation.errors);
+    showMessage('Racing line is not valid: ' + validation.errors.slice(0, 3).join(', '), 'error');
+    endOptimization('✗ Racing line has errors');
+    return;
+  }
   
-  // Normalize to canvas size
-  const canvasElement = document.getElementById('trackCanvas');
-  trackPoints = processor.normalizePoints(trackPoints, canvasElement.width, canvasElement.height);
+  endOptimization('✓ Racing line generated successfully!');
+  console.log('✓ Racing line generated');
+}
+
+/**
+ * Leave the optimizing state: reset the controls and show a final status
+ */
+function endOptimization(statusText) {
+  activeOptimization = null;
+  canvasManager.previewLine = null;
+  setOptimizing(false);
+  
+  const infoBox = document.getElementById('optimizeInfo');
+  document.getElementById('optimizeText').textContent = statusText;
+  setTimeout(() => {
+    if (!activeOptimization) infoBox.style.display = 'none';
+  }, 2000);
+  
+  canvasManager.render();
+  updateUI();
+}
+
+/**
+ * Toggle the Generate/Cancel buttons while an optimization runs
+ */
+function setOptimizing(running) {
+  const btn = document.getElementById('optimizeBtn');
+  btn.disabled = running;
+  btn.classList.toggle('processing', running);
+  
+  const cancelBtn = document.getElementById('cancelOptimizeBtn');
+  if (cancelBtn) cancelBtn.style.display = running ? 'block' : 'none';
+}
+
+/**
+ * Plot optimizer score against iteration in the progress box
+ * Invalid candidates (score 1e9) are left out so they do not flatten the curve.
+ */
+function drawOptimizerChart(scores) {
+  const canvas = document.getElementById('optimizerChart');
+  if (!canvas) return;
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  ctx.clearRect(0, 0, width, height);
+  
+  const points = [];
+  scores.forEach((score, i) => {
+    if (isFinite(score) && score < 1e9) points.push({ i, score });
+  });
+  canvas.style.display = points.length > 1 ? 'block' : 'none';
+  if (points.length < 2) return;
+  
+  let min = Infinity;
+  let max = -Infinity;
+  for (const p of points) {
+    min = Math.min(min, p.score);
+    max = Math.max(max, p.score);
+  }
+  const range = max - min || 1;
+  const pad = 4;
+  const lastIteration = Math.max(1, scores.length - 1);
+  
+  ctx.strokeStyle = '#0066cc';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  points.forEach((p, k) => {
+    const x = pad + (p.i / lastIteration) * (width - 2 * pad);
+    const y = pad + (1 - (p.score - min) / range) * (height - 2 * pad);
+    if (k === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.stroke();
+  
+  ctx.fillStyle = '#666';
+  ctx.font = '10px sans-serif';
+  ctx.fillText(`score ${points[points.length - 1].score.toFixed(2)}`, pad, height - pad);
+}
+
+/**
+ * Get the optimizer settings selected in the UI
+ * An empty seed field picks a fresh random seed for this run, or keeps the
+ * previous run's seed when that run is being repeated.
+ * @param {Object} previousRun - Run being repeated ({seed}), or null
+ * @returns {Object} {algorithm, seed, iterations}
+ */
+function getOptimizerSettings(previousRun = null) {
+  const select = document.getElementById('optimizerAlgorithm');
+  const seedInput = document.getElementById('optimizerSeed');
+  const iterationsInput = document.getElementById('optimizerIterations');
+
+  const seed = seedInput ? parseInt(seedInput.value, 10) : NaN;
+  const iterations = iterationsInput ? parseInt(iterationsInput.value, 10) : NaN;
+  return {
+    algorithm: select ? select.value : 'annealing',
+    seed: Number.isInteger(seed) && seed >= 0
+      ? seed >>> 0
+      : previousRun && Number.isInteger(previousRun.seed) ? previousRun.seed : randomSeed(),
+    iterations: Number.isInteger(iterations) && iterations > 0 ? iterations : 30
+  };
+}
+
+/**
+ * Turn an optimizer result into the displayed racing line
+ * The annealing result is noisy and gets smoothed; the offset-based
+ * optimizers are already smooth. Every line is clamped to the corridor.
+ */
+function finalizeRacingLine(optimized, algorithm) {
+  const line = algorithm === 'annealing' ? smoothLine(optimized, 2, trackData.closed) : optimized;
+  return clampToTrackBounds(line, trackData);
+}
+
+/**
+ * List the latest lap time from each optimizer, fastest first
+ */
+function renderOptimizerResults() {
+  const list = document.getElementById('optimizerResults');
+  if (!list) return;
+
+  const select = document.getElementById('optimizerAlgorithm');
+  const labelFor = (algorithm) => {
+    const option = select && select.querySelector(`option[value="${algorithm}"]`);
+    return option ? option.textContent : algorithm;
+  };
+
+  const entries = Object.entries(optimizerResults)
+    .filter(([, result]) => isFinite(result.lapTime))
+    .sort((a, b) => a[1].lapTime - b[1].lapTime);
+
+  list.innerHTML = '';
+  for (const [algorithm, result] of entries) {
+    const item = document.createElement('li');
+    const seedNote = algorithm === 'annealing' ? `, seed ${result.seed}` : '';
+    item.textContent = `${labelFor(algorithm)}: ${result.lapTime.toFixed(2)}s (${Math.round(result.elapsedMs)} ms${seedNote})`;
+    list.appendChild(item);
+  }
+  list.style.display = entries.length > 0 ? 'block' : 'none';
+}
+
+/**
+ * Process track: calculate geometry and create segments
+ */
+function processTrack() {
+  const points = canvasManager.trackPoints;
+  
+  if (points.length < 2) {
+    throw new Error('Not enough points');
+  }
+  
+  const closed = canvasManager.closedLoop && points.length > 2;
+  trackData.closed = closed;
+  
+  // Check for self-intersection
+  if (trackSelfIntersects(points, closed)) {
+    console.warn('⚠ Track contains self-intersection');
+  }
+  
+  // Calculate track length (points are canvas pixels, physics works in meters)
+  const metersPerPixel = canvasManager.metersPerPixel;
+  trackData.metersPerPixel = metersPerPixel;
+  trackData.length = trackLength(points, closed, metersPerPixel);
+  
+  // Track corridor: left/right edges offset from the centerline by half the width
+  trackData.points = points;
+  trackData.trackWidth = canvasManager.trackWidth;
+  trackData.boundaries = trackEdges(points, trackData.trackWidth, closed, metersPerPixel);
+  
+  // Create segments with geometry data (a closed loop includes the closing segment)
+  trackData.segments = [];
+  const segmentCount = closed ? points.length : points.length - 1;
+  for (let i = 0; i < segmentCount; i++) {
+    const p1 = points[i];
+    const p2 = pointAt(points, i + 1, closed);
+    const p3 = pointAt(points, i + 2, closed);
+    
+    const segLen = distance(p1, p2) * metersPerPixel;
+    const radius = radiusOfCurvature(p1, p2, p3) * metersPerPixel;
+    
+    trackData.segments.push({
+      startPoint: p1,
+      endPoint: p2,
+      length: segLen,
+      radius: radius,
+      curvature: radius === Infinity ? 0 : 1 / radius,
+      speed: kart.maxCornerSpeed(radius)
+    });
+  }
+}
+
+/**
+ * Calculate speed limit for each segment based on physics
+ */
+function calculateSegmentSpeeds() {
+  for (let segment of trackData.segments) {
+    // Speed limited by grip and radius
+    const maxSpeed = kart.maxCornerSpeed(segment.radius);
+    segment.speed = maxSpeed;
+  }
+}
+/**
+ * Load an image as the background underlay
+ * @param {string} src - Image URL (a data URL for uploaded files)
+ * @param {string} source - File name or URL saved in the track JSON
+ */
+function loadBackgroundImage(src, source) {
+  const img = new Image();
+  img.onload = () => {
+    canvasManager.setBackground(img, source);
+    syncBackgroundControls();
+  };
+  img.onerror = () => showMessage('Could not load background image ' + source, 'error');
+  img.src = src;
+}
+
+/**
+ * Reload the background of a loaded track: URLs directly, files when picked again
+ */
+function restoreBackground() {
+  const pending = canvasManager.pendingBackground;
+  if (!pending || !pending.source) return;
+  if (/^(https?:|data:)/.test(pending.source)) {
+    loadBackgroundImage(pending.source, pending.source);
+  } else {
+    showMessage(`Load the background image "${pending.source}" to restore it`, 'info');
+  }
+}
+
+/**
+ * Show the background controls and their values for the current background
+ */
+function syncBackgroundControls() {
+  const bg = canvasManager.background;
+  const controls = document.getElementById('backgroundControls');
+  if (controls) controls.style.display = bg ? 'block' : 'none';
+  if (!bg) {
+    const moveBackground = document.getElementById('moveBackground');
+    if (moveBackground) moveBackground.checked = false;
+    return;
+  }
+  const values = [
+    ['backgroundOpacity', bg.opacity, (bg.opacity * 100).toFixed(0)],
+    ['backgroundScale', Math.log2(bg.scale), (bg.scale * 100).toFixed(0)],
+    ['backgroundRotation', bg.rotation, bg.rotation.toFixed(1)]
+  ];
+  for (const [id, value, text] of values) {
+    const slider = document.getElementById(id);
+    if (slider) slider.value = value;
+    const label = document.getElementById(id + 'Value');
+    if (label) label.textContent = text;
+  }
+}
+
+/**
+ * Process track image and extract track points
+ * The image stays as the background, aligned under the extracted track.
+ * @param {HTMLImageElement} img - Loaded image
+ * @param {string} fileName - Its file name (the background's source)
+ */
+function processTrackImage(img, fileName = 'image') {
+  showMessage('Processing image...', 'info');
+  
+  // Create canvas for image processing, downscaling large images (the pipeline works per pixel)
+  const downscale = Math.min(1, ImageProcessor.maxSize / Math.max(img.width, img.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(img.width * downscale));
+  canvas.height = Math.max(1, Math.round(img.height * downscale));
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  
+  // Extract image data
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  
+  // Process with ImageProcessor
+  const processor = new ImageProcessor(imageData);
+  const track = processor.extractTrack();
   
-  console.log('Normalized points:', trackPoints.length);
+  console.log('Extracted points from image:', track.points.length, track.closed ? '(closed loop)' : '(open)');
   
-  if (trackPoints.length < 3) {
-    console.error('Not enough track points detected. Points:', trackPoints.length);
+  if (track.points.length < 3) {
+    console.error('Not enough track points detected. Points:', track.points.length);
     showMessage('Could not detect track. Try a clearer image with higher contrast.', 'error');
     return;
   }
   
+  // Normalize to canvas size
+  const canvasElement = document.getElementById('trackCanvas');
+  const fit = processor.fitToCanvas(track.points, canvasElement.width, canvasElement.height);
+  const trackPoints = processor.normalizePoints(track.points, canvasElement.width, canvasElement.height);
+  
   // Load extracted points
   canvasManager.trackPoints = trackPoints;
+  canvasManager.closedLoop = track.closed;
+  canvasManager.geoReference = null;
+  
+  // Track width from the distance transform, at the current scale, if it is a plausible width
+  // (a line drawing's pen width is not)
+  const width = track.width * fit.scale * canvasManager.metersPerPixel;
+  const widthSlider = document.getElementById('trackWidthSlider');
+  const minWidth = widthSlider ? parseFloat(widthSlider.min) : 3;
+  const maxWidth = widthSlider ? parseFloat(widthSlider.max) : 12;
+  if (width >= minWidth && width <= maxWidth) {
+    canvasManager.trackWidth = Math.round(width * 2) / 2;
+  }
+  
+  // Keep the image under the track: image pixels map to canvas pixels as the points did
+  canvasManager.setBackground(img, fileName, {
+    x: (img.width * downscale / 2 - fit.minX) * fit.scale + canvasElement.width * fit.padding,
+    y: (img.height * downscale / 2 - fit.minY) * fit.scale + canvasElement.height * fit.padding,
+    scale: downscale * fit.scale
+  });
+  syncBackgroundControls();
+  
   canvasManager.saveToHistory();
+  setReferenceLine(null);
+  syncTrackSettings();
   
   // Auto-generate racing line
   setTimeout(() => {
     generateRacingLine();
-    showMessage('Track imported! Racing line generated.', 'success');
+    showMessage(`Track imported as ${track.closed ? 'a closed loop' : 'an open track'}! Racing line generated.`, 'success');
   }, 100);
 }
 
@@ -522,20 +1335,834 @@ function updateUI() {
   
   // Update track length
   if (canvasManager.trackPoints.length > 1) {
-    trackData.length = trackLength(canvasManager.trackPoints);
+    trackData.length = trackLength(
+      canvasManager.trackPoints,
+      canvasManager.closedLoop,
+      canvasManager.metersPerPixel
+    );
     document.getElementById('trackLen').textContent = formatDistance(trackData.length);
   } else {
     document.getElementById('trackLen').textContent = '0m';
   }
   
-  // Update lap time
-  if (canvasManager.racingLine && canvasManager.racingLine.length > 1) {
-    const lapTime = calculateLapTime(canvasManager.racingLine, trackData);
+  // Update world scale read-out
+  const scaleEl = document.getElementById('scaleValue');
+  if (scaleEl) {
+    scaleEl.textContent = formatScale(canvasManager.metersPerPixel);
+  }
+  
+  // Update lap time, telemetry and the comparison with the reference line
+  const line = canvasManager.racingLine;
+  if (line && line.length > 1) {
+    const lap = simulateRacingLine(line, trackData);
     document.getElementById('lapTime').textContent = 
-      lapTime === Infinity ? '--' : lapTime.toFixed(2) + 's';
+      lap.lapTime === Infinity ? '--' : lap.lapTime.toFixed(2) + 's';
+    updateTelemetry(buildTelemetry(line, trackData, lap));
+    updateComparison({ line, lap });
+    const points = canvasManager.trackPoints;
+    renderCornerTable(points.length > 2
+      ? analyzeCorners(line, { points, closed: trackData.closed, metersPerPixel: canvasManager.metersPerPixel }, lap)
+      : []);
   } else {
     document.getElementById('lapTime').textContent = '--';
+    updateTelemetry(null);
+    updateComparison(null);
+    renderCornerTable([]);
   }
+  const brakeSheetBtn = document.getElementById('brakeSheetBtn');
+  if (brakeSheetBtn) brakeSheetBtn.disabled = !(line && line.length > 1);
+  const reportBtn = document.getElementById('reportBtn');
+  if (reportBtn) reportBtn.disabled = !(line && line.length > 1);
+  
+  scheduleAutosave();
+}
+
+/**
+ * Fill the corner report table; hovering a row marks that corner's apex
+ * @param {Array} corners - analyzeCorners result
+ */
+function renderCornerTable(corners) {
+  const table = document.getElementById('cornerTable');
+  if (!table) return;
+  const body = table.querySelector('tbody');
+  body.innerHTML = '';
+  const speed = (ms) => (units === 'metric' ? (ms * 3.6).toFixed(0) : (ms * 2.23694).toFixed(0));
+  const radius = (m) => (units === 'metric' ? m.toFixed(0) + ' m' : (m * 3.28084).toFixed(0) + ' ft');
+  
+  for (const corner of corners) {
+    const row = document.createElement('tr');
+    const cells = [
+      corner.name,
+      corner.direction === 'left' ? '↰ L' : '↱ R',
+      radius(corner.minRadius),
+      speed(corner.entrySpeed),
+      speed(corner.minSpeed),
+      speed(corner.exitSpeed)
+    ];
+    for (const text of cells) {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+    row.addEventListener('mouseenter', () => {
+      canvasManager.highlightPoint = corner.apex;
+      canvasManager.render();
+    });
+    row.addEventListener('mouseleave', () => {
+      canvasManager.highlightPoint = null;
+      canvasManager.render();
+    });
+    body.appendChild(row);
+  }
+  
+  table.caption.textContent = 'Speeds in ' + (units === 'metric' ? 'km/h' : 'mph');
+  table.style.display = corners.length > 0 ? 'table' : 'none';
+  const empty = document.getElementById('cornerEmpty');
+  if (empty) empty.style.display = corners.length > 0 ? 'none' : 'block';
+}
+
+/**
+ * Load a track file into the app: the canvas, the kart and units stored with
+ * it, and everything derived from the track
+ * @param {Object|string} data - Track file contents
+ * @returns {Object} The track at the current version
+ */
+function applyTrackFile(data) {
+  const track = canvasManager.loadTrackJSON(data);
+  if (track.kart) {
+    kart.updateParameters(track.kart);
+    syncPhysicsControls();
+  }
+  setUnits(track.units);
+  optimizerResults = {};
+  renderOptimizerResults();
+  setReferenceLine(null);
+  syncTrackSettings();
+  syncBackgroundControls();
+  updateUI();
+  restoreBackground();
+  return track;
+}
+
+/**
+ * Open the track library, restore the autosaved session and list the saved tracks
+ * Without IndexedDB the app still works; tracks are then only kept as downloads.
+ * @param {boolean} restoreSession - Load the autosaved track (not when opening a shared link)
+ */
+async function initTrackLibrary(restoreSession = true) {
+  let db;
+  try {
+    db = await openTrackLibrary();
+  } catch (err) {
+    console.warn('Track library unavailable:', err);
+    const status = document.getElementById('autosaveStatus');
+    if (status) status.textContent = 'Library unavailable in this browser - use Save Track to keep your work';
+    return;
+  }
+  try {
+    const saved = restoreSession ? await loadAutosave(db) : null;
+    if (saved && saved.track && saved.track.trackPoints.length > 0) {
+      applyTrackFile(saved.track);
+      // Bring back undo/redo as it was
+      if (Array.isArray(saved.history) && saved.historyIndex >= 0 && saved.historyIndex < saved.history.length) {
+        canvasManager.history = saved.history;
+        canvasManager.historyIndex = saved.historyIndex;
+      }
+      libraryTrackId = saved.libraryId || null;
+      showMessage('Restored your last session', 'info');
+    }
+  } catch (err) {
+    console.warn('Could not restore the autosaved track:', err);
+  }
+  trackLibrary = db;
+  syncLibraryFields();
+  refreshLibraryList();
+}
+
+/**
+ * Autosave the working track a moment after the last change
+ */
+function scheduleAutosave() {
+  if (!trackLibrary) return;
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(autosaveWorkingTrack, 1000);
+}
+
+/**
+ * Store the working track and its undo history in the autosave slot
+ */
+async function autosaveWorkingTrack() {
+  try {
+    await saveAutosave(trackLibrary, {
+      track: canvasManager.saveTrackJSON({ kart: kart.getParameters(), units }),
+      history: canvasManager.history,
+      historyIndex: canvasManager.historyIndex,
+      libraryId: libraryTrackId
+    });
+    const status = document.getElementById('autosaveStatus');
+    if (status) status.textContent = 'Autosaved ' + new Date().toLocaleTimeString();
+  } catch (err) {
+    console.warn('Autosave failed:', err);
+  }
+}
+
+/**
+ * Fill the library name and tag fields from the working track's entry
+ * Callers don't wait for it, so a library error is reported here
+ */
+async function syncLibraryFields() {
+  let record = null;
+  try {
+    record = trackLibrary && libraryTrackId ? await getLibraryTrack(trackLibrary, libraryTrackId) : null;
+  } catch (err) {
+    showMessage('Could not read the track library: ' + err.message, 'error');
+  }
+  document.getElementById('libraryName').value = record ? record.name : canvasManager.trackMetadata.name;
+  document.getElementById('libraryTags').value = record ? record.tags.join(', ') : '';
+}
+
+/**
+ * Save the working track to the library, updating its entry if it came from one
+ */
+async function saveToLibrary() {
+  if (!trackLibrary) {
+    showMessage('The track library is not available in this browser', 'warning');
+    return;
+  }
+  if (canvasManager.trackPoints.length === 0) {
+    showMessage('No track to save!', 'warning');
+    return;
+  }
+  try {
+    const existing = libraryTrackId ? await getLibraryTrack(trackLibrary, libraryTrackId) : null;
+    const others = (await listLibraryTracks(trackLibrary)).filter(r => !existing || r.id !== existing.id);
+    const wanted = document.getElementById('libraryName').value.trim() || canvasManager.trackMetadata.name || 'Untitled track';
+    const record = createLibraryRecord(canvasManager.saveTrackJSON({ kart: kart.getParameters(), units }), {
+      id: existing ? existing.id : null,
+      name: uniqueTrackName(wanted, others.map(r => r.name)),
+      tags: parseTags(document.getElementById('libraryTags').value),
+      created: existing ? existing.created : null
+    });
+    await putLibraryTrack(trackLibrary, record);
+    libraryTrackId = record.id;
+    canvasManager.trackMetadata.name = record.name;
+    document.getElementById('libraryName').value = record.name;
+    scheduleAutosave();
+    refreshLibraryList();
+    showMessage(`Saved "${record.name}" to the library`, 'success');
+  } catch (err) {
+    showMessage('Could not save to the library: ' + err.message, 'error');
+  }
+}
+
+/**
+ * Open a library entry as the working track
+ */
+async function openLibraryTrack(id) {
+  try {
+    const record = await getLibraryTrack(trackLibrary, id);
+    applyTrackFile(record.track);
+    libraryTrackId = id;
+    syncLibraryFields();
+    refreshLibraryList();
+    showMessage(`Opened "${record.name}"`, 'success');
+  } catch (err) {
+    showMessage('Error opening track: ' + err.message, 'error');
+  }
+}
+
+/**
+ * Copy a library entry under a new name
+ */
+async function duplicateLibraryTrack(id) {
+  const record = await getLibraryTrack(trackLibrary, id);
+  const names = (await listLibraryTracks(trackLibrary)).map(r => r.name);
+  const copy = createLibraryRecord(record.track, { name: uniqueTrackName(`${record.name} (copy)`, names), tags: record.tags });
+  await putLibraryTrack(trackLibrary, copy);
+  refreshLibraryList();
+}
+
+/**
+ * Rename a library entry (and the working track if it is the one open)
+ */
+async function renameLibraryTrack(id) {
+  const record = await getLibraryTrack(trackLibrary, id);
+  const wanted = prompt('Rename track', record.name);
+  if (!wanted || !wanted.trim() || wanted.trim() === record.name) return;
+  const names = (await listLibraryTracks(trackLibrary)).filter(r => r.id !== id).map(r => r.name);
+  const name = uniqueTrackName(wanted.trim(), names);
+  await putLibraryTrack(trackLibrary, {
+    ...record,
+    name,
+    modified: new Date().toISOString(),
+    track: { ...record.track, metadata: { ...record.track.metadata, name } }
+  });
+  if (id === libraryTrackId) {
+    canvasManager.trackMetadata.name = name;
+    document.getElementById('libraryName').value = name;
+  }
+  refreshLibraryList();
+}
+
+/**
+ * Delete a library entry after confirmation
+ */
+async function removeLibraryTrack(id) {
+  const record = await getLibraryTrack(trackLibrary, id);
+  if (!confirm(`Delete "${record.name}" from the library?`)) return;
+  await deleteLibraryTrack(trackLibrary, id);
+  if (id === libraryTrackId) libraryTrackId = null;
+  refreshLibraryList();
+}
+
+/**
+ * List the library entries matching the search field, each with its
+ * thumbnail and open/duplicate/rename/delete actions
+ * Callers don't wait for it, so a library error is reported here
+ */
+async function refreshLibraryList() {
+  const list = document.getElementById('libraryList');
+  if (!list || !trackLibrary) return;
+  let records;
+  try {
+    records = searchLibrary(await listLibraryTracks(trackLibrary), document.getElementById('librarySearch').value);
+  } catch (err) {
+    showMessage('Could not read the track library: ' + err.message, 'error');
+    return;
+  }
+  const actions = [
+    ['Open', openLibraryTrack],
+    ['Duplicate', duplicateLibraryTrack],
+    ['Rename', renameLibraryTrack],
+    ['Delete', removeLibraryTrack]
+  ];
+
+  list.innerHTML = '';
+  for (const record of records) {
+    const item = document.createElement('li');
+    item.className = record.id === libraryTrackId ? 'library-item current' : 'library-item';
+    if (record.thumbnail) {
+      const thumb = document.createElement('img');
+      thumb.src = record.thumbnail;
+      thumb.alt = '';
+      item.appendChild(thumb);
+    }
+    const info = document.createElement('div');
+    const name = document.createElement('strong');
+    name.textContent = record.name;
+    const details = document.createElement('small');
+    details.textContent = [new Date(record.modified).toLocaleDateString(), ...record.tags.map(tag => '#' + tag)].join(' ');
+    info.append(name, details);
+    const buttons = document.createElement('div');
+    for (const [label, action] of actions) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.addEventListener('click', () => action(record.id).catch(err => showMessage(err.message, 'error')));
+      buttons.appendChild(button);
+    }
+    info.appendChild(buttons);
+    item.appendChild(info);
+    list.appendChild(item);
+  }
+  const empty = document.getElementById('libraryEmpty');
+  if (empty) {
+    empty.textContent = document.getElementById('librarySearch').value.trim() ? 'No tracks match' : 'No saved tracks yet';
+    empty.style.display = records.length > 0 ? 'none' : 'block';
+  }
+}
+
+/**
+ * Open a track from a share link
+ * The fragment is removed once loaded, so a refresh keeps later edits.
+ * @param {string} hash - location.hash starting with SHARE_HASH_PREFIX
+ */
+async function loadSharedTrack(hash) {
+  try {
+    const track = applyTrackFile(await decodeShareLink(hash));
+    libraryTrackId = null;
+    syncLibraryFields();
+    history.replaceState(null, '', location.pathname + location.search);
+    showMessage(`Opened shared track${track.metadata.name ? ` "${track.metadata.name}"` : ''}`, 'success');
+  } catch (err) {
+    showMessage('Error opening shared track: ' + err.message, 'error');
+  }
+}
+
+/**
+ * Copy a link to the current track, kart and (optionally) racing line
+ */
+async function shareTrackLink() {
+  if (canvasManager.trackPoints.length === 0) {
+    showMessage('No track to share!', 'warning');
+    return;
+  }
+  const includeLine = document.getElementById('shareRacingLine').checked;
+  let url;
+  try {
+    const hash = await encodeShareLink(canvasManager.saveTrackJSON({ kart: kart.getParameters(), units }), includeLine);
+    url = location.href.split('#')[0] + hash;
+  } catch (err) {
+    showMessage('Could not create the link: ' + err.message, 'error');
+    return;
+  }
+  const note = url.length > SHARE_LINK_WARN_LENGTH
+    ? ` (${url.length} characters: some chat apps cut long links${includeLine ? ', try without the racing line' : ''})`
+    : '';
+  try {
+    await navigator.clipboard.writeText(url);
+    showMessage('Share link copied' + note, note ? 'warning' : 'success');
+  } catch (err) {
+    // No clipboard access (e.g. not served over HTTPS): let the user copy it
+    prompt('Copy this link' + note, url);
+  }
+}
+
+/**
+ * Offer text to the user as a file download
+ */
+function downloadFile(text, fileName, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Export the track and racing line
+ * @param {string} format - 'svg', 'csv', 'gpx' or 'kml'
+ */
+function exportTrack(format) {
+  if (canvasManager.trackPoints.length < 2) {
+    showMessage('No track to export!', 'warning');
+    return;
+  }
+  const line = canvasManager.racingLine && canvasManager.racingLine.length > 1 ? canvasManager.racingLine : null;
+  const track = {
+    points: canvasManager.trackPoints,
+    closed: trackData.closed,
+    trackWidth: canvasManager.trackWidth,
+    metersPerPixel: canvasManager.metersPerPixel
+  };
+  const name = canvasManager.trackMetadata.name || 'Track';
+  const baseName = `${name.toLowerCase().replace(/[^a-z0-9]+/g, '_')}_${Date.now()}`;
+
+  try {
+    if (format === 'svg') {
+      const lap = line ? simulateRacingLine(line, trackData) : null;
+      const title = lap ? `${name} - lap ${formatLapTime(lap.lapTime)}` : name;
+      downloadFile(exportSVG(track, line, lap, title), `${baseName}.svg`, 'image/svg+xml');
+    } else if (format === 'csv') {
+      if (!line) {
+        showMessage('Generate a racing line first', 'warning');
+        return;
+      }
+      const lap = simulateRacingLine(line, trackData);
+      downloadFile(exportCSV(buildTelemetry(line, trackData, lap), lap, track.metersPerPixel), `${baseName}.csv`, 'text/csv');
+    } else {
+      if (!canvasManager.geoReference) {
+        showMessage('GPX and KML need a track built from a GPS lap', 'warning');
+        return;
+      }
+      const text = format === 'gpx'
+        ? exportGPX(track, line, canvasManager.geoReference, name)
+        : exportKML(track, line, canvasManager.geoReference, name);
+      const type = format === 'gpx' ? 'application/gpx+xml' : 'application/vnd.google-earth.kml+xml';
+      downloadFile(text, `${baseName}.${format}`, type);
+    }
+    showMessage(`Exported ${format.toUpperCase()}`, 'success');
+  } catch (err) {
+    showMessage('Export failed: ' + err.message, 'error');
+  }
+}
+
+/**
+ * Open a printable sheet for drivers: where to brake for each corner, which
+ * distance boards stand before it, and the track with its braking zones
+ */
+function printBrakeSheet() {
+  const line = canvasManager.racingLine;
+  if (!line || line.length < 2) {
+    showMessage('Generate a racing line first', 'warning');
+    return;
+  }
+  const lap = simulateRacingLine(line, trackData);
+  const points = canvasManager.trackPoints;
+  const corners = points.length > 2
+    ? analyzeCorners(line, { points, closed: trackData.closed, metersPerPixel: canvasManager.metersPerPixel }, lap)
+    : [];
+  const closed = !!trackData.closed && line.length > 2;
+  const brakes = findBrakePoints(line, lap, closed, kart.topSpeed(), corners);
+  if (brakes.length === 0) {
+    showMessage('This line has no braking zones', 'info');
+    return;
+  }
+  
+  // Snapshot the track with the zones drawn, whether or not they are shown
+  const showZones = canvasManager.showZones;
+  canvasManager.showZones = true;
+  canvasManager.render();
+  const snapshot = document.createElement('canvas');
+  snapshot.width = canvasManager.canvas.width;
+  snapshot.height = canvasManager.canvas.height;
+  const snapshotCtx = snapshot.getContext('2d');
+  snapshotCtx.drawImage(canvasManager.canvas, 0, 0);
+  if (canvasManager.overlay) snapshotCtx.drawImage(canvasManager.overlay, 0, 0);
+  canvasManager.showZones = showZones;
+  canvasManager.render();
+  
+  const speedUnit = units === 'metric' ? 'km/h' : 'mph';
+  const speed = (ms) => (units === 'metric' ? (ms * 3.6).toFixed(0) : (ms * 2.23694).toFixed(0));
+  const rows = brakes.map((brake) => `
+    <tr>
+      <td>${brake.corner || '-'}</td>
+      <td>${formatDistance(brake.distance)}</td>
+      <td>${formatDistance(brake.brakingDistance)}</td>
+      <td>${brake.boards.map(board => board.distance).join(', ') || '-'}</td>
+      <td>${speed(brake.speedFrom)} → ${speed(brake.speedTo)}</td>
+    </tr>`).join('');
+  
+  const sheet = window.open('', '_blank');
+  if (!sheet) {
+    showMessage('Allow pop-ups to print the brake sheet', 'warning');
+    return;
+  }
+  sheet.document.write(`<!DOCTYPE html>
+<html><head><title>Brake Sheet</title>
+<style>
+  body { font-family: sans-serif; margin: 20px; }
+  table { border-collapse: collapse; margin-bottom: 16px; }
+  th, td { border: 1px solid #999; padding: 4px 10px; text-align: left; }
+  img { max-width: 100%; border: 1px solid #ccc; }
+</style></head>
+<body>
+  <h2>Brake Sheet - lap ${formatLapTime(lap.lapTime)}</h2>
+  <table>
+    <thead><tr><th>Corner</th><th>Brake at (lap)</th><th>Braking distance</th><th>Boards before entry (m)</th><th>Speed (${speedUnit})</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>
+  <p><small>Distance boards are trackside markers, always in meters</small></p>
+  <img src="${snapshot.toDataURL('image/png')}" alt="Track with braking (red), cornering (yellow) and full-throttle (green) zones" onload="window.print()">
+</body></html>`);
+  sheet.document.close();
+}
+
+/**
+ * Open the driver briefing for the current track and racing line in a new
+ * window: track map with corner numbers, corner table with brake points and
+ * target speeds, speed trace, kart setup and lap time, ready to print or save as PDF
+ */
+function openDriverReport() {
+  const line = canvasManager.racingLine;
+  if (!line || line.length < 2) {
+    showMessage('Generate a racing line first', 'warning');
+    return;
+  }
+  const lap = simulateRacingLine(line, trackData);
+  const points = canvasManager.trackPoints;
+  const track = {
+    points,
+    closed: trackData.closed,
+    trackWidth: canvasManager.trackWidth,
+    metersPerPixel: canvasManager.metersPerPixel
+  };
+  const corners = points.length > 2 ? analyzeCorners(line, track, lap) : [];
+  const closed = !!trackData.closed && line.length > 2;
+  const labels = corners.map(corner => ({ x: corner.apex.x, y: corner.apex.y, text: corner.name.slice(1) }));
+  const speedFactor = units === 'metric' ? 3.6 : 2.23694;
+  
+  const html = buildDriverReport({
+    title: canvasManager.trackMetadata.name || 'Track',
+    lapTime: lap.lapTime,
+    lapLength: lap.lapLength,
+    trackMap: exportSVG(track, line, lap, '', labels),
+    corners,
+    brakes: findBrakePoints(line, lap, closed, kart.topSpeed(), corners),
+    telemetry: buildTelemetry(line, trackData, lap),
+    kart: kart.getParameters(),
+    topSpeed: kart.topSpeed()
+  }, {
+    speed: (ms) => (ms * speedFactor).toFixed(0),
+    speedUnit: units === 'metric' ? 'km/h' : 'mph',
+    distance: formatDistance,
+    lapTime: formatLapTime
+  });
+  
+  const sheet = window.open('', '_blank');
+  if (!sheet) {
+    showMessage('Allow pop-ups to open the driver report', 'warning');
+    return;
+  }
+  sheet.document.write(html);
+  sheet.document.close();
+  sheet.focus();
+  sheet.print();
+}
+
+/**
+ * Pin a reference line (null unpins it)
+ * @param {Object|null} reference - {line, lap}
+ */
+function setReferenceLine(reference) {
+  referenceLine = reference;
+  canvasManager.referenceLine = reference ? reference.line : null;
+  const clearBtn = document.getElementById('clearReferenceBtn');
+  if (clearBtn) clearBtn.disabled = !reference;
+  canvasManager.render();
+}
+
+/**
+ * Read a logged lap file, asking which lap to use when it holds several
+ * @param {string} text - CSV or GPX file contents
+ * @param {string} fileName - File name
+ * @returns {Object|null} {samples, name}, or null if the user cancelled
+ */
+function readLoggedLap(text, fileName) {
+  const laps = splitLaps(parseLapFile(text, fileName));
+  if (laps.length === 1) return { samples: laps[0], name: fileName || 'logged lap' };
+
+  const lapTimes = laps.map(lap => lap[lap.length - 1].time);
+  const fastest = lapTimes.indexOf(Math.min(...lapTimes));
+  const list = lapTimes.map((t, i) => `${i + 1}: ${t.toFixed(2)}s`).join('\n');
+  const answer = prompt(`${fileName} holds ${laps.length} laps:\n${list}\n\nLap to use:`, String(fastest + 1));
+  if (answer === null) return null;
+  const index = parseInt(answer, 10) - 1;
+  if (!(index >= 0 && index < laps.length)) throw new Error(`No lap ${answer.trim()} in ${fileName}`);
+  return { samples: laps[index], name: `${fileName} lap ${index + 1}` };
+}
+
+/**
+ * Build the track from a logged lap: the centerline follows the driven trace
+ * and the scale is set so the circuit fits the view at its real size
+ * @param {Array} samples - Lap samples (readLoggedLap)
+ * @param {string} name - Lap name
+ */
+function buildTrackFromLap(samples, name) {
+  const lap = projectLap(samples);
+  const { points, closed } = buildCenterline(lap.points);
+  
+  // Fit the circuit into 80% of the canvas at zoom 1
+  const width = canvasManager.canvas.clientWidth || 800;
+  const height = canvasManager.canvas.clientHeight || 600;
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const spanX = Math.max(...xs) - minX;
+  const spanY = Math.max(...ys) - minY;
+  const metersPerPixel = Math.max(spanX / (width * 0.8), spanY / (height * 0.8), 0.01);
+  // Pixel position of the projection origin, so logged laps can be overlaid exactly
+  const originX = (width - spanX / metersPerPixel) / 2 - minX / metersPerPixel;
+  const originY = (height - spanY / metersPerPixel) / 2 - minY / metersPerPixel;
+  
+  canvasManager.trackPoints = points.map(p => ({
+    x: originX + p.x / metersPerPixel,
+    y: originY + p.y / metersPerPixel
+  }));
+  canvasManager.racingLine = null;
+  canvasManager.optimizerRun = null;
+  canvasManager.closedLoop = closed;
+  canvasManager.metersPerPixel = metersPerPixel;
+  canvasManager.geoReference = { lat: lap.origin.lat, lon: lap.origin.lon, x: originX, y: originY, metersPerPixel };
+  canvasManager.scale = 1;
+  canvasManager.panX = 0;
+  canvasManager.panY = 0;
+  canvasManager.saveToHistory();
+  optimizerResults = {};
+  renderOptimizerResults();
+  setReferenceLine(null);
+  syncTrackSettings();
+  canvasManager.render();
+  updateUI();
+  
+  // Generate a line, then pin the driven lap for comparison
+  // (outside the caller's try/catch, so failures are reported here)
+  setTimeout(() => {
+    try {
+      generateRacingLine();
+      importLoggedLap(samples, name);
+    } catch (err) {
+      showMessage('Error importing lap: ' + err.message, 'error');
+    }
+  }, 100);
+  showMessage(`Track built from ${name}: ${formatDistance(trackData.length)}${closed ? ', closed loop' : ''}`, 'success');
+}
+
+/**
+ * Import a logged lap and pin it as the reference line
+ * On a track built from GPS the trace is placed by its coordinates; otherwise
+ * it is scaled to canvas pixels and centred on the track (or the view when
+ * there is no track yet), so it can be compared with the racing line.
+ * @param {Array} samples - Lap samples (readLoggedLap)
+ * @param {string} name - Lap name
+ */
+function importLoggedLap(samples, name) {
+  const geo = canvasManager.geoReference;
+  let lap;
+  let line;
+  if (geo) {
+    lap = projectLap(samples, { lat: geo.lat, lon: geo.lon });
+    line = lap.points.map(p => ({ x: geo.x + p.x / geo.metersPerPixel, y: geo.y + p.y / geo.metersPerPixel }));
+  } else {
+    lap = projectLap(samples);
+    const mpp = canvasManager.metersPerPixel;
+    const points = canvasManager.trackPoints;
+    const centroid = (pts) => ({
+      x: pts.reduce((sum, p) => sum + p.x, 0) / pts.length,
+      y: pts.reduce((sum, p) => sum + p.y, 0) / pts.length
+    });
+    const traceCenter = centroid(lap.points);
+    const target = points.length > 0
+      ? centroid(points)
+      : {
+          x: (canvasManager.canvas.clientWidth / 2 - canvasManager.panX) / canvasManager.scale,
+          y: (canvasManager.canvas.clientHeight / 2 - canvasManager.panY) / canvasManager.scale
+        };
+    line = lap.points.map(p => ({
+      x: target.x + (p.x - traceCenter.x) / mpp,
+      y: target.y + (p.y - traceCenter.y) / mpp
+    }));
+  }
+  
+  setReferenceLine({
+    line,
+    lap: { times: lap.times, speeds: lap.speeds, lapTime: lap.times[lap.times.length - 1] },
+    name
+  });
+  updateUI();
+  showMessage(`Logged lap imported: ${lap.points.length} samples, ${lap.times[lap.times.length - 1].toFixed(2)}s`, 'success');
+}
+
+/**
+ * Show the delta to the reference line for the current line
+ * @param {Object|null} current - {line, lap}, or null when there is no racing line
+ */
+function updateComparison(current) {
+  const panel = document.getElementById('comparisonPanel');
+  if (!panel) return;
+  const points = canvasManager.trackPoints;
+  if (!referenceLine || !current || points.length < 2 || !isFinite(current.lap.lapTime) || !isFinite(referenceLine.lap.lapTime)) {
+    panel.style.display = 'none';
+    return;
+  }
+  panel.style.display = 'block';
+  // Time both lines against the current centerline
+  const closed = canvasManager.closedLoop && points.length > 2;
+  const comparison = compareLines(referenceLine, current, { points, closed, metersPerPixel: canvasManager.metersPerPixel });
+  
+  const sign = (t) => (t > 0 ? '+' : t < 0 ? '−' : '±') + Math.abs(t).toFixed(3) + 's';
+  document.getElementById('lapDeltaText').textContent =
+    `Δ to ${referenceLine.name}: ${sign(comparison.lapDelta)} (${referenceLine.lap.lapTime.toFixed(2)}s)`;
+  drawDeltaChart(comparison);
+  drawSpeedCompareChart(comparison);
+  
+  const list = document.getElementById('cornerDeltas');
+  list.innerHTML = '';
+  for (const corner of comparison.corners) {
+    const item = document.createElement('li');
+    item.textContent = `${corner.name}: ${sign(corner.delta)}`;
+    item.className = corner.delta > 0.0005 ? 'loss' : corner.delta < -0.0005 ? 'gain' : '';
+    list.appendChild(item);
+  }
+}
+
+/**
+ * Plot delta time against centerline distance, with the corner boundaries
+ * Above the zero line the current line is behind the reference
+ */
+function drawDeltaChart(comparison) {
+  const canvas = document.getElementById('deltaCanvas');
+  if (!canvas) return;
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  ctx.clearRect(0, 0, width, height);
+  
+  const { distance: dist, delta, corners } = comparison;
+  const length = dist[dist.length - 1] || 1;
+  const extent = Math.max(0.01, ...delta.map(Math.abs));
+  const pad = 6;
+  const xAt = (s) => pad + (s / length) * (width - 2 * pad);
+  const yAt = (d) => height / 2 - (d / extent) * (height / 2 - pad);
+  
+  ctx.strokeStyle = '#e0e0e0';
+  ctx.lineWidth = 1;
+  ctx.fillStyle = '#666';
+  ctx.font = '10px sans-serif';
+  for (const corner of corners) {
+    const x = xAt((corner.start + length) % length);
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, height);
+    ctx.stroke();
+    const apexX = xAt(((corner.start + corner.end) / 2 + length) % length);
+    ctx.fillText(corner.name, apexX - 6, 10);
+  }
+  ctx.strokeStyle = '#999';
+  ctx.beginPath();
+  ctx.moveTo(pad, yAt(0));
+  ctx.lineTo(width - pad, yAt(0));
+  ctx.stroke();
+  
+  ctx.strokeStyle = '#0066cc';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  dist.forEach((s, i) => {
+    if (i === 0) ctx.moveTo(xAt(s), yAt(delta[i]));
+    else ctx.lineTo(xAt(s), yAt(delta[i]));
+  });
+  ctx.stroke();
+  
+  ctx.fillStyle = '#666';
+  ctx.fillText(`±${extent.toFixed(2)}s`, pad, height - pad);
+}
+
+/**
+ * Plot the reference (purple) and current (blue) speed against centerline distance
+ */
+function drawSpeedCompareChart(comparison) {
+  const canvas = document.getElementById('speedCompareCanvas');
+  if (!canvas) return;
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  ctx.clearRect(0, 0, width, height);
+  
+  const { distance: dist, referenceSpeed, currentSpeed } = comparison;
+  const length = dist[dist.length - 1] || 1;
+  const max = Math.max(1, ...referenceSpeed, ...currentSpeed);
+  const pad = 6;
+  const xAt = (s) => pad + (s / length) * (width - 2 * pad);
+  const yAt = (v) => height - pad - (v / max) * (height - 2 * pad);
+  
+  const trace = (values, color) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    dist.forEach((s, i) => {
+      if (i === 0) ctx.moveTo(xAt(s), yAt(values[i]));
+      else ctx.lineTo(xAt(s), yAt(values[i]));
+    });
+    ctx.stroke();
+  };
+  trace(referenceSpeed, '#9933cc');
+  trace(currentSpeed, '#0066cc');
+  
+  ctx.fillStyle = '#666';
+  ctx.font = '10px sans-serif';
+  const top = units === 'metric' ? (max * 3.6).toFixed(0) + ' km/h' : (max * 2.23694).toFixed(0) + ' mph';
+  ctx.fillText(top, pad, pad + 8);
+}
+
+/**
+ * Show telemetry for the current racing line (null clears the charts)
+ */
+function updateTelemetry(telemetry) {
+  if (!telemetryPanel) return;
+  telemetryPanel.units = units;
+  telemetryPanel.setData(telemetry);
+  if (!telemetry) canvasManager.highlightPoint = null;
 }
 
 function formatDistance(meters) {
@@ -545,6 +2172,20 @@ function formatDistance(meters) {
   return feet.toFixed(1) + ' ft';
 }
 
+/**
+ * Format a lap time as m:ss.sss
+ */
+function formatLapTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = seconds - minutes * 60;
+  return `${minutes}:${rest.toFixed(3).padStart(6, '0')}`;
+}
+
+function formatScale(metersPerPixel) {
+  if (units === 'metric') return metersPerPixel.toPrecision(3) + ' m/px';
+  return (metersPerPixel * 3.28084).toPrecision(3) + ' ft/px';
+}
+
 /**
  * Show temporary message to user
  */
@@ -613,9 +2254,15 @@ class RaceSimulator {
     this.isPlaying = false;
     this.speedMultiplier = 1;
     this.currentDist = 0; // meters along line
+    this.lapClock = 0; // seconds into the current lap
+    this.lapCount = 0; // completed laps (closed tracks)
+    this.lastLapTime = null; // seconds, once a lap has been completed
     this.lastTime = null;
     this.totalLength = 0;
     this.cumulative = [];
+    this.lap = null; // KartPhysics.simulateLap result for the current line
+    this.lapTimes = [];
+    this.lapSpeeds = [];
   }
 
   updateProfile() {
@@ -623,21 +2270,57 @@ class RaceSimulator {
     if (!line || line.length < 2) {
       this.totalLength = 0;
       this.cumulative = [];
+      this.lap = null;
       return;
     }
 
-    // compute cumulative distances
-    this.cumulative = [0];
-    let acc = 0;
-    for (let i = 1; i < line.length; i++) {
-      const a = line[i - 1];
-      const b = line[i];
-      const d = Math.hypot(b.x - a.x, b.y - a.y);
-      acc += d;
-      this.cumulative.push(acc);
-    }
-    this.totalLength = acc;
+    // Simulate the lap; profiles are indexed like cumulative, so a closed
+    // loop gets an extra entry for arriving back at its first point
+    const closed = this.cm.closedLoop && line.length > 2;
+    const lap = simulateRacingLine(line, { closed, metersPerPixel: this.cm.metersPerPixel });
+    const wrap = (values, end) => (closed ? values.concat(end) : values.slice());
+    this.lap = lap;
+    this.cumulative = wrap(lap.distances, lap.lapLength);
+    this.lapTimes = wrap(lap.times, lap.lapTime);
+    this.lapSpeeds = wrap(lap.speeds, lap.speeds[0]);
+    this.totalLength = lap.lapLength;
     if (this.currentDist > this.totalLength) this.currentDist = 0;
+    // Keep the kart where it was; the new profile decides how long it took to get there
+    this.lapClock = this.sampleAt(this.lapTimes, this.currentDist);
+  }
+
+  /**
+   * Put the kart back on the start line with a fresh lap count
+   */
+  reset() {
+    this.currentDist = 0;
+    this.lapClock = 0;
+    this.lapCount = 0;
+    this.lastLapTime = null;
+  }
+
+  /**
+   * Linearly interpolate a profile (indexed like cumulative) at a distance
+   */
+  sampleAt(values, dist) {
+    const c = this.cumulative;
+    let i = 1;
+    while (i < c.length - 1 && c[i] < dist) i++;
+    const span = c[i] - c[i - 1] || 1e-6;
+    const t = Math.max(0, Math.min(1, (dist - c[i - 1]) / span));
+    return values[i - 1] + (values[i] - values[i - 1]) * t;
+  }
+
+  /**
+   * Distance along the line reached at a given time into the lap
+   */
+  distanceAtTime(time) {
+    const times = this.lapTimes;
+    let i = 1;
+    while (i < times.length - 1 && times[i] < time) i++;
+    const span = times[i] - times[i - 1] || 1e-6;
+    const t = Math.max(0, Math.min(1, (time - times[i - 1]) / span));
+    return this.cumulative[i - 1] + (this.cumulative[i] - this.cumulative[i - 1]) * t;
   }
 
   setSpeedMultiplier(m) {
@@ -677,32 +2360,38 @@ class RaceSimulator {
   }
 
   advanceByTime(dt) {
-    if (!this.cm.racingLine || this.cm.racingLine.length < 2) return;
-    // estimate speed at current point using curvature-based corner speed
-    const pos = this.getPositionData(this.currentDist);
-    const radius = pos.radius || Infinity;
-    const baseSpeed = kart.maxCornerSpeed(radius); // m/s
-    const travel = baseSpeed * dt * this.speedMultiplier;
-    this.currentDist += travel;
-    // loop
-    if (this.currentDist > this.totalLength) this.currentDist -= this.totalLength;
+    if (!this.cm.racingLine || this.cm.racingLine.length < 2 || !this.lap) return;
+    // Run the lap clock and place the kart where the simulated lap has it at
+    // that time, so it brakes and accelerates and crosses the line at exactly lapTime
+    this.lapClock += dt * this.speedMultiplier;
+    while (this.lapClock >= this.lap.lapTime && this.lap.lapTime > 0) {
+      this.lapClock -= this.lap.lapTime;
+      this.lastLapTime = this.lap.lapTime;
+      // Open tracks restart from the beginning; only circuits count laps
+      if (this.cm.closedLoop) this.lapCount++;
+    }
+    this.currentDist = this.distanceAtTime(this.lapClock);
   }
 
   getPositionData(dist) {
     const line = this.cm.racingLine;
     if (!line || line.length < 2) return { x: 0, y: 0, idx: 0, t: 0, radius: Infinity };
-    // clamp
+    // clamp; a closed loop ends on its closing segment, back at line[0]
     if (dist <= 0) return { x: line[0].x, y: line[0].y, idx: 0, t: 0, radius: Infinity };
+    const closed = this.cm.closedLoop && line.length > 2;
     if (dist >= this.totalLength) {
-      const last = line[line.length - 1];
-      return { x: last.x, y: last.y, idx: line.length - 1, t: 0, radius: Infinity };
+      if (!closed) {
+        const last = line[line.length - 1];
+        return { x: last.x, y: last.y, idx: line.length - 1, t: 0, radius: Infinity };
+      }
+      dist = this.totalLength;
     }
 
     // find segment
     let i = 1;
     while (i < this.cumulative.length && this.cumulative[i] < dist) i++;
     const a = line[i - 1];
-    const b = line[i];
+    const b = line[i % line.length];
     const segStart = this.cumulative[i - 1];
     const segLen = this.cumulative[i] - segStart || 1e-6;
     const t = (dist - segStart) / segLen;
@@ -713,7 +2402,7 @@ class RaceSimulator {
     const p1 = line[Math.max(0, i - 2)];
     const p2 = a;
     const p3 = b;
-    const radius = radiusOfCurvature(p1 || p2, p2, p3 || p2);
+    const radius = radiusOfCurvature(p1 || p2, p2, p3 || p2) * this.cm.metersPerPixel;
 
     return { x, y, idx: i - 1, t, radius };
   }
@@ -733,7 +2422,7 @@ class RaceSimulator {
     // compute heading from local segment
     const line = this.cm.racingLine;
     const a = line[Math.max(0, pos.idx)];
-    const b = line[Math.min(line.length - 1, pos.idx + 1)];
+    const b = pointAt(line, pos.idx + 1, this.cm.closedLoop);
     const angle = Math.atan2(b.y - a.y, b.x - a.x);
 
     // draw car as triangle
@@ -750,7 +2439,7 @@ class RaceSimulator {
     ctx.fillStyle = '#000000';
     ctx.font = '12px sans-serif';
     ctx.rotate(-angle);
-    const baseSpeed = kart.maxCornerSpeed(pos.radius || Infinity); // m/s
+    const baseSpeed = this.lap ? this.sampleAt(this.lapSpeeds, this.currentDist) : 0; // m/s
     let speedText = '';
     if (units === 'metric') {
       speedText = (baseSpeed * 3.6).toFixed(1) + ' km/h';
@@ -760,6 +2449,27 @@ class RaceSimulator {
     ctx.fillText(speedText, 10, -8);
 
     ctx.restore();
+
+    this.drawLapClock(ctx);
+    if (telemetryPanel) telemetryPanel.setCursor(this.currentDist);
+  }
+
+  /**
+   * Draw the lap clock in the top-left corner of the view (screen space)
+   */
+  drawLapClock(ctx) {
+    if (!this.lap) return;
+    const lines = [`Lap ${this.lapCount + 1}  ${formatLapTime(this.lapClock)}`];
+    if (this.lastLapTime !== null) lines.push(`Last ${formatLapTime(this.lastLapTime)}`);
+
+    ctx.save();
+    ctx.font = 'bold 14px monospace';
+    const width = Math.max(...lines.map(text => ctx.measureText(text).width)) + 16;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(8, 8, width, 10 + lines.length * 18);
+    ctx.fillStyle = '#ffffff';
+    lines.forEach((text, i) => ctx.fillText(text, 16, 26 + i * 18));
+    ctx.restore();
   }
 }
 
@@ -779,11 +2489,14 @@ window.addEventListener('orientationchange', () => {
 window.addEventListener('resize', () => {
   canvasManager.setupHighDPI();
   canvasManager.render();
+  if (telemetryPanel) telemetryPanel.draw();
 });
 
 // Keyboard shortcuts: Space = play/pause, +/- zoom, f = fit
 window.addEventListener('keydown', (e) => {
   if (!canvasManager) return;
+  // Leave keys typed into text fields alone
+  if (e.target.matches && e.target.matches('input[type="text"], input[type="search"], input[type="number"], textarea')) return;
   if (e.code === 'Space') {
     e.preventDefault();
     if (raceSimulator) {
@@ -817,6 +2530,7 @@ if (typeof module !== 'undefined' && module.exports) {
     generateRacingLine,
     processTrack,
     calculateSegmentSpeeds,
-    updateUI
+    updateUI,
+    RaceSimulator
   };
 }
@@ -0,0 +1,212 @@
+/**
+ * Corner Analysis - Numbered Corners with Turn-In, Apex and Exit
+ * Corners are found on the track centerline, so T1 stays T1 whichever line
+ * is driven; each racing line is then analysed inside those corners.
+ */
+
+// Centerline points tighter than this radius (meters) belong to a corner
+const CORNER_RADIUS_M = 40;
+// Bends turning less than this in total (degrees) are kinks, not corners
+const MIN_CORNER_ANGLE_DEG = 15;
+// Turn-in and exit: where the line's radius opens past this multiple of the apex radius
+const CORNER_EXTENT_FACTOR = 3;
+
+/**
+ * Signed curvature (1/m) at every point: positive turns left on screen
+ */
+function signedCurvatures(points, closed, metersPerPixel) {
+  const n = points.length;
+  return points.map((p, i) => {
+    if (!closed && (i === 0 || i === n - 1)) return 0;
+    const prev = pointAt(points, i - 1, closed);
+    const next = pointAt(points, i + 1, closed);
+    // Canvas y points down, so a negative cross product is a left turn
+    const cross = (p.x - prev.x) * (next.y - p.y) - (p.y - prev.y) * (next.x - p.x);
+    return (cross < 0 ? 1 : -1) * curvature(prev, p, next) / metersPerPixel;
+  });
+}
+
+/**
+ * Find corners along a polyline: runs of points tighter than maxRadius that
+ * turn the same way (a chicane is two corners) and turn far enough in total
+ *
+ * @param {Array} points - Points {x, y}
+ * @param {boolean} closed - True if the points form a closed loop
+ * @param {number} metersPerPixel - Scale of the point coordinates
+ * @param {number} maxRadius - Radius (m) below which a point is part of a corner
+ * @returns {Array} Runs {indices, apex, direction, minRadius, angle} in order along the
+ *   line; indices run forwards and may wrap past the end of a closed loop
+ */
+function detectCorners(points, closed = false, metersPerPixel = 1, maxRadius = CORNER_RADIUS_M) {
+  const n = points.length;
+  if (n < 3) return [];
+  const k = signedCurvatures(points, closed, metersPerPixel);
+  const sideOf = (i) => (Math.abs(k[i]) > 1 / maxRadius ? Math.sign(k[i]) : 0);
+  if (closed && k.every((_, i) => sideOf(i) !== 0)) return []; // one endless corner
+
+  // Start scanning on a straight so a corner across index 0 stays in one run
+  const first = closed ? k.findIndex((_, i) => sideOf(i) === 0) : 0;
+  const runs = [];
+  let run = null;
+  for (let step = 0; step < n; step++) {
+    const i = (first + step) % n;
+    const side = sideOf(i);
+    if (run && side !== run.side) {
+      runs.push(run);
+      run = null;
+    }
+    if (side !== 0) {
+      if (!run) run = { side, indices: [] };
+      run.indices.push(i);
+    }
+  }
+  if (run) runs.push(run);
+
+  return runs.map((r) => {
+    let apex = r.indices[0];
+    let angle = 0;
+    for (const i of r.indices) {
+      if (Math.abs(k[i]) > Math.abs(k[apex])) apex = i;
+      // Heading change at a point: curvature times the average neighbouring segment length
+      const prev = pointAt(points, i - 1, closed);
+      const next = pointAt(points, i + 1, closed);
+      angle += Math.abs(k[i]) * (distance(prev, points[i]) + distance(points[i], next)) / 2 * metersPerPixel;
+    }
+    return {
+      indices: r.indices,
+      apex,
+      direction: r.side > 0 ? 'left' : 'right',
+      minRadius: 1 / Math.abs(k[apex]),
+      angle: angle * 180 / Math.PI
+    };
+  }).filter(c => c.angle >= MIN_CORNER_ANGLE_DEG);
+}
+
+/**
+ * Find the track's corners on the centerline and split the lap between them
+ * Each corner spans from halfway after the previous corner to halfway before
+ * the next.
+ *
+ * @param {Object} trackData - Track information (points, closed, metersPerPixel)
+ * @returns {Array} Corners {name, apexIndex, apex, apexProgress, direction, start, end}
+ *   (progress along the centerline in meters)
+ */
+function findTrackCorners(trackData) {
+  const centerline = trackData.points;
+  const closed = !!trackData.closed && centerline.length > 2;
+  const metersPerPixel = trackData.metersPerPixel || 1;
+  const runs = detectCorners(centerline, closed, metersPerPixel);
+  if (runs.length === 0) return [];
+
+  const cumulative = [0];
+  for (let i = 1; i < centerline.length; i++) {
+    cumulative.push(cumulative[i - 1] + distance(centerline[i - 1], centerline[i]) * metersPerPixel);
+  }
+  const length = trackLength(centerline, closed, metersPerPixel);
+
+  // Number from the start line; a run wrapping past the last point ends beyond length
+  const corners = runs.map((r) => {
+    const firstIdx = r.indices[0];
+    const lastIdx = r.indices[r.indices.length - 1];
+    const first = cumulative[firstIdx];
+    const last = cumulative[lastIdx] + (lastIdx < firstIdx ? length : 0);
+    return { run: r, first, last };
+  }).sort((a, b) => a.first - b.first);
+
+  return corners.map((c, i) => {
+    const prev = corners[i - 1] || (closed ? { last: corners[corners.length - 1].last - length } : null);
+    const next = corners[i + 1] || (closed ? { first: corners[0].first + length } : null);
+    return {
+      name: 'T' + (i + 1),
+      apexIndex: c.run.apex,
+      apex: centerline[c.run.apex],
+      apexProgress: cumulative[c.run.apex],
+      direction: c.run.direction,
+      start: prev ? (prev.last + c.first) / 2 : 0,
+      end: next ? (c.last + next.first) / 2 : length
+    };
+  });
+}
+
+/**
+ * Analyse a racing line corner by corner
+ * Within each track corner the apex is the line's tightest point; turn-in and
+ * exit are where its radius opens past CORNER_EXTENT_FACTOR times the apex
+ * radius.
+ *
+ * @param {Array} racingLine - Racing line points {x, y}
+ * @param {Object} trackData - Track information (points, closed, metersPerPixel)
+ * @param {Object} lap - KartPhysics.simulateLap result for the line
+ * @returns {Array} Corners {name, direction, turnIn, apex, exit, minRadius, minSpeed,
+ *   entrySpeed, exitSpeed} - turnIn/apex/exit are {index, x, y}; radius in m, speeds in m/s
+ */
+function analyzeCorners(racingLine, trackData, lap) {
+  const closed = !!trackData.closed && racingLine.length > 2;
+  const metersPerPixel = trackData.metersPerPixel || 1;
+  const n = racingLine.length;
+  const trackCorners = findTrackCorners(trackData);
+  if (trackCorners.length === 0) return [];
+
+  const progress = timeByProgress(racingLine, lap, trackData).progress.slice(0, n);
+  const length = trackLength(trackData.points, closed, metersPerPixel);
+  const k = signedCurvatures(racingLine, closed, metersPerPixel);
+  const inside = (s, corner) => {
+    if (!closed) return s >= corner.start && s < corner.end;
+    const offset = ((s - corner.start) % length + length) % length;
+    return offset < corner.end - corner.start;
+  };
+  const at = (i) => ({ index: i, x: racingLine[i].x, y: racingLine[i].y });
+
+  const result = [];
+  for (const corner of trackCorners) {
+    const sign = corner.direction === 'left' ? 1 : -1;
+    // Line points in this corner in driving order (scanning from outside it,
+    // so a corner across the line's start is not split)
+    const inWindow = progress.map(s => inside(s, corner));
+    const start = closed ? inWindow.indexOf(false) : 0;
+    if (start === -1) continue;
+    const inCorner = [];
+    for (let step = 0; step < n; step++) {
+      const i = (start + step) % n;
+      if (inWindow[i]) inCorner.push(i);
+      else if (inCorner.length > 0) break;
+    }
+    if (inCorner.length === 0) continue;
+
+    let apexPos = 0;
+    inCorner.forEach((i, pos) => {
+      if (sign * k[i] > sign * k[inCorner[apexPos]]) apexPos = pos;
+    });
+    const apexCurvature = sign * k[inCorner[apexPos]];
+    if (apexCurvature <= 0) continue; // the line runs straight through this bend
+    const limit = apexCurvature / CORNER_EXTENT_FACTOR;
+    let inPos = apexPos;
+    while (inPos > 0 && sign * k[inCorner[inPos - 1]] >= limit) inPos--;
+    let outPos = apexPos;
+    while (outPos < inCorner.length - 1 && sign * k[inCorner[outPos + 1]] >= limit) outPos++;
+
+    const span = inCorner.slice(inPos, outPos + 1);
+    result.push({
+      name: corner.name,
+      direction: corner.direction,
+      turnIn: at(inCorner[inPos]),
+      apex: at(inCorner[apexPos]),
+      exit: at(inCorner[outPos]),
+      minRadius: 1 / apexCurvature,
+      minSpeed: Math.min(...span.map(i => lap.speeds[i])),
+      entrySpeed: lap.speeds[inCorner[inPos]],
+      exitSpeed: lap.speeds[inCorner[outPos]]
+    });
+  }
+  return result;
+}
+
+// Export for Node/Jest testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CORNER_RADIUS_M,
+    detectCorners,
+    findTrackCorners,
+    analyzeCorners
+  };
+}
@@ -0,0 +1,169 @@
+/**
+ * Driving Zones - Braking, Cornering and Full-Throttle Phases
+ * Splits a simulated lap into what the driver is doing on each segment and
+ * answers "where do I brake?" with brake points and distance boards.
+ */
+
+// Longitudinal acceleration (m/s²) beyond which a segment counts as braking or accelerating
+const ZONE_ACCEL_THRESHOLD = 0.3;
+// Braking that sheds less speed than this (m/s) is a lift, not a brake point
+const MIN_BRAKE_SPEED_DROP = 1;
+// Distance boards before each corner entry (meters)
+const BRAKE_BOARDS_M = [100, 50, 25];
+
+/**
+ * Classify every segment of a lap
+ * A segment starts at its point and runs to the next one. At top speed the
+ * kart is still on full throttle even though it no longer accelerates.
+ *
+ * @param {Object} lap - KartPhysics.simulateLap result
+ * @param {number} topSpeed - Top speed in m/s (KartPhysics.topSpeed())
+ * @returns {Array} 'brake' | 'corner' | 'throttle' per point
+ */
+function classifyPhases(lap, topSpeed = Infinity) {
+  return lap.lonAccel.map((accel, i) => {
+    if (accel < -ZONE_ACCEL_THRESHOLD) return 'brake';
+    if (accel > ZONE_ACCEL_THRESHOLD || lap.speeds[i] >= topSpeed * 0.99) return 'throttle';
+    return 'corner';
+  });
+}
+
+/**
+ * Group the lap into zones of one phase
+ * @param {Object} lap - KartPhysics.simulateLap result
+ * @param {boolean} closed - True for a closed loop (the closing segment counts)
+ * @param {number} topSpeed - Top speed in m/s
+ * @returns {Array} Zones {phase, start, end, startDistance, endDistance, entrySpeed, exitSpeed};
+ *   start/end are point indices (end is where the zone's last segment arrives)
+ */
+function findDrivingZones(lap, closed = false, topSpeed = Infinity) {
+  const n = lap.speeds.length;
+  if (n < 2) return [];
+  const phases = classifyPhases(lap, topSpeed);
+  const segmentCount = closed ? n : n - 1;
+
+  const zones = [];
+  for (let i = 0; i < segmentCount; i++) {
+    const last = zones[zones.length - 1];
+    if (last && last.phase === phases[i]) {
+      last.end = i + 1;
+    } else {
+      zones.push({ phase: phases[i], start: i, end: i + 1 });
+    }
+  }
+  // A closed loop's first and last zones are one zone across the start line
+  if (closed && zones.length > 1 && zones[0].phase === zones[zones.length - 1].phase) {
+    const first = zones.shift();
+    zones[zones.length - 1].end = first.end + n;
+  }
+
+  return zones.map(z => {
+    // Only closed loops have zones ending past the last point
+    const wraps = z.end >= n;
+    const end = wraps ? z.end - n : z.end;
+    return {
+      phase: z.phase,
+      start: z.start,
+      end,
+      startDistance: lap.distances[z.start],
+      endDistance: lap.distances[end] + (wraps ? lap.lapLength : 0),
+      entrySpeed: lap.speeds[z.start],
+      exitSpeed: lap.speeds[end]
+    };
+  });
+}
+
+/**
+ * Position and heading at a distance along a line
+ * @param {Array} line - Line points {x, y}
+ * @param {Object} lap - simulateLap result for the line (for its distances)
+ * @param {number} dist - Distance in meters (wraps on closed loops)
+ * @param {boolean} closed - True for a closed loop
+ * @returns {Object} {x, y, heading} - heading in radians
+ */
+function pointAtLapDistance(line, lap, dist, closed = false) {
+  const n = line.length;
+  const d = closed
+    ? ((dist % lap.lapLength) + lap.lapLength) % lap.lapLength
+    : Math.max(0, Math.min(lap.lapLength, dist));
+  let i = 0;
+  while (i < n - 1 && lap.distances[i + 1] <= d) i++;
+  const a = line[i];
+  const b = pointAt(line, i + 1, closed);
+  const segEnd = i + 1 < n ? lap.distances[i + 1] : lap.lapLength;
+  const span = segEnd - lap.distances[i];
+  const t = span > 0 ? Math.min(1, (d - lap.distances[i]) / span) : 0;
+  return {
+    x: a.x + (b.x - a.x) * t,
+    y: a.y + (b.y - a.y) * t,
+    heading: Math.atan2(b.y - a.y, b.x - a.x)
+  };
+}
+
+/**
+ * Brake points: where each braking zone starts, with distance boards counting
+ * down to the corner entry (where braking ends)
+ *
+ * @param {Array} line - Racing line points {x, y}
+ * @param {Object} lap - simulateLap result for the line
+ * @param {boolean} closed - True for a closed loop
+ * @param {number} topSpeed - Top speed in m/s
+ * @param {Array} corners - Optional analyzeCorners result, to name the corner each brake point serves
+ * @returns {Array} Brake points {x, y, heading, distance, brakingDistance, speedFrom, speedTo, corner, boards}
+ *   - boards are {distance, x, y, heading} for the BRAKE_BOARDS_M that fit before the corner
+ */
+function findBrakePoints(line, lap, closed = false, topSpeed = Infinity, corners = []) {
+  const zones = findDrivingZones(lap, closed, topSpeed);
+  const points = [];
+  // Distance from the brake point ahead to a corner's apex
+  const apexAhead = (corner, from) => {
+    const d = lap.distances[corner.apex.index] - from;
+    return closed && d < 0 ? d + lap.lapLength : d;
+  };
+
+  zones.forEach((zone, k) => {
+    if (zone.phase !== 'brake' || zone.entrySpeed - zone.exitSpeed < MIN_BRAKE_SPEED_DROP) return;
+    const brakingDistance = zone.endDistance - zone.startDistance;
+    // Boards stand on the approach: no further back than the previous brake zone's end
+    const prevZones = closed ? zones.slice(k + 1).concat(zones.slice(0, k)).reverse() : zones.slice(0, k).reverse();
+    const prevBrake = prevZones.find(z => z.phase === 'brake');
+    let approach = zone.endDistance;
+    if (prevBrake) approach = zone.endDistance - prevBrake.endDistance;
+    else if (closed) approach = lap.lapLength;
+    if (closed && approach <= 0) approach += lap.lapLength;
+
+    const boards = BRAKE_BOARDS_M
+      .filter(board => board < approach)
+      .map(board => ({ distance: board, ...pointAtLapDistance(line, lap, zone.endDistance - board, closed) }));
+
+    // The corner served is the first whose apex comes after the brake point
+    const corner = corners
+      .filter(c => apexAhead(c, zone.startDistance) >= 0)
+      .sort((a, b) => apexAhead(a, zone.startDistance) - apexAhead(b, zone.startDistance))[0];
+
+    const start = pointAtLapDistance(line, lap, zone.startDistance, closed);
+    points.push({
+      x: start.x,
+      y: start.y,
+      heading: start.heading,
+      distance: zone.startDistance,
+      brakingDistance,
+      speedFrom: zone.entrySpeed,
+      speedTo: zone.exitSpeed,
+      corner: corner ? corner.name : null,
+      boards
+    });
+  });
+  return points;
+}
+
+// Export for Node/Jest testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BRAKE_BOARDS_M,
+    classifyPhases,
+    findDrivingZones,
+    pointAtLapDistance,
+    findBrakePoints
+  };
+}
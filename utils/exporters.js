@@ -0,0 +1,213 @@
+/**
+ * Exporters - Track and Racing Line as SVG, CSV, GPX and KML
+ * SVG and CSV work on any track; GPX and KML place the lines on the map and
+ * need the track's geoReference (tracks built from a GPS lap).
+ */
+
+/**
+ * Escape text for XML content and attributes
+ */
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * The lines of a track export, in canvas pixels
+ * @param {Object} trackData - Track information (points, closed, trackWidth, metersPerPixel)
+ * @param {Array} racingLine - Racing line points {x, y} (optional)
+ * @returns {Array} Lines {key, name, points, closed}: centerline, left and right edge, racing line
+ */
+function exportLines(trackData, racingLine = null) {
+  const centerline = trackData.points || [];
+  const closed = !!trackData.closed && centerline.length > 2;
+  const lines = [];
+  if (centerline.length > 1) {
+    const edges = trackEdges(centerline, trackData.trackWidth || 6, closed, trackData.metersPerPixel || 1);
+    lines.push({ key: 'centerline', name: 'Centerline', points: centerline, closed });
+    lines.push({ key: 'left', name: 'Left edge', points: edges.left, closed });
+    lines.push({ key: 'right', name: 'Right edge', points: edges.right, closed });
+  }
+  if (racingLine && racingLine.length > 1) {
+    lines.push({ key: 'racingLine', name: 'Racing line', points: racingLine, closed: closed && racingLine.length > 2 });
+  }
+  return lines;
+}
+
+/**
+ * SVG drawing of the track for printing: asphalt, edges, dashed centerline
+ * and the racing line coloured by speed, with a scale bar
+ *
+ * @param {Object} trackData - Track information (points, closed, trackWidth, metersPerPixel)
+ * @param {Array} racingLine - Racing line points {x, y} (optional)
+ * @param {Object} lap - simulateLap result for the racing line, to colour it by speed (optional)
+ * @param {string} title - Caption, e.g. the track name and lap time
+ * @param {Array} labels - Numbered markers {x, y, text}, e.g. corner names at their apexes
+ * @returns {string} SVG document
+ */
+function exportSVG(trackData, racingLine = null, lap = null, title = '', labels = []) {
+  const lines = exportLines(trackData, racingLine);
+  const all = lines.flatMap(l => l.points);
+  if (all.length === 0) throw new Error('Nothing to export');
+  const metersPerPixel = trackData.metersPerPixel || 1;
+  const margin = 30;
+  const minX = Math.min(...all.map(p => p.x)) - margin;
+  const minY = Math.min(...all.map(p => p.y)) - margin;
+  const width = Math.max(...all.map(p => p.x)) + margin - minX;
+  const height = Math.max(...all.map(p => p.y)) + margin * 2 - minY;
+  const fmt = (v) => v.toFixed(2);
+  const path = (line) => 'M' + line.points.map(p => `${fmt(p.x)},${fmt(p.y)}`).join(' L') + (line.closed ? ' Z' : '');
+  const byKey = Object.fromEntries(lines.map(l => [l.key, l]));
+
+  const parts = [];
+  if (byKey.centerline) {
+    // Asphalt: the centerline stroked at the track width
+    const asphalt = (trackData.trackWidth || 6) / metersPerPixel;
+    parts.push(`<path d="${path(byKey.centerline)}" fill="none" stroke="#d0d0d0" stroke-width="${fmt(asphalt)}" stroke-linejoin="round"/>`);
+    parts.push(`<path d="${path(byKey.left)}" fill="none" stroke="#333" stroke-width="1.5"/>`);
+    parts.push(`<path d="${path(byKey.right)}" fill="none" stroke="#333" stroke-width="1.5"/>`);
+    parts.push(`<path d="${path(byKey.centerline)}" fill="none" stroke="#fff" stroke-width="1" stroke-dasharray="6 6"/>`);
+  }
+  const line = byKey.racingLine;
+  if (line && lap && lap.speeds.length === line.points.length) {
+    const minSpeed = Math.min(...lap.speeds);
+    const span = Math.max(...lap.speeds) - minSpeed;
+    const segments = line.closed ? line.points.length : line.points.length - 1;
+    for (let i = 0; i < segments; i++) {
+      const a = line.points[i];
+      const b = pointAt(line.points, i + 1, line.closed);
+      const speed = (lap.speeds[i] + lap.speeds[(i + 1) % lap.speeds.length]) / 2;
+      const color = scaleColor(span > 0 ? (speed - minSpeed) / span : 1);
+      parts.push(`<line x1="${fmt(a.x)}" y1="${fmt(a.y)}" x2="${fmt(b.x)}" y2="${fmt(b.y)}" stroke="${color}" stroke-width="3" stroke-linecap="round"/>`);
+    }
+  } else if (line) {
+    parts.push(`<path d="${path(line)}" fill="none" stroke="#00aa3c" stroke-width="3"/>`);
+  }
+  for (const label of labels) {
+    parts.push(`<circle cx="${fmt(label.x)}" cy="${fmt(label.y)}" r="9" fill="#1e3a8a" stroke="#fff" stroke-width="1.5"/>`);
+    parts.push(`<text x="${fmt(label.x)}" y="${fmt(label.y + 3.5)}" text-anchor="middle" font-family="sans-serif" font-size="9" font-weight="bold" fill="#fff">${escapeXML(label.text)}</text>`);
+  }
+
+  // Scale bar: a round length near a fifth of the drawing
+  const target = (width / 5) * metersPerPixel;
+  const barMeters = [1, 2, 5].flatMap(m => [1, 10, 100, 1000].map(k => m * k)).filter(m => m <= target).pop() || 1;
+  const barY = minY + height - 12;
+  parts.push(`<line x1="${fmt(minX + 10)}" y1="${fmt(barY)}" x2="${fmt(minX + 10 + barMeters / metersPerPixel)}" y2="${fmt(barY)}" stroke="#000" stroke-width="2"/>`);
+  parts.push(`<text x="${fmt(minX + 10)}" y="${fmt(barY - 5)}" font-family="sans-serif" font-size="11">${barMeters} m</text>`);
+  if (title) {
+    parts.push(`<text x="${fmt(minX + 10)}" y="${fmt(minY + 16)}" font-family="sans-serif" font-size="14" font-weight="bold">${escapeXML(title)}</text>`);
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${fmt(width)}" height="${fmt(height)}" viewBox="${fmt(minX)} ${fmt(minY)} ${fmt(width)} ${fmt(height)}">
+  <rect x="${fmt(minX)}" y="${fmt(minY)}" width="${fmt(width)}" height="${fmt(height)}" fill="#fff"/>
+  ${parts.join('\n  ')}
+</svg>
+`;
+}
+
+/**
+ * CSV of the racing line's lap, one row per point (and the return to the
+ * start on closed loops), positions in meters
+ *
+ * @param {Object} telemetry - buildTelemetry result
+ * @param {Object} lap - simulateLap result for the same line (for the times)
+ * @param {number} metersPerPixel - Scale of the point coordinates
+ * @returns {string} CSV text with a header row
+ */
+function exportCSV(telemetry, lap, metersPerPixel = 1) {
+  const times = lap.times.concat(telemetry.points.length > lap.times.length ? [lap.lapTime] : []);
+  const rows = ['distance_m,time_s,x_m,y_m,speed_mps,speed_kmh,lat_g,lon_g'];
+  telemetry.points.forEach((p, i) => {
+    rows.push([
+      telemetry.distance[i].toFixed(2),
+      times[i].toFixed(3),
+      (p.x * metersPerPixel).toFixed(2),
+      (p.y * metersPerPixel).toFixed(2),
+      telemetry.speed[i].toFixed(2),
+      (telemetry.speed[i] * 3.6).toFixed(1),
+      telemetry.latG[i].toFixed(3),
+      telemetry.lonG[i].toFixed(3)
+    ].join(','));
+  });
+  return rows.join('\n') + '\n';
+}
+
+/**
+ * Lines as latitude/longitude; closed loops repeat their first point
+ */
+function geoLines(trackData, racingLine, geoReference) {
+  if (!geoReference) throw new Error('GPX and KML export need a track with a geographic reference (built from a GPS lap)');
+  return exportLines(trackData, racingLine).map(line => ({
+    ...line,
+    coords: line.points.concat(line.closed ? [line.points[0]] : []).map(p => canvasToLatLon(p, geoReference))
+  }));
+}
+
+/**
+ * GPX 1.1 with one track per line (centerline, edges, racing line)
+ * @param {Object} trackData - Track information (points, closed, trackWidth, metersPerPixel)
+ * @param {Array} racingLine - Racing line points {x, y} (optional)
+ * @param {Object} geoReference - {lat, lon, x, y, metersPerPixel}
+ * @param {string} name - Track name
+ * @returns {string} GPX document
+ */
+function exportGPX(trackData, racingLine, geoReference, name = 'Track') {
+  const tracks = geoLines(trackData, racingLine, geoReference).map(line => `  <trk>
+    <name>${escapeXML(line.name)}</name>
+    <trkseg>
+${line.coords.map(c => `      <trkpt lat="${c.lat.toFixed(7)}" lon="${c.lon.toFixed(7)}"/>`).join('\n')}
+    </trkseg>
+  </trk>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Karting Racing Line" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${escapeXML(name)}</name></metadata>
+${tracks.join('\n')}
+</gpx>
+`;
+}
+
+/**
+ * KML with one styled placemark per line, for Google Earth
+ * @param {Object} trackData - Track information (points, closed, trackWidth, metersPerPixel)
+ * @param {Array} racingLine - Racing line points {x, y} (optional)
+ * @param {Object} geoReference - {lat, lon, x, y, metersPerPixel}
+ * @param {string} name - Track name
+ * @returns {string} KML document
+ */
+function exportKML(trackData, racingLine, geoReference, name = 'Track') {
+  // KML colours are aabbggrr
+  const styles = { centerline: 'ffffffff', left: 'ff333333', right: 'ff333333', racingLine: 'ff3caa00' };
+  const placemarks = geoLines(trackData, racingLine, geoReference).map(line => `    <Placemark>
+      <name>${escapeXML(line.name)}</name>
+      <Style><LineStyle><color>${styles[line.key]}</color><width>${line.key === 'racingLine' ? 3 : 2}</width></LineStyle></Style>
+      <LineString>
+        <tessellate>1</tessellate>
+        <coordinates>${line.coords.map(c => `${c.lon.toFixed(7)},${c.lat.toFixed(7)},0`).join(' ')}</coordinates>
+      </LineString>
+    </Placemark>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXML(name)}</name>
+${placemarks.join('\n')}
+  </Document>
+</kml>
+`;
+}
+
+// Export for Node/Jest testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    escapeXML,
+    exportLines,
+    exportSVG,
+    exportCSV,
+    exportGPX,
+    exportKML
+  };
+}
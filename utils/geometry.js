@@ -69,27 +69,43 @@ function radiusOfCurvature(p1, p2, p3) {
   return curv === 0 ? Infinity : 1 / curv;
 }
 
+/**
+ * Get the point at index i, wrapping around for closed loops
+ * and clamping to the endpoints for open lines
+ * @param {Array} points - Array of points {x, y}
+ * @param {number} i - Index (may be negative or past the end)
+ * @param {boolean} closed - True if the points form a closed loop
+ * @returns {Object} Point {x, y}
+ */
+function pointAt(points, i, closed = false) {
+  const n = points.length;
+  if (closed) return points[((i % n) + n) % n];
+  return points[Math.max(0, Math.min(n - 1, i))];
+}
+
 /**
  * Interpolate between two points using Catmull-Rom spline
  * This creates smooth curves through multiple points
  * @param {Array} points - Array of points {x, y}
  * @param {number} resolution - Number of interpolated points per segment
+ * @param {boolean} closed - Wrap around from the last point back to the first
  * @returns {Array} New array with interpolated points
  */
-function interpolate(points, resolution = 10) {
+function interpolate(points, resolution = 10, closed = false) {
   if (points.length < 2) return points;
   
   const result = [];
   
-  // Add first point
-  result.push(points[0]);
+  // Add first point (a closed loop gets it from the first segment instead)
+  if (!closed) result.push(points[0]);
   
   // Interpolate between each pair of points using Catmull-Rom
-  for (let i = 0; i < points.length - 1; i++) {
-    const p0 = points[Math.max(0, i - 1)];
+  const segmentCount = closed ? points.length : points.length - 1;
+  for (let i = 0; i < segmentCount; i++) {
+    const p0 = pointAt(points, i - 1, closed);
     const p1 = points[i];
-    const p2 = points[i + 1];
-    const p3 = points[Math.min(points.length - 1, i + 2)];
+    const p2 = pointAt(points, i + 1, closed);
+    const p3 = pointAt(points, i + 2, closed);
     
     for (let t = 0; t < 1; t += 1 / resolution) {
       const t2 = t * t;
@@ -109,7 +125,7 @@ function interpolate(points, resolution = 10) {
   }
   
   // Add last point
-  result.push(points[points.length - 1]);
+  if (!closed) result.push(points[points.length - 1]);
   
   return result;
 }
@@ -167,19 +183,31 @@ function pointInPolygon(point, polygon) {
  * @returns {boolean} True if segments intersect
  */
 function segmentsIntersect(p1, p2, p3, p4) {
-  const ccw = (a, b, c) => (c.y - a.y) * (b.x - a.x) > (b.y - a.y) * (c.x - a.x);
-  return ccw(p1, p3, p4) !== ccw(p2, p3, p4) && ccw(p1, p2, p3) !== ccw(p1, p2, p4);
+  // Side of line a-b that c lies on (-1, 0, 1); points within rounding noise of
+  // the line count as on it, so collinear runs (e.g. along a kerb) never "cross"
+  const side = (a, b, c) => {
+    const len = Math.hypot(b.x - a.x, b.y - a.y);
+    if (len === 0) return 0;
+    const d = ((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x)) / len;
+    return Math.abs(d) < 1e-9 ? 0 : Math.sign(d);
+  };
+  return side(p3, p4, p1) * side(p3, p4, p2) < 0 && side(p1, p2, p3) * side(p1, p2, p4) < 0;
 }
 
 /**
  * Check if track self-intersects (invalid track)
  * @param {Array} points - Array of track points
+ * @param {boolean} closed - Include the closing segment from last point to first
  * @returns {boolean} True if self-intersection detected
  */
-function trackSelfIntersects(points) {
-  for (let i = 0; i < points.length - 1; i++) {
-    for (let j = i + 2; j < points.length - 1; j++) {
-      if (segmentsIntersect(points[i], points[i + 1], points[j], points[j + 1])) {
+function trackSelfIntersects(points, closed = false) {
+  const n = points.length;
+  const segmentCount = closed && n > 2 ? n : n - 1;
+  for (let i = 0; i < segmentCount; i++) {
+    for (let j = i + 2; j < segmentCount; j++) {
+      // First and closing segments share the start point
+      if (closed && i === 0 && j === n - 1) continue;
+      if (segmentsIntersect(points[i], points[i + 1], points[j], points[(j + 1) % n])) {
         return true;
       }
     }
@@ -190,14 +218,19 @@ function trackSelfIntersects(points) {
 /**
  * Calculate total track length
  * @param {Array} points - Array of track points
- * @returns {number} Total distance
+ * @param {boolean} closed - Include the closing segment from last point to first
+ * @param {number} metersPerPixel - World scale of the point coordinates
+ * @returns {number} Total distance (meters when a scale is given, else point units)
  */
-function trackLength(points) {
+function trackLength(points, closed = false, metersPerPixel = 1) {
   let total = 0;
   for (let i = 0; i < points.length - 1; i++) {
     total += distance(points[i], points[i + 1]);
   }
-  return total;
+  if (closed && points.length > 2) {
+    total += distance(points[points.length - 1], points[0]);
+  }
+  return total * metersPerPixel;
 }
 
 /**
@@ -220,6 +253,102 @@ function perpendicularOffset(point, direction, offset) {
   };
 }
 
+/**
+ * Get the distance from a centerline point to each track edge
+ * Points may carry their own widthLeft/widthRight; otherwise the track
+ * is symmetric with half the default width on each side
+ * @param {Object} point - Centerline point {x, y, widthLeft?, widthRight?}
+ * @param {number} width - Default full track width in meters
+ * @param {number} metersPerPixel - World scale of the point coordinates
+ * @returns {Object} Half-widths {left, right} in point (pixel) units
+ */
+function edgeWidths(point, width, metersPerPixel = 1) {
+  const half = width / 2;
+  return {
+    left: (typeof point.widthLeft === 'number' ? point.widthLeft : half) / metersPerPixel,
+    right: (typeof point.widthRight === 'number' ? point.widthRight : half) / metersPerPixel
+  };
+}
+
+/**
+ * Get the local direction of a centerline at point i (central difference;
+ * endpoints of open lines use their single neighbour)
+ * @param {Array} points - Centerline points {x, y}
+ * @param {number} i - Point index
+ * @param {boolean} closed - True if the centerline is a closed loop
+ * @returns {Object} Direction vector {x, y} (not normalized)
+ */
+function tangentAt(points, i, closed = false) {
+  const prev = pointAt(points, i - 1, closed);
+  const next = pointAt(points, i + 1, closed);
+  return { x: next.x - prev.x, y: next.y - prev.y };
+}
+
+/**
+ * Build left and right track edges by offsetting the centerline
+ * perpendicular to its local direction
+ * @param {Array} points - Centerline points {x, y, widthLeft?, widthRight?}
+ * @param {number} width - Default full track width in meters
+ * @param {boolean} closed - True if the centerline is a closed loop
+ * @param {number} metersPerPixel - World scale of the point coordinates
+ * @returns {Object} Edge polylines {left: [], right: []}
+ */
+function trackEdges(points, width, closed = false, metersPerPixel = 1) {
+  const left = [];
+  const right = [];
+  if (!points || points.length < 2) return { left, right };
+  
+  for (let i = 0; i < points.length; i++) {
+    const direction = tangentAt(points, i, closed);
+    const widths = edgeWidths(points[i], width, metersPerPixel);
+    
+    left.push(perpendicularOffset(points[i], direction, -widths.left));
+    right.push(perpendicularOffset(points[i], direction, widths.right));
+  }
+  
+  return { left, right };
+}
+
+/**
+ * Project a point onto the nearest segment of a polyline
+ * @param {Object} point - Point to project {x, y}
+ * @param {Array} polyline - Array of points {x, y}
+ * @param {boolean} closed - Include the closing segment from last point to first
+ * @returns {Object|null} {index, t, point, distance, offset} where index/t locate the
+ *   projection on segment index, and offset is the signed lateral distance
+ *   (positive = right, same convention as perpendicularOffset)
+ */
+function projectOntoPolyline(point, polyline, closed = false) {
+  if (!polyline || polyline.length === 0) return null;
+  if (polyline.length === 1) {
+    const d = distance(point, polyline[0]);
+    return { index: 0, t: 0, point: polyline[0], distance: d, offset: d };
+  }
+  
+  let best = null;
+  const segmentCount = closed && polyline.length > 2 ? polyline.length : polyline.length - 1;
+  for (let i = 0; i < segmentCount; i++) {
+    const a = polyline[i];
+    const b = pointAt(polyline, i + 1, closed);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    
+    const t = len2 === 0 ? 0 : Math.max(0, Math.min(1,
+      ((point.x - a.x) * dx + (point.y - a.y) * dy) / len2
+    ));
+    const proj = { x: a.x + dx * t, y: a.y + dy * t };
+    const d = distance(point, proj);
+    
+    if (!best || d < best.distance) {
+      // Side of the segment the point lies on
+      const cross = (point.x - proj.x) * -dy + (point.y - proj.y) * dx;
+      best = { index: i, t, point: proj, distance: d, offset: cross < 0 ? -d : d };
+    }
+  }
+  return best;
+}
+
 // Export for Node/Jest testing
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
@@ -227,6 +356,7 @@ if (typeof module !== 'undefined' && module.exports) {
     angle,
     curvature,
     radiusOfCurvature,
+    pointAt,
     interpolate,
     lerp,
     heading,
@@ -234,6 +364,10 @@ if (typeof module !== 'undefined' && module.exports) {
     segmentsIntersect,
     trackSelfIntersects,
     trackLength,
-    perpendicularOffset
+    perpendicularOffset,
+    edgeWidths,
+    tangentAt,
+    trackEdges,
+    projectOntoPolyline
   };
 }
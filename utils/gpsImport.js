@@ -0,0 +1,383 @@
+/**
+ * GPS Lap Import - CSV and GPX Files from Data Loggers and Phone Apps
+ * Reads logged samples (time, latitude, longitude, speed) and projects them
+ * to local meters so a driven lap can be drawn over the track and compared
+ * with a simulated line, or turned into the track centerline itself.
+ */
+
+const EARTH_RADIUS_M = 6371000;
+
+// Speed units recognised in CSV headers / unit rows, as m/s per unit
+const SPEED_UNITS = {
+  'km/h': 1 / 3.6,
+  kph: 1 / 3.6,
+  kmh: 1 / 3.6,
+  mph: 0.44704,
+  'm/s': 1,
+  mps: 1
+};
+
+/**
+ * Find the column whose header matches one of the names
+ */
+function findColumn(headers, names) {
+  const normalized = headers.map(h => h.toLowerCase().replace(/\(.*\)|\[.*\]/g, '').trim());
+  for (const name of names) {
+    const idx = normalized.indexOf(name);
+    if (idx !== -1) return idx;
+  }
+  // Loose match, e.g. "GPS Latitude"
+  for (const name of names) {
+    const idx = normalized.findIndex(h => h.split(/[\s_]+/).includes(name));
+    if (idx !== -1) return idx;
+  }
+  return -1;
+}
+
+/**
+ * Speed unit named in a header or unit cell (m/s factor), or null
+ */
+function speedUnitFactor(text) {
+  const t = (text || '').toLowerCase().replace(/\s+/g, '');
+  for (const [unit, factor] of Object.entries(SPEED_UNITS)) {
+    if (t.includes(unit)) return factor;
+  }
+  return null;
+}
+
+/**
+ * Parse a time cell: seconds, m:ss.sss, h:mm:ss.sss, or an ISO date/time
+ * @returns {number} Seconds (absolute for dates and clock times; relative values are fixed up by the caller)
+ */
+function parseTimeCell(text) {
+  const t = text.trim();
+  if (/^-?\d+(\.\d+)?$/.test(t)) return parseFloat(t);
+  const clock = t.match(/^(?:(\d+):)?(\d+):(\d{1,2}(?:\.\d+)?)$/);
+  if (clock) return parseInt(clock[1] || '0', 10) * 3600 + parseInt(clock[2], 10) * 60 + parseFloat(clock[3]);
+  const date = Date.parse(t);
+  return isNaN(date) ? NaN : date / 1000;
+}
+
+/**
+ * Parse a logger CSV export
+ * Looks for a header row with time, latitude and longitude columns (speed is
+ * optional); metadata lines above it and a units row below it (AiM style) are
+ * skipped. Comma, semicolon and tab separators are accepted; with the latter two
+ * a decimal comma is read as a point. Speed is read in
+ * the unit named in its header or unit row, m/s when none is given.
+ *
+ * @param {string} text - CSV file contents
+ * @returns {Array} Samples {time, lat, lon, speed} (time in s from the first sample, speed in m/s or null)
+ */
+function parseLapCSV(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  const split = (line, sep) => line.split(sep).map(cell => cell.trim().replace(/^"|"$/g, ''));
+
+  let headerIdx = -1;
+  let sep = ',';
+  let columns = null;
+  for (let i = 0; i < lines.length && headerIdx === -1; i++) {
+    for (const candidate of [',', ';', '\t']) {
+      const headers = split(lines[i], candidate);
+      if (headers.length < 3) continue;
+      const lat = findColumn(headers, ['latitude', 'lat']);
+      const lon = findColumn(headers, ['longitude', 'lon', 'lng', 'long']);
+      if (lat === -1 || lon === -1) continue;
+      headerIdx = i;
+      sep = candidate;
+      columns = {
+        headers,
+        time: findColumn(headers, ['time', 'timestamp', 't', 'seconds']),
+        lat,
+        lon,
+        speed: findColumn(headers, ['gps speed', 'speed', 'velocity'])
+      };
+      break;
+    }
+  }
+  if (!columns) throw new Error('No latitude/longitude columns found');
+  if (columns.time === -1) throw new Error('No time column found');
+
+  // Semicolon and tab files often come from locales that write decimal commas
+  const decimal = (cell) => (sep === ',' ? cell || '' : (cell || '').replace(',', '.'));
+
+  let speedFactor = columns.speed !== -1 ? speedUnitFactor(columns.headers[columns.speed]) : null;
+  let first = headerIdx + 1;
+  // Units row under the header: its cells are not numbers
+  const unitsRow = lines[first] && split(lines[first], sep);
+  if (unitsRow && isNaN(parseFloat(decimal(unitsRow[columns.lat])))) {
+    if (columns.speed !== -1 && speedFactor === null) speedFactor = speedUnitFactor(unitsRow[columns.speed]);
+    first++;
+  }
+  if (speedFactor === null) speedFactor = 1;
+
+  const samples = [];
+  for (let i = first; i < lines.length; i++) {
+    const cells = split(lines[i], sep);
+    const time = parseTimeCell(decimal(cells[columns.time]));
+    const lat = parseFloat(decimal(cells[columns.lat]));
+    const lon = parseFloat(decimal(cells[columns.lon]));
+    if (!isFinite(time) || !isFinite(lat) || !isFinite(lon)) continue;
+    // Loggers write 0,0 before they have a fix
+    if (lat === 0 && lon === 0) continue;
+    const speed = columns.speed !== -1 ? parseFloat(decimal(cells[columns.speed])) * speedFactor : NaN;
+    samples.push({ time, lat, lon, speed: isFinite(speed) ? speed : null });
+  }
+  return relativeTimes(samples);
+}
+
+/**
+ * Parse a GPX track (all <trkpt> points in file order)
+ * Speed is taken from a <speed> element (GPX 1.0 or an extension) when present.
+ *
+ * @param {string} text - GPX file contents
+ * @returns {Array} Samples {time, lat, lon, speed}
+ */
+function parseLapGPX(text) {
+  const samples = [];
+  const pointPattern = /<trkpt\b([^>]*?)(?:\/>|>([\s\S]*?)<\/trkpt>)/g;
+  const attr = (attrs, name) => {
+    const m = attrs.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)["']`));
+    return m ? parseFloat(m[1]) : NaN;
+  };
+  const element = (body, name) => {
+    const m = body.match(new RegExp(`<(?:\\w+:)?${name}>([^<]*)</(?:\\w+:)?${name}>`));
+    return m ? m[1].trim() : null;
+  };
+
+  let match;
+  while ((match = pointPattern.exec(text)) !== null) {
+    const lat = attr(match[1], 'lat');
+    const lon = attr(match[1], 'lon');
+    if (!isFinite(lat) || !isFinite(lon)) continue;
+    const body = match[2] || '';
+    const timeText = element(body, 'time');
+    const time = timeText ? Date.parse(timeText) / 1000 : NaN;
+    const speedText = element(body, 'speed');
+    const speed = speedText !== null ? parseFloat(speedText) : NaN;
+    samples.push({ time, lat, lon, speed: isFinite(speed) ? speed : null });
+  }
+  if (samples.length === 0) throw new Error('No track points found in GPX file');
+  if (samples.some(s => !isFinite(s.time))) throw new Error('GPX track points need timestamps');
+  return relativeTimes(samples);
+}
+
+/**
+ * Parse a logged lap file, choosing the format from its name or contents
+ * @param {string} text - File contents
+ * @param {string} fileName - File name (extension picks the parser)
+ * @returns {Array} Samples {time, lat, lon, speed}
+ */
+function parseLapFile(text, fileName = '') {
+  const isGPX = /\.gpx$/i.test(fileName) || /^\s*<\?xml|<gpx[\s>]/i.test(text);
+  const samples = isGPX ? parseLapGPX(text) : parseLapCSV(text);
+  if (samples.length < 3) throw new Error('Not enough GPS samples in file');
+  return samples;
+}
+
+/**
+ * Sort samples by time and make times relative to the first sample
+ */
+function relativeTimes(samples) {
+  samples.sort((a, b) => a.time - b.time);
+  const start = samples.length > 0 ? samples[0].time : 0;
+  return samples.map(s => ({ ...s, time: s.time - start }));
+}
+
+/**
+ * Split a multi-lap log into laps
+ * The first sample marks the start/finish line: a lap ends where the trace
+ * comes back closest to it, after having left it by at least twice the
+ * closing distance. Each lap keeps the crossing sample at both ends, and
+ * whatever follows the last crossing (the in-lap) is dropped. A log that
+ * never comes back is returned as a single lap.
+ *
+ * @param {Array} samples - Samples {time, lat, lon, speed} in time order
+ * @param {number} closeDistance - Max distance (m) from the start that counts as a crossing
+ * @returns {Array} Laps, each an array of samples with times from the lap start
+ */
+function splitLaps(samples, closeDistance = 25) {
+  const toRad = Math.PI / 180;
+  const start = samples[0];
+  const cosLat = Math.cos(start.lat * toRad);
+  const fromStart = (s) => Math.hypot(
+    (s.lon - start.lon) * toRad * cosLat * EARTH_RADIUS_M,
+    (s.lat - start.lat) * toRad * EARTH_RADIUS_M
+  );
+
+  const crossings = [0];
+  let leftStart = false;
+  for (let i = 1; i < samples.length; i++) {
+    const d = fromStart(samples[i]);
+    if (d > 2 * closeDistance) leftStart = true;
+    if (leftStart && d < closeDistance) {
+      while (i + 1 < samples.length && fromStart(samples[i + 1]) < fromStart(samples[i])) i++;
+      crossings.push(i);
+      leftStart = false;
+    }
+  }
+  if (crossings.length === 1) return [samples];
+
+  const laps = [];
+  for (let k = 1; k < crossings.length; k++) {
+    laps.push(relativeTimes(samples.slice(crossings[k - 1], crossings[k] + 1)));
+  }
+  return laps;
+}
+
+/**
+ * Project samples to local meters (equirectangular around the mean position)
+ * x grows east and y grows south, matching canvas coordinates. Samples at the
+ * same position as the previous one are dropped (loggers repeat fixes), and
+ * missing speeds are derived from position and time.
+ *
+ * @param {Array} samples - Samples {time, lat, lon, speed}
+ * @param {Object} origin - Projection origin {lat, lon} (default: mean position)
+ * @returns {Object} {points, times, speeds, origin} - points in meters, speeds in m/s
+ */
+function projectLap(samples, origin = null) {
+  const center = origin || {
+    lat: samples.reduce((sum, s) => sum + s.lat, 0) / samples.length,
+    lon: samples.reduce((sum, s) => sum + s.lon, 0) / samples.length
+  };
+  const toRad = Math.PI / 180;
+  const cosLat = Math.cos(center.lat * toRad);
+
+  const points = [];
+  const times = [];
+  const logged = [];
+  for (const s of samples) {
+    const p = {
+      x: (s.lon - center.lon) * toRad * cosLat * EARTH_RADIUS_M,
+      y: -(s.lat - center.lat) * toRad * EARTH_RADIUS_M
+    };
+    const prev = points[points.length - 1];
+    if (prev && distance(prev, p) < 0.01) continue;
+    points.push(p);
+    times.push(s.time);
+    logged.push(s.speed);
+  }
+
+  const speeds = logged.map((speed, i) => {
+    if (speed !== null) return speed;
+    // Central difference where possible
+    const a = Math.max(0, i - 1);
+    const b = Math.min(points.length - 1, i + 1);
+    const dt = times[b] - times[a];
+    return dt > 0 ? distance(points[a], points[b]) / dt : 0;
+  });
+
+  return { points, times, speeds, origin: center };
+}
+
+/**
+ * Geographic position of a canvas point on a geo-referenced track
+ * (the inverse of placing a projectLap point on the canvas)
+ *
+ * @param {Object} point - Canvas point {x, y}
+ * @param {Object} geoReference - {lat, lon, x, y, metersPerPixel}: where the projection origin sits
+ * @returns {Object} {lat, lon} in degrees
+ */
+function canvasToLatLon(point, geoReference) {
+  const toRad = Math.PI / 180;
+  const east = (point.x - geoReference.x) * geoReference.metersPerPixel;
+  const south = (point.y - geoReference.y) * geoReference.metersPerPixel;
+  return {
+    lat: geoReference.lat - south / EARTH_RADIUS_M / toRad,
+    lon: geoReference.lon + east / (EARTH_RADIUS_M * Math.cos(geoReference.lat * toRad)) / toRad
+  };
+}
+
+/**
+ * Resample a polyline at (nearly) even spacing along its length
+ * @param {Array} points - Points {x, y}
+ * @param {number} spacing - Distance between samples (same units as the points)
+ * @param {boolean} closed - Include the closing segment
+ * @returns {Array} Resampled points (a closed loop does not repeat its start)
+ */
+function resamplePolyline(points, spacing, closed = false) {
+  const segmentCount = closed ? points.length : points.length - 1;
+  const total = trackLength(points, closed);
+  const count = Math.max(2, Math.round(total / spacing));
+  const step = total / (closed ? count : count - 1);
+
+  const result = [{ x: points[0].x, y: points[0].y }];
+  let target = step;
+  let travelled = 0;
+  for (let i = 0; i < segmentCount && result.length < count; i++) {
+    const a = points[i];
+    const b = pointAt(points, i + 1, closed);
+    const len = distance(a, b);
+    while (len > 0 && target <= travelled + len && result.length < count) {
+      result.push(lerp(a, b, (target - travelled) / len));
+      target += step;
+    }
+    travelled += len;
+  }
+  if (!closed && result.length < count) result.push({ ...points[points.length - 1] });
+  return result;
+}
+
+/**
+ * Build a track centerline from a driven lap trace
+ * The trace is resampled every meter, closed if it comes back to its start
+ * (any overlap past the start is trimmed), smoothed with a short moving
+ * average against GPS jitter, run through the Catmull-Rom interpolate and
+ * resampled at the requested spacing for editing.
+ *
+ * @param {Array} trace - Lap points {x, y} in meters (projectLap points)
+ * @param {number} spacing - Centerline point spacing in meters
+ * @param {number} closeDistance - Max gap (m) between the end and the start to close the loop
+ * @returns {Object} {points, closed} - points in meters
+ */
+function buildCenterline(trace, spacing = 5, closeDistance = 25) {
+  // Fine samples keep the smoothing from cutting tight corners
+  let points = resamplePolyline(trace, 1);
+  if (trackLength(points) < 4 * spacing) throw new Error('GPS trace is too short for a track');
+
+  // Close the loop at the first return to the start, once the trace has left it
+  let closed = false;
+  let leftStart = false;
+  for (let i = 1; i < points.length; i++) {
+    const d = distance(points[i], points[0]);
+    if (d > 2 * closeDistance) leftStart = true;
+    if (leftStart && d < closeDistance) {
+      let end = i;
+      while (end + 1 < points.length && distance(points[end + 1], points[0]) < distance(points[end], points[0])) end++;
+      if (distance(points[end], points[0]) < 0.5) end--;
+      points = points.slice(0, end + 1);
+      closed = points.length > 3;
+      break;
+    }
+  }
+
+  // Moving average over ±2 m (wrapping on a loop)
+  const reach = 2;
+  const smoothed = points.map((p, i) => {
+    if (!closed && (i < reach || i >= points.length - reach)) return p;
+    let x = 0;
+    let y = 0;
+    for (let k = -reach; k <= reach; k++) {
+      const q = pointAt(points, i + k, closed);
+      x += q.x;
+      y += q.y;
+    }
+    return { x: x / (2 * reach + 1), y: y / (2 * reach + 1) };
+  });
+
+  return { points: resamplePolyline(interpolate(smoothed, 2, closed), spacing, closed), closed };
+}
+
+// Export for Node/Jest testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseLapCSV,
+    parseLapGPX,
+    parseLapFile,
+    splitLaps,
+    projectLap,
+    canvasToLatLon,
+    resamplePolyline,
+    buildCenterline
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * Heatmap - Colour Scales and Channels for Colouring the Racing Line
+ * Values come from the lap simulation, so a straight after a hairpin shows
+ * the kart still accelerating rather than the speed the bend would allow.
+ */
+
+// Colour scales as RGB stops from low to high values
+const COLOR_SCALES = {
+  redGreen: { label: 'Red → Green', stops: [[255, 0, 0], [255, 255, 0], [0, 255, 0]] },
+  viridis: { label: 'Viridis', stops: [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]] },
+  thermal: { label: 'Thermal', stops: [[30, 60, 200], [0, 190, 220], [250, 220, 0], [230, 40, 20]] }
+};
+
+// What the heatmap can show; phase is discrete, the others use a colour scale
+const HEATMAP_CHANNELS = {
+  speed: { label: 'Speed' },
+  latG: { label: 'Lateral g' },
+  phase: { label: 'Throttle / Brake' }
+};
+
+// Colours of the throttle/brake states
+const PHASE_COLORS = { brake: '#dc1e1e', corner: '#f0be00', throttle: '#00aa3c' };
+
+/**
+ * Colour at a position along a scale
+ * @param {number} t - 0 (low) to 1 (high); clamped
+ * @param {string} scale - Key of COLOR_SCALES
+ * @returns {string} CSS rgb() colour
+ */
+function scaleColor(t, scale = 'redGreen') {
+  const stops = (COLOR_SCALES[scale] || COLOR_SCALES.redGreen).stops;
+  const x = Math.max(0, Math.min(1, Number.isFinite(t) ? t : 0)) * (stops.length - 1);
+  const i = Math.min(Math.floor(x), stops.length - 2);
+  const f = x - i;
+  const rgb = stops[i].map((c, k) => Math.round(c + (stops[i + 1][k] - c) * f));
+  return `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
+}
+
+/**
+ * Per-point values of a heatmap channel
+ * @param {Object} lap - KartPhysics.simulateLap result
+ * @param {string} channel - Key of HEATMAP_CHANNELS
+ * @param {number} topSpeed - Top speed in m/s (for the throttle/brake state)
+ * @returns {Object} {channel, values, min, max} for scaled channels (speed in m/s,
+ *   lateral acceleration in g), or {channel, values, categories} for the phase channel
+ */
+function heatmapValues(lap, channel = 'speed', topSpeed = Infinity) {
+  if (channel === 'phase') {
+    return { channel, values: classifyPhases(lap, topSpeed), categories: PHASE_COLORS };
+  }
+  const values = channel === 'latG' ? lap.latAccel.map(a => Math.abs(a) / 9.81) : lap.speeds.slice();
+  const finite = values.filter(Number.isFinite);
+  return {
+    channel,
+    values,
+    min: channel === 'latG' ? 0 : Math.min(...finite),
+    max: Math.max(...finite)
+  };
+}
+
+/**
+ * Colour of one point of a heatmap
+ * @param {Object} heat - heatmapValues result
+ * @param {number} i - Point index
+ * @param {string} scale - Key of COLOR_SCALES (ignored for the phase channel)
+ * @returns {string} CSS colour
+ */
+function heatmapColor(heat, i, scale = 'redGreen') {
+  if (heat.categories) return heat.categories[heat.values[i]];
+  const span = heat.max - heat.min;
+  return scaleColor(span > 0 ? (heat.values[i] - heat.min) / span : 1, scale);
+}
+
+// Export for Node/Jest testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    COLOR_SCALES,
+    HEATMAP_CHANNELS,
+    PHASE_COLORS,
+    scaleColor,
+    heatmapValues,
+    heatmapColor
+  };
+}
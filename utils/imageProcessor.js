@@ -3,6 +3,9 @@
  * Analyzes track images and extracts track boundaries
  */
 
+// Holes in the track region up to this fraction of the image are filled (markings, not the infield)
+const MAX_HOLE_FRACTION = 0.005;
+
 class ImageProcessor {
   constructor(imageData) {
     this.imageData = imageData;
@@ -12,197 +15,471 @@ class ImageProcessor {
   }
 
   /**
-   * Extract track points from image using edge detection
-   * @returns {Array} Array of {x, y} points representing track centerline
+   * Images are processed at most this many pixels across; larger ones are downscaled first
    */
-  extractTrackPoints() {
-    // Convert to grayscale and find dark pixels (track)
-    const binary = this.toBinary();
-    
-    // Find track edges
-    const edges = this.findEdges(binary);
+  static get maxSize() {
+    return 1000;
+  }
+
+  /**
+   * Extract the track from the image
+   * Otsu threshold, morphological cleanup, the largest dark region, its
+   * skeleton ordered into a loop (or an open path) and Douglas-Peucker
+   * simplification.
+   *
+   * @param {number} tolerance - Simplification tolerance in image pixels
+   * @returns {Object} {points, closed, width} - width is the track width in image pixels (0 if no track)
+   */
+  extractTrack(tolerance = 1) {
+    const region = this.largestRegion(this.cleanup(this.toBinary()));
+    const skeleton = this.skeletonize(region);
+    const { path, closed } = this.traceCenterline(skeleton);
+    if (path.length < 3) return { points: path, closed: false, width: 0 };
     
-    // Trace centerline from edges
-    const centerline = this.traceCenterline(edges);
+    // The distance transform on the centerline is half the width (to the first grass pixel)
+    const distances = this.distanceTransform(region);
+    const halfWidths = path.map(p => distances[p.y * this.width + p.x]).sort((a, b) => a - b);
+    const width = 2 * halfWidths[Math.floor(halfWidths.length / 2)] - 1;
     
-    // Smooth and simplify points
-    const simplified = this.simplifyPath(centerline, 5);
+    return { points: this.simplifyPath(path, tolerance, closed), closed, width };
+  }
+
+  /**
+   * Extract track points from the image
+   * @returns {Array} Array of {x, y} points representing track centerline
+   */
+  extractTrackPoints() {
+    return this.extractTrack().points;
+  }
+
+  /**
+   * Otsu's threshold: the luminance that best separates the histogram into two classes
+   * @param {Array} histogram - Pixel count per luminance 0-255
+   * @returns {number} Threshold; luminances up to and including it are the dark class
+   */
+  static otsuThreshold(histogram) {
+    const total = histogram.reduce((sum, count) => sum + count, 0);
+    let sumAll = 0;
+    for (let i = 0; i < histogram.length; i++) sumAll += i * histogram[i];
     
-    return simplified;
+    let sumDark = 0;
+    let weightDark = 0;
+    let bestVariance = -1;
+    let threshold = 0;
+    for (let t = 0; t < histogram.length; t++) {
+      weightDark += histogram[t];
+      if (weightDark === 0) continue;
+      const weightLight = total - weightDark;
+      if (weightLight === 0) break;
+      sumDark += t * histogram[t];
+      const meanDark = sumDark / weightDark;
+      const meanLight = (sumAll - sumDark) / weightLight;
+      // Between-class variance
+      const variance = weightDark * weightLight * (meanDark - meanLight) ** 2;
+      if (variance > bestVariance) {
+        bestVariance = variance;
+        threshold = t;
+      }
+    }
+    return threshold;
   }
 
   /**
-   * Convert image to binary (dark = track, light = grass)
+   * Convert image to binary (1 = track, 0 = background) with Otsu's threshold
+   * The track is the dark class unless the dark class surrounds the image
+   * (a light track on a dark background). Transparent pixels are background.
    */
   toBinary() {
-    const binary = new Uint8ClampedArray(this.width * this.height);
-    
-    // Calculate histogram to find best threshold
+    const count = this.width * this.height;
+    const levels = new Uint8Array(count);
     const histogram = new Array(256).fill(0);
-    let maxLuminance = 0;
-    let minLuminance = 255;
     
-    for (let i = 0; i < this.data.length; i += 4) {
-      const r = this.data[i];
-      const g = this.data[i + 1];
-      const b = this.data[i + 2];
-      const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
-      
-      histogram[Math.floor(luminance)]++;
-      maxLuminance = Math.max(maxLuminance, luminance);
-      minLuminance = Math.min(minLuminance, luminance);
+    for (let i = 0; i < count; i++) {
+      const r = this.data[i * 4];
+      const g = this.data[i * 4 + 1];
+      const b = this.data[i * 4 + 2];
+      const alpha = this.data[i * 4 + 3];
+      const luminance = alpha < 128 ? 255 : Math.floor(0.299 * r + 0.587 * g + 0.114 * b);
+      levels[i] = luminance;
+      histogram[luminance]++;
     }
     
-    // Use Otsu's method for threshold (or simple midpoint)
-    const threshold = (minLuminance + maxLuminance) / 2;
+    const threshold = ImageProcessor.otsuThreshold(histogram);
+    const binary = new Uint8Array(count);
+    for (let i = 0; i < count; i++) {
+      binary[i] = levels[i] <= threshold ? 1 : 0;
+    }
     
-    for (let i = 0; i < this.data.length; i += 4) {
-      const r = this.data[i];
-      const g = this.data[i + 1];
-      const b = this.data[i + 2];
-      const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
-      
-      // Dark pixels are track (1), lighter are grass (0)
-      binary[i / 4] = luminance < threshold ? 1 : 0;
+    // Most of the image border dark: the track is the light class
+    let border = 0;
+    let borderDark = 0;
+    for (let i = 0; i < count; i++) {
+      const x = i % this.width;
+      const y = (i - x) / this.width;
+      if (x === 0 || y === 0 || x === this.width - 1 || y === this.height - 1) {
+        border++;
+        borderDark += binary[i];
+      }
+    }
+    if (borderDark > border / 2) {
+      for (let i = 0; i < count; i++) binary[i] = 1 - binary[i];
     }
     
     return binary;
   }
 
   /**
-   * Find edges of track using simpler method for line drawings
+   * Grow (dilate) or shrink (erode) a mask by one pixel in all 8 directions
+   * Pixels outside the image count as background.
    */
-  findEdges(binary) {
-    const edges = new Uint8ClampedArray(this.width * this.height);
-    
-    // For simple line drawings, just use the binary directly (they're already edges)
-    // Apply light dilation/erosion to clean up
+  morph(mask, grow) {
+    const result = new Uint8Array(mask.length);
     for (let y = 0; y < this.height; y++) {
       for (let x = 0; x < this.width; x++) {
-        const idx = y * this.width + x;
-        
-        if (binary[idx] === 1) {
-          // Check if this pixel is near an edge (has a non-track neighbor)
-          let isEdge = false;
-          for (let dy = -1; dy <= 1; dy++) {
-            for (let dx = -1; dx <= 1; dx++) {
-              const nx = x + dx;
-              const ny = y + dy;
-              if (nx < 0 || nx >= this.width || ny < 0 || ny >= this.height) {
-                isEdge = true;
-                break;
-              }
-              const nIdx = ny * this.width + nx;
-              if (binary[nIdx] === 0) {
-                isEdge = true;
-                break;
-              }
-            }
-            if (isEdge) break;
+        let any = false;
+        let all = true;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = x + dx;
+            const ny = y + dy;
+            const set = nx >= 0 && nx < this.width && ny >= 0 && ny < this.height && mask[ny * this.width + nx] === 1;
+            any = any || set;
+            all = all && set;
           }
-          
-          edges[idx] = isEdge ? 1 : 0;
         }
+        result[y * this.width + x] = (grow ? any : all) ? 1 : 0;
       }
     }
-    
-    return edges;
+    return result;
   }
 
   /**
-   * Trace centerline by finding middle points between track edges
+   * Morphological closing: bridges one-pixel gaps and fills pinholes
+   * Specks are dropped later with every region but the largest, so thin
+   * line drawings survive (an opening would erase them).
    */
-  traceCenterline(edges) {
-    const centerline = [];
-    const visited = new Set();
-    
-    // Find starting point (any edge pixel)
-    let startIdx = -1;
-    for (let i = 0; i < edges.length; i++) {
-      if (edges[i] === 1) {
-        startIdx = i;
-        break;
-      }
-    }
-    
-    if (startIdx === -1) return [];
-    
-    // Trace along edges, sampling points
-    let currentIdx = startIdx;
-    let steps = 0;
-    const maxSteps = this.width * this.height;
-    const sampleRate = Math.max(3, Math.floor(Math.sqrt(this.width * this.height) / 50)); // Adaptive sampling
+  cleanup(binary) {
+    return this.morph(this.morph(binary, true), false);
+  }
+
+  /**
+   * Label the 8-connected regions of pixels equal to value
+   * @returns {Object} {labels, sizes, touchesBorder} - labels per pixel (0 = other value),
+   *   sizes and touchesBorder per label (index 0 unused)
+   */
+  labelRegions(mask, value) {
+    const labels = new Int32Array(mask.length);
+    const sizes = [0];
+    const touchesBorder = [false];
+    const stack = [];
     
-    while (steps < maxSteps) {
-      if (visited.has(currentIdx)) break;
-      visited.add(currentIdx);
-      
-      const x = currentIdx % this.width;
-      const y = Math.floor(currentIdx / this.width);
-      
-      // Sample every Nth pixel to reduce point count
-      if (steps % sampleRate === 0) {
-        centerline.push({ x, y });
-      }
-      
-      // Find next edge pixel (8-neighbor search with preference for straight continuation)
-      let foundNext = false;
+    for (let seed = 0; seed < mask.length; seed++) {
+      if (mask[seed] !== value || labels[seed] !== 0) continue;
+      const label = sizes.length;
+      sizes.push(0);
+      touchesBorder.push(false);
+      labels[seed] = label;
+      stack.push(seed);
       
-      // Try to find an unvisited neighbor
-      for (let radius = 1; radius <= 2 && !foundNext; radius++) {
-        for (let dy = -radius; dy <= radius; dy++) {
-          for (let dx = -radius; dx <= radius; dx++) {
-            if (dx === 0 && dy === 0) continue;
-            
+      while (stack.length > 0) {
+        const idx = stack.pop();
+        sizes[label]++;
+        const x = idx % this.width;
+        const y = (idx - x) / this.width;
+        if (x === 0 || y === 0 || x === this.width - 1 || y === this.height - 1) touchesBorder[label] = true;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
             const nx = x + dx;
             const ny = y + dy;
+            if (nx < 0 || nx >= this.width || ny < 0 || ny >= this.height) continue;
             const nIdx = ny * this.width + nx;
-            
-            if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height && 
-                edges[nIdx] === 1 && !visited.has(nIdx)) {
-              currentIdx = nIdx;
-              foundNext = true;
-              break;
+            if (mask[nIdx] === value && labels[nIdx] === 0) {
+              labels[nIdx] = label;
+              stack.push(nIdx);
             }
           }
-          if (foundNext) break;
         }
       }
-      
-      if (!foundNext) break;
-      steps++;
     }
+    return { labels, sizes, touchesBorder };
+  }
+
+  /**
+   * Keep the largest track region (dropping text, logos and specks) and fill
+   * its small holes, such as painted markings; the infield stays open
+   */
+  largestRegion(binary) {
+    const track = this.labelRegions(binary, 1);
+    let best = 0;
+    for (let label = 1; label < track.sizes.length; label++) {
+      if (track.sizes[label] > track.sizes[best]) best = label;
+    }
+    const region = new Uint8Array(binary.length);
+    if (best === 0) return region;
+    for (let i = 0; i < region.length; i++) region[i] = track.labels[i] === best ? 1 : 0;
     
-    return centerline.length > 0 ? centerline : [];
+    const holes = this.labelRegions(region, 0);
+    const maxHole = region.length * MAX_HOLE_FRACTION;
+    for (let i = 0; i < region.length; i++) {
+      const label = holes.labels[i];
+      if (label !== 0 && !holes.touchesBorder[label] && holes.sizes[label] <= maxHole) region[i] = 1;
+    }
+    return region;
   }
 
   /**
-   * Simplify path by reducing point count using Douglas-Peucker algorithm
+   * Distance (pixels) from every track pixel to the nearest background pixel
+   * Two-pass chamfer transform with diagonal steps of sqrt(2); pixels outside
+   * the image count as background.
    */
-  simplifyPath(points, tolerance) {
-    if (points.length <= 2) return points;
+  distanceTransform(mask) {
+    const { width, height } = this;
+    const dist = new Float32Array(mask.length);
+    for (let i = 0; i < mask.length; i++) dist[i] = mask[i] ? Infinity : 0;
+    const at = (x, y) => (x < 0 || x >= width || y < 0 || y >= height ? 0 : dist[y * width + x]);
     
-    // Use a simpler approach: just reduce consecutive points that are very close
-    const simplified = [points[0]];
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const idx = y * width + x;
+        if (dist[idx] === 0) continue;
+        dist[idx] = Math.min(dist[idx], at(x - 1, y) + 1, at(x, y - 1) + 1,
+          at(x - 1, y - 1) + Math.SQRT2, at(x + 1, y - 1) + Math.SQRT2);
+      }
+    }
+    for (let y = height - 1; y >= 0; y--) {
+      for (let x = width - 1; x >= 0; x--) {
+        const idx = y * width + x;
+        if (dist[idx] === 0) continue;
+        dist[idx] = Math.min(dist[idx], at(x + 1, y) + 1, at(x, y + 1) + 1,
+          at(x + 1, y + 1) + Math.SQRT2, at(x - 1, y + 1) + Math.SQRT2);
+      }
+    }
+    return dist;
+  }
+
+  /**
+   * Thin the track surface to a one-pixel skeleton (Zhang-Suen), which runs
+   * down the middle of the asphalt
+   */
+  skeletonize(mask) {
+    const { width, height } = this;
+    const skeleton = Uint8Array.from(mask);
+    // The outermost pixels have no full neighbourhood
+    for (let x = 0; x < width; x++) {
+      skeleton[x] = 0;
+      skeleton[(height - 1) * width + x] = 0;
+    }
+    for (let y = 0; y < height; y++) {
+      skeleton[y * width] = 0;
+      skeleton[y * width + width - 1] = 0;
+    }
     
-    for (let i = 1; i < points.length; i++) {
-      const lastPoint = simplified[simplified.length - 1];
-      const dist = Math.sqrt(
-        (points[i].x - lastPoint.x) ** 2 + 
-        (points[i].y - lastPoint.y) ** 2
-      );
-      
-      if (dist >= tolerance) {
-        simplified.push(points[i]);
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (let pass = 0; pass < 2; pass++) {
+        const remove = [];
+        for (let y = 1; y < height - 1; y++) {
+          for (let x = 1; x < width - 1; x++) {
+            const idx = y * width + x;
+            if (!skeleton[idx]) continue;
+            // Neighbours P2..P9 clockwise from north
+            const p = [
+              skeleton[idx - width], skeleton[idx - width + 1], skeleton[idx + 1], skeleton[idx + width + 1],
+              skeleton[idx + width], skeleton[idx + width - 1], skeleton[idx - 1], skeleton[idx - width - 1]
+            ];
+            const neighbours = p.reduce((sum, v) => sum + v, 0);
+            if (neighbours < 2 || neighbours > 6) continue;
+            let transitions = 0;
+            for (let k = 0; k < 8; k++) {
+              if (p[k] === 0 && p[(k + 1) % 8] === 1) transitions++;
+            }
+            if (transitions !== 1) continue;
+            const [n, , e, , s, , w] = p;
+            if (pass === 0 ? (n && e && s) || (e && s && w) : (n && e && w) || (n && s && w)) continue;
+            remove.push(idx);
+          }
+        }
+        for (const idx of remove) skeleton[idx] = 0;
+        if (remove.length > 0) changed = true;
       }
     }
+    return skeleton;
+  }
+
+  /**
+   * Set 8-neighbours of a pixel in a mask
+   */
+  neighbours(mask, idx) {
+    const x = idx % this.width;
+    const y = (idx - x) / this.width;
+    const result = [];
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (dx === 0 && dy === 0) continue;
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || nx >= this.width || ny < 0 || ny >= this.height) continue;
+        const nIdx = ny * this.width + nx;
+        if (mask[nIdx]) result.push(nIdx);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Order skeleton pixels into the track centerline
+   * Spurs (branches with a free end) are pruned away; if a loop remains the
+   * track is closed and is followed round, going straight on at crossings.
+   * Otherwise the longest path through the skeleton is an open track.
+   *
+   * @returns {Object} {path, closed} - path is pixel {x, y} points in order
+   */
+  traceCenterline(skeleton) {
+    const toPoint = (idx) => ({ x: idx % this.width, y: Math.floor(idx / this.width) });
     
-    // Ensure we have the last point
-    if (simplified[simplified.length - 1] !== points[points.length - 1]) {
-      simplified.push(points[points.length - 1]);
+    // Prune: repeatedly remove free ends until only loops remain
+    const loop = Uint8Array.from(skeleton);
+    const degree = new Uint8Array(loop.length);
+    const ends = [];
+    for (let i = 0; i < loop.length; i++) {
+      if (!loop[i]) continue;
+      degree[i] = this.neighbours(loop, i).length;
+      if (degree[i] <= 1) ends.push(i);
+    }
+    while (ends.length > 0) {
+      const idx = ends.pop();
+      if (!loop[idx]) continue;
+      loop[idx] = 0;
+      for (const n of this.neighbours(loop, idx)) {
+        degree[n]--;
+        if (degree[n] <= 1) ends.push(n);
+      }
     }
     
-    return simplified;
+    const start = loop.findIndex((v, i) => v && degree[i] === 2);
+    if (start !== -1) return this.traceLoop(loop, degree, start, toPoint);
+    
+    // Open track: the longest path, between the two ends furthest apart
+    const seed = skeleton.findIndex(v => v);
+    if (seed === -1) return { path: [], closed: false };
+    const first = this.farthestPixel(skeleton, seed);
+    const second = this.farthestPixel(skeleton, first.idx);
+    const path = [];
+    for (let idx = second.idx; idx !== -1; idx = second.parents.get(idx)) path.push(toPoint(idx));
+    return { path, closed: false };
+  }
+
+  /**
+   * Breadth-first search over a skeleton from a pixel
+   * @returns {Object} {idx, parents} - the farthest pixel and each pixel's parent (-1 at the start)
+   */
+  farthestPixel(skeleton, from) {
+    const parents = new Map([[from, -1]]);
+    const queue = [from];
+    let last = from;
+    for (let head = 0; head < queue.length; head++) {
+      last = queue[head];
+      for (const n of this.neighbours(skeleton, last)) {
+        if (!parents.has(n)) {
+          parents.set(n, last);
+          queue.push(n);
+        }
+      }
+    }
+    return { idx: last, parents };
+  }
+
+  /**
+   * Follow a pruned skeleton loop from a start pixel back to itself
+   * At each step the next pixel is the one turning least from the recent
+   * heading, so crossings (junction pixels may be passed twice) go straight on.
+   */
+  traceLoop(loop, degree, start, toPoint) {
+    const visited = new Uint8Array(loop.length);
+    const order = [start];
+    visited[start] = 1;
+    const total = loop.reduce((sum, v) => sum + v, 0);
+    let closed = false;
+    
+    while (order.length < 2 * total) {
+      const current = order[order.length - 1];
+      const candidates = this.neighbours(loop, current);
+      if (order.length > 8 && candidates.includes(start)) {
+        closed = true;
+        break;
+      }
+      const p = toPoint(current);
+      const back = toPoint(order[Math.max(0, order.length - 4)]);
+      let best = -1;
+      let bestAlignment = -Infinity;
+      for (const n of candidates) {
+        if (visited[n] && degree[n] < 3) continue;
+        if (n === order[order.length - 2]) continue;
+        const q = toPoint(n);
+        const step = { x: q.x - p.x, y: q.y - p.y };
+        const heading = { x: p.x - back.x, y: p.y - back.y };
+        const norm = Math.hypot(step.x, step.y) * (Math.hypot(heading.x, heading.y) || 1);
+        const alignment = order.length === 1 ? 0 : (step.x * heading.x + step.y * heading.y) / norm;
+        if (order.length > 1 && alignment < 0) continue; // never turn back
+        if (alignment > bestAlignment) {
+          bestAlignment = alignment;
+          best = n;
+        }
+      }
+      if (best === -1) break;
+      visited[best] = 1;
+      order.push(best);
+    }
+    return { path: order.map(toPoint), closed };
+  }
+
+  /**
+   * Simplify a path with the Douglas-Peucker algorithm: keep the point
+   * furthest from each chord until every dropped point is within tolerance
+   *
+   * @param {Array} points - Points {x, y}
+   * @param {number} tolerance - Maximum distance of a dropped point from the simplified path
+   * @param {boolean} closed - True for a loop (split at the point furthest from the start)
+   * @returns {Array} The kept points
+   */
+  simplifyPath(points, tolerance, closed = false) {
+    if (points.length <= 2) return points.slice();
+    
+    if (closed) {
+      const fromStart = (p) => (p.x - points[0].x) ** 2 + (p.y - points[0].y) ** 2;
+      let far = 0;
+      points.forEach((p, i) => {
+        if (fromStart(p) > fromStart(points[far])) far = i;
+      });
+      if (far === 0) return [points[0]];
+      const first = this.simplifyPath(points.slice(0, far + 1), tolerance);
+      const second = this.simplifyPath(points.slice(far).concat([points[0]]), tolerance);
+      return first.concat(second.slice(1, -1));
+    }
+    
+    const last = points.length - 1;
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[last] = 1;
+    const stack = [[0, last]];
+    while (stack.length > 0) {
+      const [a, b] = stack.pop();
+      let maxDistance = 0;
+      let index = -1;
+      for (let i = a + 1; i < b; i++) {
+        const d = this.perpendicularDistance(points[i], points[a], points[b]);
+        if (d > maxDistance) {
+          maxDistance = d;
+          index = i;
+        }
+      }
+      if (index !== -1 && maxDistance > tolerance) {
+        keep[index] = 1;
+        stack.push([a, index], [index, b]);
+      }
+    }
+    return points.filter((_, i) => keep[i]);
   }
 
   /**
@@ -234,12 +511,9 @@ class ImageProcessor {
   }
 
   /**
-   * Scale and normalize extracted points to canvas coordinates
+   * Bounds of the points and the scale that fits them in 90% of the canvas
    */
-  normalizePoints(points, canvasWidth, canvasHeight) {
-    if (points.length === 0) return [];
-    
-    // Find bounds
+  fitToCanvas(points, canvasWidth, canvasHeight) {
     let minX = points[0].x;
     let maxX = points[0].x;
     let minY = points[0].y;
@@ -259,7 +533,15 @@ class ImageProcessor {
     const padding = 0.05;
     const scaleX = (canvasWidth * (1 - 2 * padding)) / imgWidth;
     const scaleY = (canvasHeight * (1 - 2 * padding)) / imgHeight;
-    const scale = Math.min(scaleX, scaleY);
+    return { minX, minY, padding, scale: Math.min(scaleX, scaleY) };
+  }
+
+  /**
+   * Scale and normalize extracted points to canvas coordinates
+   */
+  normalizePoints(points, canvasWidth, canvasHeight) {
+    if (points.length === 0) return [];
+    const { minX, minY, padding, scale } = this.fitToCanvas(points, canvasWidth, canvasHeight);
     
     // Normalize
     const normalized = points.map(p => ({
@@ -0,0 +1,209 @@
+/**
+ * Kart Profiles - Built-in Kart Classes and User-Defined Setups
+ * A profile is a named KartPhysics parameter set (the object accepted by
+ * KartPhysics.updateParameters). Custom profiles live in localStorage and
+ * can be exported/imported as JSON files.
+ */
+
+const PROFILE_STORAGE_KEY = 'karting.kartProfiles';
+const PROFILE_FILE_TYPE = 'kartProfile';
+const PROFILE_FILE_VERSION = 1;
+
+/**
+ * Built-in kart classes (weights include the driver)
+ */
+const KART_PRESETS = {
+  rental: {
+    name: 'Rental kart',
+    params: { weight: 200, grip: 0.9, braking: 8, rollingResistance: 0.02, dragArea: 0.6, drivetrain: 'engine', engineKey: 'rental4t' }
+  },
+  cadet: {
+    name: 'Cadet 60cc',
+    params: { weight: 115, grip: 1.0, braking: 9, rollingResistance: 0.015, dragArea: 0.4, drivetrain: 'engine', engineKey: 'cadet60' }
+  },
+  rotaxMax: {
+    name: 'Rotax Max (125cc TaG)',
+    params: { weight: 165, grip: 1.1, braking: 11, rollingResistance: 0.015, dragArea: 0.5, drivetrain: 'engine', engineKey: 'tag125' }
+  },
+  kz: {
+    name: 'KZ shifter',
+    params: { weight: 175, grip: 1.2, braking: 14, rollingResistance: 0.015, dragArea: 0.5, drivetrain: 'engine', engineKey: 'kz125' }
+  }
+};
+
+/**
+ * Resolve a profile's parameters into the form updateParameters accepts
+ * (presets name their engine by ENGINE_PRESETS key)
+ * @param {Object} params - Profile parameters
+ * @returns {Object} Parameters with a full engine object
+ */
+function resolveProfileParams(params) {
+  const { engineKey, ...rest } = params;
+  if (engineKey && ENGINE_PRESETS[engineKey]) rest.engine = { ...ENGINE_PRESETS[engineKey] };
+  return rest;
+}
+
+/**
+ * Read the custom profiles from storage
+ * @param {Storage} storage - localStorage or a compatible object
+ * @returns {Object} Custom profiles by id
+ */
+function loadCustomProfiles(storage = localStorage) {
+  try {
+    const raw = storage.getItem(PROFILE_STORAGE_KEY);
+    const profiles = raw ? JSON.parse(raw) : {};
+    return profiles && typeof profiles === 'object' ? profiles : {};
+  } catch (err) {
+    console.warn('Could not read kart profiles:', err);
+    return {};
+  }
+}
+
+/**
+ * All profiles: built-in presets first, then custom profiles
+ * @param {Storage} storage - localStorage or a compatible object
+ * @returns {Array} Profiles {id, name, params, builtIn}
+ */
+function getKartProfiles(storage = localStorage) {
+  const presets = Object.entries(KART_PRESETS).map(([id, preset]) => ({
+    id,
+    name: preset.name,
+    params: resolveProfileParams(preset.params),
+    builtIn: true
+  }));
+  const custom = Object.entries(loadCustomProfiles(storage)).map(([id, profile]) => ({
+    id,
+    name: profile.name,
+    params: profile.params,
+    builtIn: false
+  }));
+  return presets.concat(custom);
+}
+
+/**
+ * Save (or overwrite by name) a custom profile
+ * A different name that slugs to a taken id ("Club kart" and "club-kart")
+ * gets a numbered id rather than replacing the other profile.
+ * @param {string} name - Profile name
+ * @param {Object} params - KartPhysics parameters (e.g. kart.getParameters())
+ * @param {Storage} storage - localStorage or a compatible object
+ * @returns {Object} The saved profile {id, name, params, builtIn}
+ */
+function saveKartProfile(name, params, storage = localStorage) {
+  const profile = parseKartProfile({ type: PROFILE_FILE_TYPE, version: PROFILE_FILE_VERSION, name, params });
+  const profiles = loadCustomProfiles(storage);
+  const slug = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const baseId = 'custom-' + (slug || 'profile');
+  let id = baseId;
+  for (let k = 2; profiles[id] && profiles[id].name !== profile.name; k++) id = `${baseId}-${k}`;
+  profiles[id] = { name: profile.name, params: profile.params };
+  storage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profiles));
+  return { id, name: profile.name, params: profile.params, builtIn: false };
+}
+
+/**
+ * Delete a custom profile (built-in presets cannot be deleted)
+ * @param {string} id - Profile id
+ * @param {Storage} storage - localStorage or a compatible object
+ * @returns {boolean} True if a profile was removed
+ */
+function deleteKartProfile(id, storage = localStorage) {
+  const profiles = loadCustomProfiles(storage);
+  if (!profiles[id]) return false;
+  delete profiles[id];
+  storage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profiles));
+  return true;
+}
+
+/**
+ * Apply a profile to a KartPhysics instance
+ * Sets every parameter the profile defines in one updateParameters call
+ * @param {Object} profile - Profile {params}
+ * @param {KartPhysics} physics - Target physics instance
+ */
+function applyKartProfile(profile, physics = kart) {
+  physics.updateParameters(resolveProfileParams(profile.params));
+}
+
+/**
+ * Serialize a profile for download
+ * @param {Object} profile - Profile {name, params}
+ * @returns {string} JSON text
+ */
+function exportKartProfile(profile) {
+  return JSON.stringify({
+    type: PROFILE_FILE_TYPE,
+    version: PROFILE_FILE_VERSION,
+    name: profile.name,
+    params: resolveProfileParams(profile.params)
+  }, null, 2);
+}
+
+/**
+ * Validate an imported profile (parsed JSON object or JSON text)
+ * Unknown parameters are dropped; a malformed profile throws
+ * @param {Object|string} data - Profile file contents
+ * @returns {Object} Clean profile {name, params}
+ */
+function parseKartProfile(data) {
+  const obj = typeof data === 'string' ? JSON.parse(data) : data;
+  if (!obj || obj.type !== PROFILE_FILE_TYPE) {
+    throw new Error('Not a kart profile file');
+  }
+  const name = typeof obj.name === 'string' ? obj.name.trim() : '';
+  if (!name) throw new Error('Kart profile has no name');
+  if (!obj.params || typeof obj.params !== 'object') throw new Error('Kart profile has no parameters');
+
+  const params = {};
+  for (const key of ['weight', 'acceleration', 'braking', 'maxSpeed', 'grip', 'rollingResistance', 'dragArea']) {
+    const value = obj.params[key];
+    if (value === undefined) continue;
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(`Kart profile parameter "${key}" must be a positive number`);
+    }
+    params[key] = value;
+  }
+
+  if (obj.params.drivetrain !== undefined) {
+    if (obj.params.drivetrain !== 'simple' && obj.params.drivetrain !== 'engine') {
+      throw new Error('Kart profile drivetrain must be "simple" or "engine"');
+    }
+    params.drivetrain = obj.params.drivetrain;
+  }
+
+  const engine = obj.params.engine;
+  if (engine !== undefined) {
+    const positive = (v) => Number.isFinite(v) && v > 0;
+    const ratios = engine && (engine.gearRatios || [engine.gearRatio]);
+    const curve = engine && engine.torqueCurve;
+    const valid = engine &&
+      Array.isArray(curve) && curve.length > 0 &&
+      curve.every(p => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite)) &&
+      positive(engine.maxRpm) && positive(engine.wheelRadiusM) &&
+      Array.isArray(ratios) && ratios.length > 0 && ratios.every(positive);
+    if (!valid) throw new Error('Kart profile engine is incomplete');
+    // The curve is interpolated by rpm, which needs the points in order
+    if (curve.some((p, i) => i > 0 && p[0] <= curve[i - 1][0])) {
+      throw new Error('Kart profile torque curve must have strictly increasing rpm');
+    }
+    params.engine = { efficiency: 0.9, ...engine };
+  }
+  if (params.drivetrain === 'engine' && !params.engine) {
+    throw new Error('Kart profile uses the engine drivetrain but has no engine');
+  }
+
+  return { name, params };
+}
+
+// Export for Node/Jest testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    KART_PRESETS,
+    getKartProfiles,
+    saveKartProfile,
+    deleteKartProfile,
+    applyKartProfile,
+    exportKartProfile,
+    parseKartProfile
+  };
+}
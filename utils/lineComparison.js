@@ -0,0 +1,149 @@
+/**
+ * Line Comparison - Delta Time Between a Reference and the Current Line
+ * Both lines are timed against distance along the track centerline, so two
+ * lines of different lengths are compared at the same place on the track.
+ */
+
+/**
+ * Cumulative centerline distance (meters) at every centerline point
+ * @returns {Object} {cumulative, length} - length includes the closing segment on closed loops
+ */
+function centerlineDistances(centerline, closed, metersPerPixel) {
+  const cumulative = [0];
+  for (let i = 1; i < centerline.length; i++) {
+    cumulative.push(cumulative[i - 1] + distance(centerline[i - 1], centerline[i]) * metersPerPixel);
+  }
+  const length = trackLength(centerline, closed, metersPerPixel);
+  return { cumulative, length };
+}
+
+/**
+ * Time a line against centerline distance ("progress")
+ * Each line point is projected onto the centerline; progress is unwrapped so
+ * it keeps increasing around a closed loop.
+ *
+ * @param {Array} line - Line points {x, y}
+ * @param {Object} lap - {times, speeds, lapTime}, e.g. a KartPhysics.simulateLap result
+ * @param {Object} trackData - Track information (points, closed, metersPerPixel)
+ * @returns {Object} {progress, times, speeds, lapTime, length, closed}
+ */
+function timeByProgress(line, lap, trackData) {
+  const centerline = trackData.points;
+  const closed = !!trackData.closed && centerline.length > 2;
+  const metersPerPixel = trackData.metersPerPixel || 1;
+  const { cumulative, length } = centerlineDistances(centerline, closed, metersPerPixel);
+
+  const progress = [];
+  line.forEach((p) => {
+    const proj = projectOntoPolyline(p, centerline, closed);
+    const a = centerline[proj.index];
+    const b = pointAt(centerline, proj.index + 1, closed);
+    let s = cumulative[proj.index] + distance(a, b) * proj.t * metersPerPixel;
+    if (progress.length > 0) {
+      const prev = progress[progress.length - 1];
+      if (closed) {
+        // Unwrap across the start/finish line
+        while (s < prev - length / 2) s += length;
+        while (s > prev + length / 2) s -= length;
+      }
+      // Projection jitter must not run time backwards
+      s = Math.max(s, prev);
+    }
+    progress.push(s);
+  });
+
+  const times = lap.times.slice();
+  const speeds = lap.speeds.slice();
+  if (closed && line.length > 2) {
+    progress.push(progress[0] + length);
+    times.push(lap.lapTime);
+    speeds.push(speeds[0]);
+  }
+  return { progress, times, speeds, lapTime: lap.lapTime, length, closed };
+}
+
+/**
+ * Interpolate a per-point profile of a timed line at a centerline distance
+ */
+function valueAtProgress(timing, values, s) {
+  const { progress, length } = timing;
+  let x = s;
+  if (timing.closed) x -= Math.floor((s - progress[0]) / length) * length;
+  let i = 1;
+  while (i < progress.length - 1 && progress[i] < x) i++;
+  const span = progress[i] - progress[i - 1] || 1e-6;
+  const t = Math.max(0, Math.min(1, (x - progress[i - 1]) / span));
+  return values[i - 1] + (values[i] - values[i - 1]) * t;
+}
+
+/**
+ * Time at which a timed line reaches a centerline distance
+ * On closed loops the time is measured from crossing progress 0 (the
+ * centerline start), whichever point the line itself starts at.
+ */
+function timeAtProgress(timing, s) {
+  const { progress, times, length, lapTime } = timing;
+  if (!timing.closed) return valueAtProgress(timing, times, s);
+
+  // Periodic: one lapTime per lap length past the lap the line covers
+  const periodic = (x) => {
+    const laps = Math.floor((x - progress[0]) / length);
+    return valueAtProgress(timing, times, x) + laps * lapTime;
+  };
+  return periodic(s) - periodic(0);
+}
+
+/**
+ * Compare the current line against a reference line
+ * delta = current time - reference time at the same centerline distance, so a
+ * rising trace is time lost and a falling one is time gained.
+ *
+ * @param {Object} reference - {line, lap} (lap from simulateLap, kept from when it was pinned,
+ *   or a logged lap)
+ * @param {Object} current - {line, lap}
+ * @param {Object} trackData - Track information (points, closed, metersPerPixel)
+ * @param {number} samples - Points on the delta trace
+ * @returns {Object} {distance, delta, referenceSpeed, currentSpeed, corners, lapDelta} -
+ *   speeds in m/s; corners carry a delta over their span
+ */
+function compareLines(reference, current, trackData, samples = 200) {
+  const refTiming = timeByProgress(reference.line, reference.lap, trackData);
+  const curTiming = timeByProgress(current.line, current.lap, trackData);
+  const length = refTiming.length;
+  const deltaAt = (s) => timeAtProgress(curTiming, s) - timeAtProgress(refTiming, s);
+
+  const distances = [];
+  const delta = [];
+  const referenceSpeed = [];
+  const currentSpeed = [];
+  for (let k = 0; k <= samples; k++) {
+    const s = (k / samples) * length;
+    distances.push(s);
+    delta.push(deltaAt(s));
+    referenceSpeed.push(valueAtProgress(refTiming, refTiming.speeds, s));
+    currentSpeed.push(valueAtProgress(curTiming, curTiming.speeds, s));
+  }
+
+  const corners = findTrackCorners(trackData).map((corner) => ({
+    ...corner,
+    delta: deltaAt(corner.end) - deltaAt(corner.start)
+  }));
+
+  return {
+    distance: distances,
+    delta,
+    referenceSpeed,
+    currentSpeed,
+    corners,
+    lapDelta: current.lap.lapTime - reference.lap.lapTime
+  };
+}
+
+// Export for Node/Jest testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    timeByProgress,
+    timeAtProgress,
+    compareLines
+  };
+}
@@ -0,0 +1,317 @@
+/**
+ * Minimum-Curvature Racing Line Optimizer
+ * Deterministic alternative to the simulated-annealing optimizer: the racing
+ * line is a lateral offset per centerline station, solved for minimum
+ * curvature inside the track corridor and optionally refined toward
+ * minimum lap time
+ */
+
+/**
+ * Sample the centerline into evenly spaced stations, each with a unit normal
+ * and the lateral offset range allowed by the track edges
+ *
+ * Stations lie on the centerline polyline itself (not a spline through it),
+ * so any offset within range stays inside the corridor checked by
+ * isPointInTrackBounds
+ *
+ * @param {Object} trackData - Track data (points, trackWidth, metersPerPixel, closed)
+ * @param {number} maxStations - Upper bound on the number of stations
+ * @param {number} edgeMargin - Usable fraction of each half-width (keeps off the kerbs)
+ * @returns {Array} Stations {x, y, nx, ny, s, minOffset, maxOffset}
+ */
+function buildStations(trackData, maxStations = 300, edgeMargin = 0.9) {
+  const points = trackData.points;
+  const closed = !!trackData.closed && points.length > 2;
+  const metersPerPixel = trackData.metersPerPixel || 1;
+  const width = trackData.trackWidth || 6;
+
+  // At most maxStations, but no closer than 1 m apart
+  const total = trackLength(points, closed);
+  const spacing = Math.max(1 / metersPerPixel, total / maxStations);
+
+  const stations = [];
+  let s = 0;
+  const pushStation = (x, y, dir, wl, wr) => {
+    const len = Math.hypot(dir.x, dir.y) || 1;
+    stations.push({
+      x,
+      y,
+      nx: -dir.y / len, // right-hand normal, perpendicularOffset convention
+      ny: dir.x / len,
+      s,
+      minOffset: -edgeMargin * wl,
+      maxOffset: edgeMargin * wr
+    });
+  };
+
+  const segmentCount = closed ? points.length : points.length - 1;
+  for (let i = 0; i < segmentCount; i++) {
+    const a = points[i];
+    const b = pointAt(points, i + 1, closed);
+    const len = distance(a, b);
+    if (len === 0) continue;
+
+    const wa = edgeWidths(a, width, metersPerPixel);
+    const wb = edgeWidths(b, width, metersPerPixel);
+    const steps = Math.max(1, Math.round(len / spacing));
+    for (let k = 0; k < steps; k++) {
+      const t = k / steps;
+      // Vertices offset along the averaged direction, other stations along their segment
+      const dir = k === 0 ? tangentAt(points, i, closed) : { x: b.x - a.x, y: b.y - a.y };
+      pushStation(
+        a.x + (b.x - a.x) * t,
+        a.y + (b.y - a.y) * t,
+        dir,
+        wa.left + (wb.left - wa.left) * t,
+        wa.right + (wb.right - wa.right) * t
+      );
+      s += len / steps;
+    }
+  }
+
+  if (!closed) {
+    const last = points[points.length - 1];
+    const widths = edgeWidths(last, width, metersPerPixel);
+    pushStation(last.x, last.y, tangentAt(points, points.length - 1, false), widths.left, widths.right);
+  }
+
+  return stations;
+}
+
+/**
+ * Convert station offsets to racing line points
+ * @param {Array} stations - Stations from buildStations
+ * @param {Array} offsets - Lateral offset per station
+ * @returns {Array} Racing line points {x, y}
+ */
+function stationsToLine(stations, offsets) {
+  return stations.map((st, i) => ({
+    x: st.x + st.nx * offsets[i],
+    y: st.y + st.ny * offsets[i]
+  }));
+}
+
+/**
+ * Solve the symmetric positive definite system M x = r in place
+ * (dense Cholesky decomposition; M is overwritten)
+ */
+function choleskySolve(M, r) {
+  const n = r.length;
+  for (let j = 0; j < n; j++) {
+    let d = M[j][j];
+    for (let k = 0; k < j; k++) d -= M[j][k] * M[j][k];
+    d = Math.sqrt(Math.max(d, 1e-12));
+    M[j][j] = d;
+    for (let i = j + 1; i < n; i++) {
+      let v = M[i][j];
+      for (let k = 0; k < j; k++) v -= M[i][k] * M[j][k];
+      M[i][j] = v / d;
+    }
+  }
+  // Forward then backward substitution
+  const x = r.slice();
+  for (let i = 0; i < n; i++) {
+    for (let k = 0; k < i; k++) x[i] -= M[i][k] * x[k];
+    x[i] /= M[i][i];
+  }
+  for (let i = n - 1; i >= 0; i--) {
+    for (let k = i + 1; k < n; k++) x[i] -= M[k][i] * x[k];
+    x[i] /= M[i][i];
+  }
+  return x;
+}
+
+/**
+ * Minimize the sum of squared second differences of the line (discrete
+ * curvature) over the station offsets, subject to each offset's range
+ *
+ * The objective is quadratic, |A a + b|^2, where row j of A maps the offsets
+ * to the second difference P(j-1) - 2 P(j) + P(j+1). It is solved exactly
+ * with an active-set method: solve with the free offsets, pin any that leave
+ * the corridor to the edge, and release pinned ones the solution would pull
+ * back inside, until nothing changes
+ *
+ * @param {Array} stations - Stations from buildStations
+ * @param {boolean} closed - True if the stations form a closed loop
+ * @param {number} maxIterations - Active-set iteration limit
+ * @returns {Array} Lateral offset per station
+ */
+function solveMinCurvature(stations, closed, maxIterations = 50) {
+  const n = stations.length;
+  if (n < 3) return stations.map(() => 0);
+
+  const idx = (i) => (closed ? (i + n) % n : i);
+  const rows = [];
+  for (let j = closed ? 0 : 1; j < (closed ? n : n - 1); j++) rows.push(j);
+
+  // Hessian H = A^T A and linear term g = A^T b (b = second differences at zero offset)
+  const H = Array.from({ length: n }, () => new Array(n).fill(0));
+  const g = new Array(n).fill(0);
+  for (const j of rows) {
+    const terms = [
+      { k: idx(j - 1), c: 1 },
+      { k: idx(j), c: -2 },
+      { k: idx(j + 1), c: 1 }
+    ];
+    let bx = 0;
+    let by = 0;
+    for (const { k, c } of terms) {
+      bx += c * stations[k].x;
+      by += c * stations[k].y;
+    }
+    for (const u of terms) {
+      const su = stations[u.k];
+      g[u.k] += u.c * (su.nx * bx + su.ny * by);
+      for (const v of terms) {
+        const sv = stations[v.k];
+        H[u.k][v.k] += u.c * v.c * (su.nx * sv.nx + su.ny * sv.ny);
+      }
+    }
+  }
+  // A whisker of regularization keeps H positive definite (e.g. open-track ends)
+  for (let i = 0; i < n; i++) H[i][i] += 1e-9;
+
+  const offsets = new Array(n).fill(0);
+  const pinned = new Array(n).fill(false);
+
+  for (let iter = 0; iter < maxIterations; iter++) {
+    // Solve for the free offsets with pinned ones held at their bound
+    const free = [];
+    for (let i = 0; i < n; i++) if (!pinned[i]) free.push(i);
+    if (free.length > 0) {
+      const M = free.map((i) => free.map((k) => H[i][k]));
+      const r = free.map((i) => {
+        let v = -g[i];
+        for (let k = 0; k < n; k++) if (pinned[k] && H[i][k] !== 0) v -= H[i][k] * offsets[k];
+        return v;
+      });
+      const x = choleskySolve(M, r);
+      free.forEach((i, f) => {
+        offsets[i] = x[f];
+      });
+    }
+
+    let changed = false;
+
+    // Pin offsets that left the corridor
+    for (let i = 0; i < n; i++) {
+      const st = stations[i];
+      if (pinned[i]) continue;
+      if (offsets[i] < st.minOffset || offsets[i] > st.maxOffset) {
+        offsets[i] = Math.max(st.minOffset, Math.min(st.maxOffset, offsets[i]));
+        pinned[i] = true;
+        changed = true;
+      }
+    }
+
+    // Release pinned offsets whose gradient points back into the corridor
+    if (!changed) {
+      for (let i = 0; i < n; i++) {
+        if (!pinned[i]) continue;
+        let grad = g[i];
+        for (let k = 0; k < n; k++) if (H[i][k] !== 0) grad += H[i][k] * offsets[k];
+        const atLower = offsets[i] <= stations[i].minOffset;
+        if ((atLower && grad < 0) || (!atLower && grad > 0)) {
+          pinned[i] = false;
+          changed = true;
+        }
+      }
+    }
+
+    if (!changed) break;
+  }
+
+  return offsets;
+}
+
+/**
+ * Nudge the offsets toward a lower lap time with smooth, deterministic
+ * bump perturbations (each kept only if the lap time improves)
+ *
+ * Bumps go from wide to narrow: narrow bumps alone mostly add curvature,
+ * wide ones can move a whole corner entry or exit.
+ *
+ * @param {Array} stations - Stations from buildStations
+ * @param {Array} offsets - Starting offsets (usually the minimum-curvature solution)
+ * @param {Object} trackData - Track data passed to calculateLapTime
+ * @param {number} passes - Number of bump widths; the width and size halve after each
+ * @returns {Array} Refined offsets
+ */
+function refineLapTime(stations, offsets, trackData, passes = 3) {
+  const n = stations.length;
+  const closed = !!trackData.closed;
+
+  let avgRange = 0;
+  for (const st of stations) avgRange += st.maxOffset - st.minOffset;
+  avgRange /= n;
+
+  let best = offsets.slice();
+  let bestTime = calculateLapTime(stationsToLine(stations, best), trackData);
+  let halfSpan = Math.max(2, Math.round(n / 8));
+  let step = 0.1 * avgRange;
+
+  for (let pass = 0; pass < passes; pass++) {
+    const stride = Math.max(1, Math.floor(halfSpan / 4));
+    for (let k = 0; k < n; k += stride) {
+      for (const sign of [1, -1]) {
+        const trial = best.slice();
+        for (let d = -halfSpan; d <= halfSpan; d++) {
+          let i = k + d;
+          if (closed) i = (i + n) % n;
+          else if (i < 0 || i >= n) continue;
+
+          // Raised-cosine bump: smooth so it does not add curvature spikes
+          const w = 0.5 * (1 + Math.cos((Math.PI * d) / (halfSpan + 1)));
+          const st = stations[i];
+          trial[i] = Math.max(st.minOffset, Math.min(st.maxOffset, trial[i] + sign * step * w));
+        }
+
+        const time = calculateLapTime(stationsToLine(stations, trial), trackData);
+        if (time < bestTime - 1e-6) {
+          best = trial;
+          bestTime = time;
+          break;
+        }
+      }
+    }
+    halfSpan = Math.max(2, Math.round(halfSpan / 2));
+    step /= 2;
+  }
+
+  return best;
+}
+
+/**
+ * Optimize the racing line as lateral offsets from the centerline
+ *
+ * Solves the minimum-curvature problem exactly, then optionally refines
+ * toward minimum lap time. The result depends only on the track and kart
+ * parameters, so repeated runs give the same line.
+ *
+ * @param {Object} trackData - Track data with centerline points and corridor
+ * @param {Object} options - {refineLapTime: boolean, maxStations: number}
+ * @returns {Array} Optimized racing line points {x, y}
+ */
+function optimizeLineMinCurvature(trackData, options = {}) {
+  if (!trackData || !trackData.points || trackData.points.length < 3) return null;
+
+  const stations = buildStations(trackData, options.maxStations || 300);
+  let offsets = solveMinCurvature(stations, !!trackData.closed);
+
+  if (options.refineLapTime) {
+    offsets = refineLapTime(stations, offsets, trackData);
+  }
+
+  return stationsToLine(stations, offsets);
+}
+
+// Export for Node/Jest testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    buildStations,
+    stationsToLine,
+    solveMinCurvature,
+    refineLapTime,
+    optimizeLineMinCurvature
+  };
+}
@@ -1,17 +1,94 @@
-// Worker that runs optimizeLine in background
-importScripts('geometry.js', 'physics.js', 'racingLine.js');
+// Worker that runs the selected racing line optimizer in background
+importScripts('geometry.js', 'physics.js', 'random.js', 'racingLine.js', 'minCurvature.js');
+
+// Protocol (every message carries the runId it belongs to):
+//   in:  {action: 'optimize', runId, algorithm, initialLine, trackData, iterations, seed, kartParams}
+//        {action: 'cancel', runId}
+//   out: {type: 'progress', runId, iteration, iterations, score, lapTime, line, scores}
+//        {type: 'done', runId, success: true, optimized}
+//        {type: 'cancelled', runId}
+//        {type: 'error', runId, success: false, error}
+
+// Time slice per chunk; between chunks the worker can receive a cancel message
+const CHUNK_MS = 50;
+
+let activeRun = null;
 
 self.onmessage = function(e) {
   const msg = e.data;
   if (!msg || !msg.action) return;
 
   if (msg.action === 'optimize') {
-    const { initialLine, trackData, iterations } = msg;
+    // Optimize for the same kart as the page
+    if (msg.kartParams) kart.updateParameters(msg.kartParams);
+    if (activeRun) activeRun.cancelled = true;
+    activeRun = { runId: msg.runId, cancelled: false };
+    startRun(activeRun, msg);
+  } else if (msg.action === 'cancel') {
+    if (activeRun && activeRun.runId === msg.runId) activeRun.cancelled = true;
+  }
+};
+
+function startRun(run, msg) {
+  const { runId, algorithm, initialLine, trackData, iterations, seed } = msg;
+
+  const fail = (err) => {
+    self.postMessage({ type: 'error', runId, success: false, error: err.message });
+  };
+
+  // The offset-based optimizers finish in one go
+  if (algorithm !== 'annealing' || !initialLine || initialLine.length < 3) {
     try {
-      const optimized = optimizeLine(initialLine, trackData, iterations);
-      self.postMessage({ success: true, optimized });
+      const optimized = runOptimizer(algorithm, initialLine, trackData, iterations, seed);
+      self.postMessage({ type: 'done', runId, success: true, optimized });
     } catch (err) {
-      self.postMessage({ success: false, error: err.message });
+      fail(err);
     }
+    return;
   }
-};
+
+  let optimizer;
+  try {
+    optimizer = createLineOptimizer(initialLine, trackData, iterations, seed);
+  } catch (err) {
+    fail(err);
+    return;
+  }
+  let reported = 0;
+
+  const runChunk = () => {
+    if (run.cancelled) {
+      self.postMessage({ type: 'cancelled', runId });
+      if (activeRun === run) activeRun = null;
+      return;
+    }
+
+    try {
+      const deadline = Date.now() + CHUNK_MS;
+      while (!optimizer.done() && Date.now() < deadline) optimizer.step();
+
+      self.postMessage({
+        type: 'progress',
+        runId,
+        iteration: optimizer.iteration,
+        iterations: optimizer.iterations,
+        score: optimizer.bestScore,
+        lapTime: calculateLapTime(optimizer.best, trackData),
+        line: optimizer.best,
+        scores: optimizer.scores.slice(reported) // only the new ones
+      });
+      reported = optimizer.scores.length;
+
+      if (optimizer.done()) {
+        self.postMessage({ type: 'done', runId, success: true, optimized: optimizer.result() });
+        if (activeRun === run) activeRun = null;
+      } else {
+        setTimeout(runChunk, 0);
+      }
+    } catch (err) {
+      fail(err);
+    }
+  };
+
+  runChunk();
+}
@@ -3,6 +3,52 @@
  * Implements tire grip model, acceleration/braking limits, and max corner speeds
  */
 
+/**
+ * Engine presets for the drivetrain model
+ * torqueCurve: [rpm, N·m] points (linearly interpolated); clutchRpm: the
+ * centrifugal clutch slips below this, so torque is taken at clutchRpm;
+ * maxRpm: rev limit; gearRatio: engine turns per wheel turn. Shifter engines
+ * list gearRatios instead (overall ratio per gear); the best gear is used
+ */
+const ENGINE_PRESETS = {
+  rental4t: {
+    name: 'Rental 270cc 4-stroke',
+    torqueCurve: [[1800, 17.0], [2500, 19.1], [3200, 18.6], [4000, 16.8], [4500, 15.0]],
+    clutchRpm: 1800,
+    maxRpm: 4500,
+    gearRatio: 3.5,
+    wheelRadiusM: 0.14,
+    efficiency: 0.85
+  },
+  cadet60: {
+    name: 'Cadet 60cc 2-stroke',
+    torqueCurve: [[5000, 4.5], [8000, 6.3], [10000, 6.0], [12500, 4.5], [13500, 3.8]],
+    clutchRpm: 5000,
+    maxRpm: 13500,
+    gearRatio: 8.5,
+    wheelRadiusM: 0.13,
+    efficiency: 0.9
+  },
+  tag125: {
+    name: '125cc TaG (Rotax Max class)',
+    torqueCurve: [[6000, 14.0], [8000, 19.0], [10000, 20.0], [11500, 17.8], [14000, 12.0]],
+    clutchRpm: 6000,
+    maxRpm: 14000,
+    gearRatio: 6.67,
+    wheelRadiusM: 0.14,
+    efficiency: 0.9
+  },
+  kz125: {
+    name: 'KZ 125cc 6-speed shifter',
+    torqueCurve: [[7000, 18.0], [9000, 24.0], [11000, 27.0], [12500, 26.0], [14000, 20.0]],
+    clutchRpm: 7000,
+    maxRpm: 14000,
+    gearRatios: [14.0, 11.0, 9.0, 7.6, 6.5, 5.7],
+    wheelRadiusM: 0.14,
+    efficiency: 0.88
+  }
+};
+
 /**
  * Kart and tire physics parameters
  * These values are configurable via UI sliders
@@ -18,6 +64,14 @@ class KartPhysics {
     this.maxBraking = 10; // m/s² - achievable deceleration
     this.maxDrivingSpeed = 70; // km/h = ~19.4 m/s
     
+    // Drivetrain: 'simple' uses the flat maxAcceleration / maxDrivingSpeed above,
+    // 'engine' derives them from the torque curve, gearing and resistances
+    this.drivetrain = 'simple';
+    this.engine = { ...ENGINE_PRESETS.rental4t };
+    this.rollingResistance = 0.015; // rolling resistance coefficient
+    this.dragArea = 0.5; // drag coefficient × frontal area (m²), kart + driver
+    this.airDensity = 1.2; // kg/m³
+    
     // Track parameters
     this.trackWidthM = 6; // typical kart track width
     this.gravity = 9.81; // m/s²
@@ -33,7 +87,7 @@ class KartPhysics {
    */
   maxCornerSpeed(radiusM) {
     if (radiusM <= 0 || radiusM === Infinity) {
-      return this.maxDrivingSpeed / 3.6; // Convert km/h to m/s
+      return this.topSpeed();
     }
     
     // Apply grip coefficient to corner grip
@@ -41,7 +95,90 @@ class KartPhysics {
     const maxSpeed = Math.sqrt(lateralAccel * radiusM);
     
     // Cap at maximum driving speed
-    return Math.min(maxSpeed, this.maxDrivingSpeed / 3.6);
+    return Math.min(maxSpeed, this.topSpeed());
+  }
+  
+  /**
+   * Maximum speed on a straight
+   * The simple model uses maxDrivingSpeed; the engine model hits the rev
+   * limiter (drag may hold the kart below it, which the lap simulation handles)
+   * @returns {number} Top speed in m/s
+   */
+  topSpeed() {
+    if (this.drivetrain !== 'engine') return this.maxDrivingSpeed / 3.6; // Convert km/h to m/s
+    const engine = this.engine;
+    const topGear = Math.min(...this.gearRatios());
+    return (engine.maxRpm / topGear) * (2 * Math.PI / 60) * engine.wheelRadiusM;
+  }
+  
+  /**
+   * Overall gear ratios of the engine (a single entry for direct drive)
+   * @returns {Array} Engine turns per wheel turn, per gear
+   */
+  gearRatios() {
+    const engine = this.engine;
+    return engine.gearRatios && engine.gearRatios.length > 0 ? engine.gearRatios : [engine.gearRatio];
+  }
+  
+  /**
+   * Engine torque at a given rpm, interpolated along the torque curve
+   * @param {number} rpm - Engine speed
+   * @returns {number} Torque in N·m (0 past the rev limit)
+   */
+  engineTorque(rpm) {
+    const engine = this.engine;
+    const curve = engine.torqueCurve;
+    if (rpm > engine.maxRpm) return 0;
+    // Below the clutch speed the clutch slips and passes the engagement torque
+    const r = Math.max(rpm, engine.clutchRpm || curve[0][0]);
+    if (r <= curve[0][0]) return curve[0][1];
+    for (let i = 1; i < curve.length; i++) {
+      if (r <= curve[i][0]) {
+        const [r0, t0] = curve[i - 1];
+        const [r1, t1] = curve[i];
+        return t0 + ((t1 - t0) * (r - r0)) / (r1 - r0);
+      }
+    }
+    return curve[curve.length - 1][1];
+  }
+  
+  /**
+   * Resistance to motion: rolling resistance plus aerodynamic drag
+   * @param {number} speedMs - Speed in m/s
+   * @returns {number} Deceleration in m/s²
+   */
+  resistanceDeceleration(speedMs) {
+    const rolling = this.rollingResistance * this.gravity;
+    const drag = (0.5 * this.airDensity * this.dragArea * speedMs * speedMs) / this.weightKg;
+    return rolling + drag;
+  }
+  
+  /**
+   * Net forward acceleration the kart can produce at a speed and corner radius
+   * Simple mode: maxAcceleration within the friction ellipse. Engine mode:
+   * wheel force from the torque curve through the gearing, limited by the
+   * tyre grip left over from cornering, minus rolling resistance and drag
+   * (negative when drag outweighs the engine).
+   * 
+   * @param {number} speedMs - Speed in m/s
+   * @param {number} radiusM - Corner radius in meters
+   * @returns {number} Acceleration in m/s²
+   */
+  driveAcceleration(speedMs, radiusM) {
+    if (this.drivetrain !== 'engine') {
+      return this.availableLongitudinal(speedMs, radiusM, this.maxAcceleration);
+    }
+    
+    const engine = this.engine;
+    // Pick the gear giving the most wheel force (a shifter driver changes up at the right time)
+    let wheelForce = 0;
+    for (const ratio of this.gearRatios()) {
+      const rpm = (speedMs / engine.wheelRadiusM) * ratio * (60 / (2 * Math.PI));
+      const force = (this.engineTorque(rpm) * ratio * engine.efficiency) / engine.wheelRadiusM;
+      wheelForce = Math.max(wheelForce, force);
+    }
+    const tyreLimit = this.availableLongitudinal(speedMs, radiusM, this.gripCoefficient * this.gravity);
+    return Math.min(wheelForce / this.weightKg, tyreLimit) - this.resistanceDeceleration(speedMs);
   }
   
   /**
@@ -76,46 +213,103 @@ class KartPhysics {
   }
   
   /**
-   * Compute speed profile along track using iterative forward/backward pass
-   * This ensures the kart respects acceleration and braking limits
-   * 
-   * @param {Array} segments - Array of track segments with speed limits
-   * @returns {Array} Speed profile for each segment
+   * Longitudinal acceleration left over after cornering (friction ellipse)
+   * (a_x / a_x,max)² + (a_y / a_y,max)² ≤ 1, with a_y,max = mu * g
+   *
+   * @param {number} speedMs - Speed in m/s
+   * @param {number} radiusM - Corner radius in meters
+   * @param {number} maxLongitudinal - Straight-line limit (maxAcceleration or maxBraking)
+   * @returns {number} Available longitudinal acceleration in m/s²
    */
-  computeSpeedProfile(segments) {
-    if (!segments || segments.length === 0) return [];
-    
-    const speeds = new Array(segments.length);
-    
-    // Forward pass: accelerate where possible
-    speeds[0] = 0; // Start from rest
-    
-    for (let i = 1; i < segments.length; i++) {
-      const maxSpeed = segments[i].maxSpeed; // Speed limited by grip
-      const prevSpeed = speeds[i - 1];
-      const segmentLen = segments[i].length;
-      
-      // Maximum speed we can achieve given distance and acceleration
-      const maxAccelSpeed = Math.sqrt(prevSpeed * prevSpeed + 2 * this.maxAcceleration * segmentLen);
-      
-      // Take minimum of physics limit and grip limit
-      speeds[i] = Math.min(maxSpeed, maxAccelSpeed);
+  availableLongitudinal(speedMs, radiusM, maxLongitudinal) {
+    if (radiusM <= 0 || radiusM === Infinity) return maxLongitudinal;
+    const lateralUsage = (speedMs * speedMs) / radiusM / (this.gripCoefficient * this.gravity);
+    if (lateralUsage >= 1) return 0;
+    return maxLongitudinal * Math.sqrt(1 - lateralUsage * lateralUsage);
+  }
+
+  /**
+   * Quasi-steady-state lap simulation with combined grip
+   *
+   * Acceleration and braking share the tyre with cornering: the forward
+   * (acceleration) and backward (braking) passes only use the longitudinal
+   * grip the friction ellipse leaves at the current lateral load. Open lines
+   * start from rest; closed loops are flying laps whose passes start at the
+   * slowest node.
+   *
+   * @param {Array} nodes - Points along the line: {radius, length}, where radius
+   *   is the turn radius at the node and length the distance to the next node (m)
+   * @param {boolean} closed - True if the last node connects back to the first
+   * @returns {Object} {speeds, distances, times, latAccel, lonAccel} per node
+   *   (times/distances cumulative from node 0), plus lapTime and lapLength
+   */
+  simulateLap(nodes, closed = false) {
+    const n = nodes ? nodes.length : 0;
+    if (n < 2) {
+      return { speeds: [], distances: [], times: [], latAccel: [], lonAccel: [], lapTime: 0, lapLength: 0 };
     }
-    
-    // Backward pass: ensure we can brake in time for upcoming corners
-    for (let i = segments.length - 2; i >= 0; i--) {
-      const nextSpeed = speeds[i + 1];
-      const segmentLen = segments[i].length;
-      
-      // Maximum speed we can achieve given we need to brake to nextSpeed
-      const maxBrakeSpeed = Math.sqrt(nextSpeed * nextSpeed + 2 * this.maxBraking * segmentLen);
-      
-      speeds[i] = Math.min(speeds[i], maxBrakeSpeed);
+
+    const intervals = closed ? n : n - 1;
+    const next = (i) => (i + 1) % n;
+    const speeds = nodes.map(node => this.maxCornerSpeed(node.radius));
+
+    // Open lines start from rest; closed loops start at the slowest node
+    let start = 0;
+    if (closed) {
+      for (let i = 1; i < n; i++) {
+        if (speeds[i] < speeds[start]) start = i;
+      }
+    } else {
+      speeds[0] = 0;
     }
-    
-    return speeds;
+
+    // Forward pass: accelerate with the grip left over from cornering
+    for (let k = 0; k < intervals; k++) {
+      const i = (start + k) % n;
+      const j = next(i);
+      const accel = this.driveAcceleration(speeds[i], nodes[i].radius);
+      const reachable = Math.sqrt(Math.max(0, speeds[i] * speeds[i] + 2 * accel * nodes[i].length));
+      speeds[j] = Math.min(speeds[j], reachable);
+    }
+
+    // Backward pass: brake in time for what comes next, again within the ellipse
+    const last = closed ? start : n - 1;
+    for (let k = 0; k < intervals; k++) {
+      const j = (last - k + n) % n;
+      const i = (j - 1 + n) % n;
+      const decel = this.availableLongitudinal(speeds[j], nodes[j].radius, this.maxBraking);
+      const entry = Math.sqrt(speeds[j] * speeds[j] + 2 * decel * nodes[i].length);
+      speeds[i] = Math.min(speeds[i], entry);
+    }
+
+    // Integrate time over each interval at its mean speed
+    const distances = [0];
+    const times = [0];
+    const lonAccel = new Array(n).fill(0);
+    for (let i = 0; i < intervals; i++) {
+      const j = next(i);
+      const length = nodes[i].length;
+      const meanSpeed = Math.max((speeds[i] + speeds[j]) / 2, 1e-3);
+      distances.push(distances[i] + length);
+      times.push(times[i] + length / meanSpeed);
+      if (length > 0) lonAccel[i] = (speeds[j] * speeds[j] - speeds[i] * speeds[i]) / (2 * length);
+    }
+
+    const latAccel = nodes.map((node, i) =>
+      node.radius > 0 && node.radius !== Infinity ? (speeds[i] * speeds[i]) / node.radius : 0
+    );
+
+    return {
+      speeds,
+      distances: distances.slice(0, n),
+      times: times.slice(0, n),
+      latAccel,
+      lonAccel,
+      lapTime: times[intervals],
+      lapLength: distances[intervals]
+    };
   }
-  
+
   /**
    * Calculate lateral g-force experienced at corner
    * @param {number} speedMs - Speed in m/s
@@ -174,8 +368,37 @@ class KartPhysics {
     if (params.acceleration !== undefined) this.maxAcceleration = params.acceleration;
     if (params.braking !== undefined) this.maxBraking = params.braking;
     if (params.maxSpeed !== undefined) this.maxDrivingSpeed = params.maxSpeed;
+    if (params.grip !== undefined) this.setGripCoefficient(params.grip);
+    if (params.drivetrain !== undefined) this.drivetrain = params.drivetrain;
+    if (params.engine !== undefined) this.engine = { ...params.engine };
+    if (params.rollingResistance !== undefined) this.rollingResistance = params.rollingResistance;
+    if (params.dragArea !== undefined) this.dragArea = params.dragArea;
+  }
+  
+  /**
+   * Current kart parameters, in the form updateParameters accepts
+   * (e.g. to hand the same kart to the optimizer worker)
+   * @returns {Object} Parameter object
+   */
+  getParameters() {
+    return {
+      weight: this.weightKg,
+      acceleration: this.maxAcceleration,
+      braking: this.maxBraking,
+      maxSpeed: this.maxDrivingSpeed,
+      grip: this.gripCoefficient,
+      drivetrain: this.drivetrain,
+      engine: { ...this.engine },
+      rollingResistance: this.rollingResistance,
+      dragArea: this.dragArea
+    };
   }
 }
 
 // Create global physics instance
 const kart = new KartPhysics();
+
+// Export for Node/Jest testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { KartPhysics, ENGINE_PRESETS };
+}
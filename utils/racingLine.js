@@ -8,18 +8,21 @@
  * Uses the classic "outside-apex-outside" driving technique
  * 
  * @param {Array} centerline - Array of centerline points {x, y}
+ * @param {Object} trackData - Track information (closed loop flag, track width, scale)
  * @returns {Array} Initial racing line points
  */
-function initialHeuristicLine(centerline) {
+function initialHeuristicLine(centerline, trackData) {
   if (!centerline || centerline.length < 3) return centerline;
   
   const racingLine = [];
-  const trackWidth = 3; // Half-width for offset (meters on track)
+  const trackWidth = (trackData && trackData.trackWidth) || 6;
+  const metersPerPixel = (trackData && trackData.metersPerPixel) || 1;
+  const closed = !!(trackData && trackData.closed);
   
   for (let i = 0; i < centerline.length; i++) {
-    const p1 = centerline[Math.max(0, i - 1)];
+    const p1 = pointAt(centerline, i - 1, closed);
     const p2 = centerline[i];
-    const p3 = centerline[Math.min(centerline.length - 1, i + 1)];
+    const p3 = pointAt(centerline, i + 1, closed);
     
     // Calculate the turn direction and sharpness
     const v1 = { x: p1.x - p2.x, y: p1.y - p2.y };
@@ -31,9 +34,16 @@ function initialHeuristicLine(centerline) {
     // Calculate angle between vectors
     const angleRad = Math.atan2(cross, v1.x * v2.x + v1.y * v2.y);
     
+    // Apply offset (direction depends on turn direction)
+    const sign = cross > 0 ? 1 : -1;
+    
+    // Half-width on that side (per-point widths), kept slightly inside the kerbs
+    const widths = edgeWidths(p2, trackWidth, metersPerPixel);
+    const halfWidth = 0.9 * (sign > 0 ? widths.right : widths.left);
+    
     // Offset direction based on turn sharpness
     // Tighter turns = more offset toward apex
-    const offsetAmount = Math.sin(Math.abs(angleRad) / 2) * trackWidth;
+    const offsetAmount = Math.sin(Math.abs(angleRad) / 2) * halfWidth;
     
     // Get perpendicular direction
     const dir = { x: -v2.y, y: v2.x };
@@ -43,8 +53,6 @@ function initialHeuristicLine(centerline) {
       dir.y /= len;
     }
     
-    // Apply offset (direction depends on turn direction)
-    const sign = cross > 0 ? 1 : -1;
     const offsetPoint = {
       x: p2.x + dir.x * offsetAmount * sign,
       y: p2.y + dir.y * offsetAmount * sign
@@ -57,17 +65,20 @@ function initialHeuristicLine(centerline) {
 }
 
 /**
- * Optimize racing line using iterative gradient descent
- * Adjusts line position to minimize lap time while respecting constraints
- * 
+ * Start a step-by-step simulated-annealing run
+ * The worker advances it in chunks so it can report progress and stop
+ * between steps; optimizeLine runs it to completion.
+ *
  * @param {Array} racingLine - Current racing line points
  * @param {Object} trackData - Track geometry data
  * @param {number} iterations - Number of optimization iterations
- * @returns {Array} Optimized racing line
+ * @param {number} seed - PRNG seed; the same seed reproduces the same line
+ * @returns {Object} Run with step(), done(), result() and progress fields
+ *   (iteration, iterations, best, bestScore, scores)
  */
-function optimizeLine(racingLine, trackData, iterations = 120) {
+function createLineOptimizer(racingLine, trackData, iterations = 120, seed = randomSeed()) {
   // Constrained simulated-annealing optimizer with smoothness and dynamics-aware scoring
-  if (!racingLine || racingLine.length < 3) return racingLine;
+  const random = createRandom(seed);
 
   const clone = (arr) => JSON.parse(JSON.stringify(arr));
   let best = clone(racingLine);
@@ -77,79 +88,145 @@ function optimizeLine(racingLine, trackData, iterations = 120) {
   const t0 = 1.0;
   const tEnd = 1e-4;
 
-  // keep endpoints fixed for stability
-  const fixedStart = 0;
-  const fixedEnd = best.length - 1;
-
-  for (let k = 0; k < iters; k++) {
-    const t = t0 * Math.pow(tEnd / t0, k / Math.max(1, iters - 1));
-
-    const candidate = clone(best);
-
-    // Propose perturbations: choose a handful of indices (not endpoints)
-    const nPerturb = 1 + Math.floor(3 * t * Math.random());
-    for (let p = 0; p < nPerturb; p++) {
-      const i = 1 + Math.floor(Math.random() * (candidate.length - 2));
-      if (i <= fixedStart || i >= fixedEnd) continue;
-
-      // compute local scale from neighbor distances
-      const a = candidate[Math.max(0, i - 1)];
-      const b = candidate[i];
-      const c = candidate[Math.min(candidate.length - 1, i + 1)];
-      const segLen = Math.max(1e-3, (distance(a, b) + distance(b, c)) / 2);
-
-      // perturb along normal and tangent with small magnitude scaled by temperature
-      const tx = c.x - a.x;
-      const ty = c.y - a.y;
-      const tlen = Math.hypot(tx, ty) || 1;
-      const nx = -ty / tlen;
-      const ny = tx / tlen;
-
-      const mag = segLen * (0.1 + 4 * t); // step magnitude
-      const dx = (Math.random() - 0.5) * mag;
-      const dy = (Math.random() - 0.5) * (mag * 0.5);
-
-      // combine tangent and normal moves
-      const prop = {
-        x: b.x + tx / tlen * dx + nx * dy,
-        y: b.y + ty / tlen * dx + ny * dy
-      };
-
-      // enforce bounds and small step
-      if (!isPointInTrackBounds(prop, trackData)) continue;
-      if (Math.hypot(prop.x - b.x, prop.y - b.y) > segLen * 2) continue;
-
-      candidate[i] = prop;
-    }
+  // keep endpoints fixed for stability (a closed loop has no endpoints)
+  const closed = !!(trackData && trackData.closed);
+  const fixedStart = closed ? -1 : 0;
+  const fixedEnd = closed ? best.length : best.length - 1;
+
+  const run = {
+    iteration: 0,
+    iterations: iters,
+    best,
+    bestScore,
+    scores: [], // score after each iteration
+
+    done() {
+      return run.iteration >= iters;
+    },
+
+    step() {
+      if (run.done()) return;
+      const k = run.iteration;
+      const t = t0 * Math.pow(tEnd / t0, k / Math.max(1, iters - 1));
+
+      const candidate = clone(best);
+
+      // Propose perturbations: choose a handful of indices (not endpoints)
+      const nPerturb = 1 + Math.floor(3 * t * random());
+      for (let p = 0; p < nPerturb; p++) {
+        const i = closed
+          ? Math.floor(random() * candidate.length)
+          : 1 + Math.floor(random() * (candidate.length - 2));
+        if (i <= fixedStart || i >= fixedEnd) continue;
+
+        // compute local scale from neighbor distances
+        const a = pointAt(candidate, i - 1, closed);
+        const b = candidate[i];
+        const c = pointAt(candidate, i + 1, closed);
+        const segLen = Math.max(1e-3, (distance(a, b) + distance(b, c)) / 2);
+
+        // perturb along normal and tangent with small magnitude scaled by temperature
+        const tx = c.x - a.x;
+        const ty = c.y - a.y;
+        const tlen = Math.hypot(tx, ty) || 1;
+        const nx = -ty / tlen;
+        const ny = tx / tlen;
+
+        const mag = segLen * (0.1 + 4 * t); // step magnitude
+        const dx = (random() - 0.5) * mag;
+        const dy = (random() - 0.5) * (mag * 0.5);
+
+        // combine tangent and normal moves
+        const prop = {
+          x: b.x + tx / tlen * dx + nx * dy,
+          y: b.y + ty / tlen * dx + ny * dy
+        };
+
+        // enforce bounds and small step
+        if (!isPointInTrackBounds(prop, trackData)) continue;
+        if (Math.hypot(prop.x - b.x, prop.y - b.y) > segLen * 2) continue;
+
+        candidate[i] = prop;
+      }
 
-    // local smoothing step (light) to promote continuity
-    const smoothCandidate = smoothLocal(candidate, 1);
+      // local smoothing step (light) to promote continuity
+      const smoothCandidate = smoothLocal(candidate, 1, closed);
 
-    const score = scoreLine(smoothCandidate, trackData);
-    const delta = score - bestScore;
+      const score = scoreLine(smoothCandidate, trackData);
+      const delta = score - bestScore;
+
+      if (delta < 0 || Math.exp(-delta / Math.max(t, 1e-9)) > random()) {
+        best = smoothCandidate;
+        bestScore = score;
+      }
 
-    if (delta < 0 || Math.exp(-delta / Math.max(t, 1e-9)) > Math.random()) {
-      best = smoothCandidate;
-      bestScore = score;
+      run.iteration++;
+      run.best = best;
+      run.bestScore = bestScore;
+      run.scores.push(bestScore);
+    },
+
+    result() {
+      // final global smoothing pass to produce continuous driving line
+      // (spline overshoot can cut a kerb, so pull the result back into the corridor)
+      return clampToTrackBounds(smoothLine(best, 3, closed), trackData);
     }
-  }
+  };
+
+  return run;
+}
 
-  // final global smoothing pass to produce continuous driving line
-  const finalLine = smoothLine(best, 3);
-  return finalLine;
+/**
+ * Optimize racing line using iterative gradient descent
+ * Adjusts line position to minimize lap time while respecting constraints
+ * 
+ * @param {Array} racingLine - Current racing line points
+ * @param {Object} trackData - Track geometry data
+ * @param {number} iterations - Number of optimization iterations
+ * @param {number} seed - PRNG seed; the same seed reproduces the same line
+ * @returns {Array} Optimized racing line
+ */
+function optimizeLine(racingLine, trackData, iterations = 120, seed = randomSeed()) {
+  if (!racingLine || racingLine.length < 3) return racingLine;
+
+  const run = createLineOptimizer(racingLine, trackData, iterations, seed);
+  while (!run.done()) run.step();
+  return run.result();
+}
+
+/**
+ * Run the selected racing line optimizer
+ *
+ * - 'annealing': randomized point perturbation (optimizeLine)
+ * - 'minCurvature': deterministic minimum-curvature offsets (optimizeLineMinCurvature)
+ * - 'minTime': minimum curvature refined toward the lowest lap time
+ *
+ * @param {string} algorithm - Optimizer name
+ * @param {Array} initialLine - Starting line (used by annealing only)
+ * @param {Object} trackData - Track geometry data
+ * @param {number} iterations - Annealing iterations
+ * @param {number} seed - Annealing PRNG seed
+ * @returns {Array} Optimized racing line
+ */
+function runOptimizer(algorithm, initialLine, trackData, iterations, seed) {
+  if (algorithm === 'minCurvature' || algorithm === 'minTime') {
+    return optimizeLineMinCurvature(trackData, { refineLapTime: algorithm === 'minTime' });
+  }
+  return optimizeLine(initialLine, trackData, iterations, seed);
 }
 
 /**
  * Light smoothing applied to interior points only (keeps endpoints)
+ * On a closed loop every point is interior
  */
-function smoothLocal(line, iterations = 1) {
+function smoothLocal(line, iterations = 1, closed = false) {
   const out = JSON.parse(JSON.stringify(line));
   const n = out.length;
   for (let it = 0; it < iterations; it++) {
-    for (let i = 1; i < n - 1; i++) {
-      const prev = out[i - 1];
+    for (let i = closed ? 0 : 1; i < (closed ? n : n - 1); i++) {
+      const prev = pointAt(out, i - 1, closed);
       const cur = out[i];
-      const next = out[i + 1];
+      const next = pointAt(out, i + 1, closed);
       // simple centroid move weighted to keep shape
       out[i].x = (prev.x + cur.x * 2 + next.x) / 4;
       out[i].y = (prev.y + cur.y * 2 + next.y) / 4;
@@ -164,9 +241,10 @@ function smoothLocal(line, iterations = 1) {
  * 
  * @param {Array} racingLine - Input racing line
  * @param {number} iterations - Smoothing iterations (more = smoother)
+ * @param {boolean} closed - Wrap the spline through the start/finish
  * @returns {Array} Smoothed racing line
  */
-function smoothLine(racingLine, iterations = 3) {
+function smoothLine(racingLine, iterations = 3, closed = false) {
   // Use Catmull-Rom spline resampling to create a smooth, continuous path
   if (!racingLine || racingLine.length < 3) return racingLine;
 
@@ -184,14 +262,14 @@ function smoothLine(racingLine, iterations = 3) {
   }
 
   // For closed tracks, wrap indices; otherwise clamp endpoints
-  const closed = false; // maintain as open for user-drawn tracks
   const n = racingLine.length;
+  const segmentCount = closed ? n : n - 1;
 
-  for (let i = 0; i < n - 1; i++) {
-    const p0 = i === 0 ? racingLine[i] : racingLine[i - 1];
+  for (let i = 0; i < segmentCount; i++) {
+    const p0 = pointAt(racingLine, i - 1, closed);
     const p1 = racingLine[i];
-    const p2 = racingLine[i + 1];
-    const p3 = i + 2 < n ? racingLine[i + 2] : racingLine[i + 1];
+    const p2 = pointAt(racingLine, i + 1, closed);
+    const p3 = pointAt(racingLine, i + 2, closed);
 
     // sample along this segment
     for (let s = 0; s < samplesPerSegment; s++) {
@@ -204,49 +282,52 @@ function smoothLine(racingLine, iterations = 3) {
     }
   }
 
-  // add final point
-  out.push(racingLine[racingLine.length - 1]);
+  // add final point (a closed loop wraps back to its first sample instead)
+  if (!closed) out.push(racingLine[racingLine.length - 1]);
 
   return out;
 }
 
+/**
+ * Simulate a lap along a racing line (quasi-steady-state, combined grip)
+ * Each point becomes a node with its local turn radius and the distance to
+ * the next point, both converted to meters with trackData.metersPerPixel
+ * 
+ * @param {Array} racingLine - Racing line points
+ * @param {Object} trackData - Track information (closed, metersPerPixel)
+ * @returns {Object} Per-point speeds, times, accelerations; see KartPhysics.simulateLap
+ */
+function simulateRacingLine(racingLine, trackData) {
+  const closed = !!(trackData && trackData.closed) && racingLine.length > 2;
+  const metersPerPixel = (trackData && trackData.metersPerPixel) || 1;
+  const n = racingLine.length;
+
+  const nodes = racingLine.map((p, i) => {
+    // Open lines have no turn at their endpoints
+    const hasNeighbours = closed || (i > 0 && i < n - 1);
+    const radius = hasNeighbours
+      ? radiusOfCurvature(pointAt(racingLine, i - 1, closed), p, pointAt(racingLine, i + 1, closed)) * metersPerPixel
+      : Infinity;
+    const length = closed || i < n - 1 ? distance(p, pointAt(racingLine, i + 1, closed)) * metersPerPixel : 0;
+    return { radius, length };
+  });
+
+  return kart.simulateLap(nodes, closed);
+}
+
 /**
  * Calculate lap time for a given racing line
  * Uses physics model to compute speed profile and total time
+ * On a closed loop this is a flying lap (periodic speed profile)
+ * Point coordinates are converted to meters with trackData.metersPerPixel
  * 
  * @param {Array} racingLine - Racing line points
  * @param {Object} trackData - Track information
  * @returns {number} Lap time in seconds
  */
 function calculateLapTime(racingLine, trackData) {
-  // Build segments and compute realistic speed profile using kart dynamics
   if (!racingLine || racingLine.length < 2) return Infinity;
-
-  const segments = [];
-  for (let i = 0; i < racingLine.length - 1; i++) {
-    const p1 = racingLine[i];
-    const p2 = racingLine[i + 1];
-    const p3 = racingLine[Math.min(i + 2, racingLine.length - 1)];
-
-    const segLength = distance(p1, p2);
-    const radius = radiusOfCurvature(p1, p2, p3);
-    const maxSpeed = kart.maxCornerSpeed(radius);
-
-    segments.push({ length: segLength, maxSpeed: maxSpeed, radius: radius });
-  }
-
-  // If kart physics provides a speed profile, use it
-  let speeds = [];
-  try {
-    speeds = kart.computeSpeedProfile(segments);
-  } catch (e) {
-    // fallback: use maxCornerSpeed per segment
-    speeds = segments.map(s => s.maxSpeed || 0.1);
-  }
-
-  // assign computed speeds and estimate lap time
-  for (let i = 0; i < segments.length; i++) segments[i].speed = speeds[i] || segments[i].maxSpeed || 0.1;
-  return kart.estimateLapTime(segments);
+  return simulateRacingLine(racingLine, trackData).lapTime;
 }
 
 /**
@@ -255,7 +336,8 @@ function calculateLapTime(racingLine, trackData) {
 function scoreLine(racingLine, trackData) {
   // Hard invalid checks
   if (!racingLine || racingLine.length < 2) return 1e9;
-  if (trackSelfIntersects(racingLine)) return 1e9;
+  const closed = !!(trackData && trackData.closed);
+  if (trackSelfIntersects(racingLine, closed)) return 1e9;
 
   for (let pt of racingLine) {
     if (!isPointInTrackBounds(pt, trackData)) return 1e9;
@@ -263,10 +345,16 @@ function scoreLine(racingLine, trackData) {
 
   const lapTime = calculateLapTime(racingLine, trackData);
 
-  // smoothness penalty: sum squared curvature (1/radius)
+  // smoothness penalty: sum squared curvature (1/radius, radius in meters)
+  const metersPerPixel = (trackData && trackData.metersPerPixel) || 1;
   let smoothPenalty = 0;
-  for (let i = 0; i < racingLine.length - 2; i++) {
-    const r = radiusOfCurvature(racingLine[i], racingLine[i + 1], racingLine[i + 2]);
+  const cornerCount = closed ? racingLine.length : racingLine.length - 2;
+  for (let i = 0; i < cornerCount; i++) {
+    const r = radiusOfCurvature(
+      racingLine[i],
+      pointAt(racingLine, i + 1, closed),
+      pointAt(racingLine, i + 2, closed)
+    ) * metersPerPixel;
     const inv = r === 0 || r === Infinity ? 0 : 1 / Math.max(1e-3, Math.abs(r));
     smoothPenalty += inv * inv;
   }
@@ -291,51 +379,69 @@ function scoreLine(racingLine, trackData) {
   return lapTime + alpha * smoothPenalty + beta * devPenalty;
 }
 
+/**
+ * Get the allowed lateral distance from the centerline on the side a point lies,
+ * interpolating per-point widths along the nearest centerline segment
+ * 
+ * @param {Object} proj - Projection from projectOntoPolyline
+ * @param {Object} trackData - Track boundary data
+ * @returns {number} Distance from the centerline to the edge on that side
+ */
+function corridorHalfWidth(proj, trackData) {
+  const points = trackData.points;
+  const metersPerPixel = trackData.metersPerPixel || 1;
+  const a = edgeWidths(points[proj.index], trackData.trackWidth, metersPerPixel);
+  const b = edgeWidths(
+    pointAt(points, proj.index + 1, !!trackData.closed),
+    trackData.trackWidth,
+    metersPerPixel
+  );
+  const side = proj.offset >= 0 ? 'right' : 'left';
+  return a[side] + (b[side] - a[side]) * proj.t;
+}
+
 /**
  * Check if a point is within track boundaries
+ * The corridor is the area between the left and right edges, i.e. every point
+ * whose lateral distance from the centerline is within the width on its side
+ * 
  * @param {Object} point - Point to test {x, y}
- * @param {Object} trackData - Track boundary data
+ * @param {Object} trackData - Track boundary data (centerline points, width, closed flag)
  * @returns {boolean} True if within bounds
  */
 function isPointInTrackBounds(point, trackData) {
   if (!trackData || !trackData.boundaries) return true;
+  if (!trackData.points || trackData.points.length < 2) return true;
   
-  // Simple bounding box check
-  for (let boundary of trackData.boundaries) {
-    if (pointInPolygon(point, boundary)) {
-      return false; // Point is outside track
-    }
-  }
-  
-  return true;
+  const proj = projectOntoPolyline(point, trackData.points, !!trackData.closed);
+  return proj.distance <= corridorHalfWidth(proj, trackData) + 1e-6;
 }
 
 /**
- * Generate apex points (turning points) along racing line
- * Apexes are local minimum radius points where turning is tightest
+ * Pull any racing line points that lie outside the track corridor
+ * back onto the nearest edge
  * 
  * @param {Array} racingLine - Racing line points
- * @returns {Array} Apex point indices
+ * @param {Object} trackData - Track boundary data
+ * @returns {Array} New racing line with every point inside the corridor (same length)
  */
-function findApexes(racingLine) {
-  const apexes = [];
+function clampToTrackBounds(racingLine, trackData) {
+  if (!racingLine || !trackData || !trackData.boundaries) return racingLine;
+  if (!trackData.points || trackData.points.length < 2) return racingLine;
   
-  if (racingLine.length < 3) return apexes;
-  
-  for (let i = 1; i < racingLine.length - 1; i++) {
-    const p1 = racingLine[i - 1];
-    const p2 = racingLine[i];
-    const p3 = racingLine[i + 1];
-    
-    const radius = radiusOfCurvature(p1, p2, p3);
+  // Point for point, so the line never loses the points it needs to stay valid
+  return racingLine.map(pt => {
+    const proj = projectOntoPolyline(pt, trackData.points, !!trackData.closed);
+    const half = corridorHalfWidth(proj, trackData);
+    if (proj.distance <= half) return { x: pt.x, y: pt.y };
     
-    // Apex is where radius is small (tight corner)
-    if (radius < 50) { // Arbitrary threshold for "tight" corner
-      apexes.push(i);
-    }
-  }
-  
-  return apexes;
+    // Move along the projection direction until the point sits on the edge
+    const k = half / proj.distance;
+    return {
+      x: proj.point.x + (pt.x - proj.point.x) * k,
+      y: proj.point.y + (pt.y - proj.point.y) * k
+    };
+  });
 }
 
 /**
@@ -360,7 +466,7 @@ function validateRacingLine(racingLine, trackData) {
   }
   
   // Check for self-intersections
-  if (trackSelfIntersects(racingLine)) {
+  if (trackSelfIntersects(racingLine, !!(trackData && trackData.closed))) {
     errors.push("Racing line self-intersects");
   }
   
@@ -369,3 +475,20 @@ function validateRacingLine(racingLine, trackData) {
     errors: errors
   };
 }
+
+// Export for Node/Jest testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    initialHeuristicLine,
+    createLineOptimizer,
+    optimizeLine,
+    runOptimizer,
+    smoothLine,
+    simulateRacingLine,
+    calculateLapTime,
+    scoreLine,
+    isPointInTrackBounds,
+    clampToTrackBounds,
+    validateRacingLine
+  };
+}
@@ -0,0 +1,38 @@
+/**
+ * Seedable Pseudo-Random Numbers
+ * Optimizer runs draw from these instead of Math.random() so that the same
+ * seed always reproduces the same racing line
+ */
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ *
+ * @param {number} seed - 32-bit unsigned integer seed
+ * @returns {Function} Generator returning floats in [0, 1), like Math.random
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a fresh seed for a run the user did not seed explicitly
+ * @returns {number} 32-bit unsigned integer seed
+ */
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Export for Node/Jest testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createRandom,
+    randomSeed
+  };
+}
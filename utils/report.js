@@ -0,0 +1,155 @@
+/**
+ * Driver Report - Printable Briefing Sheet for a Track and Racing Line
+ * Builds a self-contained HTML page (track map, corner table, speed trace,
+ * kart setup and lap time) laid out for A4 so print-to-PDF gives a clean document.
+ */
+
+/**
+ * Speed against lap distance as an SVG chart, with a dashed marker at each
+ * corner's apex
+ *
+ * @param {Object} telemetry - buildTelemetry result
+ * @param {Array} corners - analyzeCorners result for the same line
+ * @param {Object} format - Formatters {speed(ms), speedUnit, distance(m)}
+ * @returns {string} SVG element
+ */
+function speedTraceSVG(telemetry, corners, format) {
+  const width = 700;
+  const height = 180;
+  const pad = { left: 40, right: 10, top: 18, bottom: 22 };
+  const length = telemetry.distance[telemetry.distance.length - 1] || 1;
+  const maxSpeed = Math.max(...telemetry.speed) || 1;
+  const xAt = (d) => pad.left + (d / length) * (width - pad.left - pad.right);
+  const yAt = (v) => height - pad.bottom - (v / maxSpeed) * (height - pad.top - pad.bottom);
+  const fmt = (v) => v.toFixed(1);
+
+  const parts = [
+    `<line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" stroke="#999"/>`,
+    `<line x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}" stroke="#999"/>`,
+    `<text x="${pad.left - 4}" y="${fmt(yAt(maxSpeed) + 4)}" text-anchor="end" font-size="10">${format.speed(maxSpeed)}</text>`,
+    `<text x="${pad.left - 4}" y="${height - pad.bottom}" text-anchor="end" font-size="10">0</text>`,
+    `<text x="${pad.left}" y="${pad.top - 6}" font-size="10">${escapeXML(format.speedUnit)}</text>`,
+    `<text x="${width - pad.right}" y="${height - 6}" text-anchor="end" font-size="10">${escapeXML(format.distance(length))}</text>`
+  ];
+  for (const corner of corners) {
+    const x = fmt(xAt(telemetry.distance[corner.apex.index]));
+    parts.push(`<line x1="${x}" y1="${pad.top}" x2="${x}" y2="${height - pad.bottom}" stroke="#bbb" stroke-dasharray="3 3"/>`);
+    parts.push(`<text x="${x}" y="${height - 8}" text-anchor="middle" font-size="10" font-weight="bold">${escapeXML(corner.name)}</text>`);
+  }
+  const trace = telemetry.distance.map((d, i) => `${fmt(xAt(d))},${fmt(yAt(telemetry.speed[i]))}`).join(' ');
+  parts.push(`<polyline points="${trace}" fill="none" stroke="#1e3a8a" stroke-width="1.5"/>`);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" font-family="sans-serif" role="img" aria-label="Speed trace">
+  ${parts.join('\n  ')}
+</svg>`;
+}
+
+/**
+ * Kart setup as label/value rows
+ * @param {Object} params - KartPhysics.getParameters()
+ * @param {number} topSpeed - Top speed in m/s (KartPhysics.topSpeed())
+ * @param {Object} format - Formatters {speed(ms), speedUnit}
+ * @returns {Array} [label, value] pairs
+ */
+function kartSetupRows(params, topSpeed, format) {
+  const rows = [
+    ['Grip coefficient', params.grip.toFixed(2)],
+    ['Kart + driver', `${params.weight} kg`]
+  ];
+  if (params.drivetrain === 'engine') {
+    const engine = params.engine;
+    const gears = engine.gearRatios && engine.gearRatios.length > 0
+      ? `${engine.gearRatios.length} gears`
+      : `direct drive ${engine.gearRatio}:1`;
+    rows.push(['Engine', `${engine.name || 'Custom engine'}, ${gears}`]);
+    rows.push(['Rev limit', `${engine.maxRpm} rpm`]);
+  } else {
+    rows.push(['Max acceleration', `${params.acceleration} m/s²`]);
+  }
+  rows.push(['Max braking', `${params.braking} m/s²`]);
+  rows.push(['Top speed', `${format.speed(topSpeed)} ${format.speedUnit}`]);
+  return rows;
+}
+
+/**
+ * The driver briefing as a printable HTML document
+ *
+ * @param {Object} report - {title, lapTime, lapLength, trackMap, corners, brakes, telemetry, kart, topSpeed}
+ *   - trackMap: SVG of the track (exportSVG with corner labels)
+ *   - corners: analyzeCorners result; brakes: findBrakePoints result
+ *   - kart: KartPhysics.getParameters(); lapTime in s, lapLength in m, topSpeed in m/s
+ * @param {Object} format - Formatters {speed(ms), speedUnit, distance(m), lapTime(s)}
+ * @returns {string} HTML document
+ */
+function buildDriverReport(report, format) {
+  const brakeFor = (corner) => report.brakes.find(b => b.corner === corner.name);
+  const cornerRows = report.corners.map(corner => {
+    const brake = brakeFor(corner);
+    return `
+      <tr>
+        <td><b>${escapeXML(corner.name)}</b></td>
+        <td>${corner.direction === 'left' ? 'Left' : 'Right'}</td>
+        <td>${escapeXML(format.distance(corner.minRadius))}</td>
+        <td>${brake ? escapeXML(format.distance(brake.brakingDistance)) : 'Lift / none'}</td>
+        <td>${brake ? brake.boards.map(board => board.distance).join(', ') || '-' : '-'}</td>
+        <td>${format.speed(corner.entrySpeed)}</td>
+        <td><b>${format.speed(corner.minSpeed)}</b></td>
+        <td>${format.speed(corner.exitSpeed)}</td>
+      </tr>`;
+  }).join('');
+  const setupRows = kartSetupRows(report.kart, report.topSpeed, format)
+    .map(([label, value]) => `<tr><th>${escapeXML(label)}</th><td>${escapeXML(value)}</td></tr>`)
+    .join('');
+  // Inline the map: drop the XML prolog of the standalone file
+  const trackMap = report.trackMap.replace(/^<\?xml[^>]*>\s*/, '');
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${escapeXML(report.title)} - Driver Briefing</title>
+<style>
+  @page { size: A4; margin: 12mm; }
+  body { font-family: sans-serif; margin: 20px; color: #111; }
+  header { display: flex; justify-content: space-between; align-items: baseline; border-bottom: 2px solid #1e3a8a; margin-bottom: 12px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 14px; margin: 16px 0 6px; color: #1e3a8a; }
+  .lap-time { font-size: 22px; font-weight: bold; font-variant-numeric: tabular-nums; }
+  .map svg { width: 100%; height: auto; max-height: 120mm; }
+  .trace svg { width: 100%; height: auto; }
+  table { border-collapse: collapse; font-size: 12px; }
+  th, td { border: 1px solid #999; padding: 3px 8px; text-align: left; }
+  thead th { background: #e8ecf5; }
+  section { break-inside: avoid; page-break-inside: avoid; }
+  @media print {
+    body { margin: 0; }
+    thead th { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  }
+</style></head>
+<body>
+  <header>
+    <div><h1>${escapeXML(report.title)}</h1>Lap length ${escapeXML(format.distance(report.lapLength))}</div>
+    <div class="lap-time">${escapeXML(format.lapTime(report.lapTime))}</div>
+  </header>
+  <section class="map"><h2>Track map</h2>${trackMap}</section>
+  <section>
+    <h2>Corners</h2>
+    <table>
+      <thead><tr><th>#</th><th>Dir</th><th>Min radius</th><th>Braking</th><th>Boards (m)</th><th>Entry</th><th>Min</th><th>Exit</th></tr></thead>
+      <tbody>${cornerRows}</tbody>
+    </table>
+    <small>Speeds in ${escapeXML(format.speedUnit)}; boards are trackside markers in meters, counting down to the corner entry</small>
+  </section>
+  <section class="trace"><h2>Speed trace</h2>${speedTraceSVG(report.telemetry, report.corners, format)}</section>
+  <section>
+    <h2>Kart setup</h2>
+    <table>${setupRows}</table>
+  </section>
+</body></html>`;
+}
+
+// Export for Node/Jest testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    speedTraceSVG,
+    kartSetupRows,
+    buildDriverReport
+  };
+}
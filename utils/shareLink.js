@@ -0,0 +1,85 @@
+/**
+ * Share Links - Tracks Encoded in a URL Fragment
+ * The track file (see trackSchema.js) is deflated and base64url-encoded into
+ * "#track=...", so a link carries the whole setup without a server. The
+ * fragment never leaves the browser when the link is opened. The zlib
+ * 'deflate' format is used because Node 18 has no 'deflate-raw' stream.
+ */
+
+const SHARE_HASH_PREFIX = '#track=';
+// Links longer than this may be cut off by chat apps and mail clients
+const SHARE_LINK_WARN_LENGTH = 8000;
+
+/**
+ * Round coordinates to 0.1 px: plenty for drawing, and it roughly halves the link
+ * @param {Object} track - Track file
+ * @param {boolean} includeRacingLine - Keep the racing line (otherwise the teammate regenerates it)
+ * @returns {Object} Track file to share
+ */
+function compactTrack(track, includeRacingLine = true) {
+  const round = (v) => Math.round(v * 10) / 10;
+  const roundPoint = (p) => ({ ...p, x: round(p.x), y: round(p.y) });
+  return {
+    ...track,
+    trackPoints: track.trackPoints.map(roundPoint),
+    racingLine: includeRacingLine && track.racingLine ? track.racingLine.map(roundPoint) : null
+  };
+}
+
+/**
+ * Run bytes through a CompressionStream or DecompressionStream
+ */
+async function pipeBytes(bytes, stream) {
+  const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+  return new Uint8Array(buffer);
+}
+
+/**
+ * Encode a track as a URL fragment
+ * @param {Object} track - Track file (CanvasManager.saveTrackJSON)
+ * @param {boolean} includeRacingLine - Include the racing line
+ * @returns {Promise<string>} Fragment starting with SHARE_HASH_PREFIX
+ */
+async function encodeShareLink(track, includeRacingLine = true) {
+  const json = JSON.stringify(compactTrack(track, includeRacingLine));
+  const bytes = await pipeBytes(new TextEncoder().encode(json), new CompressionStream('deflate'));
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  const base64url = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return SHARE_HASH_PREFIX + base64url;
+}
+
+/**
+ * Decode a shared track from a URL fragment
+ * The track goes through parseTrackFile, so a damaged or edited link throws
+ * instead of loading a broken track.
+ *
+ * @param {string} hash - location.hash (starting with SHARE_HASH_PREFIX)
+ * @returns {Promise<Object>} Track at the current file version
+ */
+async function decodeShareLink(hash) {
+  if (!hash.startsWith(SHARE_HASH_PREFIX)) throw new Error('Not a track link');
+  const base64 = hash.slice(SHARE_HASH_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+  let json;
+  try {
+    const binary = atob(base64);
+    const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+    json = new TextDecoder().decode(await pipeBytes(bytes, new DecompressionStream('deflate')));
+  } catch (err) {
+    throw new Error('The track link is damaged or incomplete');
+  }
+  return parseTrackFile(json);
+}
+
+// Export for Node/Jest testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SHARE_HASH_PREFIX,
+    SHARE_LINK_WARN_LENGTH,
+    compactTrack,
+    encodeShareLink,
+    decodeShareLink
+  };
+}
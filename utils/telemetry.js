@@ -0,0 +1,253 @@
+/**
+ * Telemetry - Lap Data Channels Plotted Against Distance
+ * Speed, lateral g, longitudinal g and curvature along the racing line,
+ * taken from the same lap simulation as the lap time
+ */
+
+// Channels in the order they are stacked in the panel
+const TELEMETRY_CHANNELS = [
+  { key: 'speed', label: 'Speed', color: '#0066cc' },
+  { key: 'latG', label: 'Lateral g', color: '#cc3300' },
+  { key: 'lonG', label: 'Long. g', color: '#009944' },
+  { key: 'curvature', label: 'Curvature', color: '#8844aa' }
+];
+
+/**
+ * Build the telemetry channels for a racing line
+ * Samples are indexed like the line's points; a closed loop gets an extra
+ * sample for arriving back at its first point so the charts span the full lap.
+ *
+ * @param {Array} racingLine - Racing line points {x, y}
+ * @param {Object} trackData - Track information (closed loop flag, scale)
+ * @param {Object} lap - KartPhysics.simulateLap result for the line
+ * @returns {Object} {points, distance, speed, latG, lonG, curvature, lapLength, lapTime}
+ *   speed in m/s, accelerations in g (lateral positive when turning left),
+ *   curvature in 1/m (positive left)
+ */
+function buildTelemetry(racingLine, trackData, lap = simulateRacingLine(racingLine, trackData)) {
+  const closed = !!(trackData && trackData.closed) && racingLine.length > 2;
+  const metersPerPixel = (trackData && trackData.metersPerPixel) || 1;
+  const g = 9.81;
+  const n = racingLine.length;
+
+  const curvatureChannel = racingLine.map((p, i) => {
+    if (!closed && (i === 0 || i === n - 1)) return 0;
+    const prev = pointAt(racingLine, i - 1, closed);
+    const next = pointAt(racingLine, i + 1, closed);
+    // Canvas y points down, so a negative cross product is a left turn
+    const cross = (p.x - prev.x) * (next.y - p.y) - (p.y - prev.y) * (next.x - p.x);
+    const sign = cross < 0 ? 1 : -1;
+    return sign * curvature(prev, p, next) / metersPerPixel;
+  });
+  const latG = lap.latAccel.map((a, i) => (curvatureChannel[i] < 0 ? -a : a) / g);
+  const lonG = lap.lonAccel.map(a => a / g);
+
+  const wrap = (values, end) => (closed ? values.concat(end) : values.slice());
+  return {
+    points: wrap(racingLine, racingLine[0]),
+    distance: wrap(lap.distances, lap.lapLength),
+    speed: wrap(lap.speeds, lap.speeds[0]),
+    latG: wrap(latG, latG[0]),
+    lonG: wrap(lonG, lonG[0]),
+    curvature: wrap(curvatureChannel, curvatureChannel[0]),
+    lapLength: lap.lapLength,
+    lapTime: lap.lapTime
+  };
+}
+
+/**
+ * Interpolate every channel (and the track position) at a distance along the lap
+ * @param {Object} telemetry - buildTelemetry result
+ * @param {number} dist - Distance along the line in meters
+ * @returns {Object} {distance, x, y, speed, latG, lonG, curvature}
+ */
+function sampleTelemetry(telemetry, dist) {
+  const d = telemetry.distance;
+  let i = 1;
+  while (i < d.length - 1 && d[i] < dist) i++;
+  const span = d[i] - d[i - 1] || 1e-6;
+  const t = Math.max(0, Math.min(1, (dist - d[i - 1]) / span));
+  const mix = (values) => values[i - 1] + (values[i] - values[i - 1]) * t;
+  const a = telemetry.points[i - 1];
+  const b = telemetry.points[i];
+  return {
+    distance: d[i - 1] + span * t,
+    x: a.x + (b.x - a.x) * t,
+    y: a.y + (b.y - a.y) * t,
+    speed: mix(telemetry.speed),
+    latG: mix(telemetry.latG),
+    lonG: mix(telemetry.lonG),
+    curvature: mix(telemetry.curvature)
+  };
+}
+
+/**
+ * Telemetry panel: one chart per channel sharing a distance axis, with a
+ * cursor for the simulator position and hover reporting the distance under
+ * the pointer
+ */
+class TelemetryPanel {
+  constructor(canvasElement, onHover = null) {
+    this.canvas = canvasElement;
+    this.ctx = this.canvas.getContext('2d');
+    this.onHover = onHover; // called with a distance in meters, or null when the pointer leaves
+    this.telemetry = null;
+    this.cursorDist = null; // simulator position
+    this.hoverDist = null; // pointer position
+    this.units = 'metric';
+    this.margin = { left: 70, right: 10 };
+
+    this.canvas.addEventListener('mousemove', (e) => this.handlePointer(e));
+    this.canvas.addEventListener('mouseleave', () => this.setHover(null));
+    this.canvas.addEventListener('touchmove', (e) => {
+      e.preventDefault();
+      this.handlePointer(e.touches[0]);
+    }, { passive: false });
+    this.canvas.addEventListener('touchend', () => this.setHover(null));
+  }
+
+  /**
+   * Show new telemetry (null hides the charts)
+   */
+  setData(telemetry) {
+    this.telemetry = telemetry && telemetry.distance.length > 1 ? telemetry : null;
+    this.draw();
+  }
+
+  /**
+   * Move the simulator cursor (null hides it)
+   */
+  setCursor(dist) {
+    this.cursorDist = dist;
+    this.draw();
+  }
+
+  setHover(dist) {
+    this.hoverDist = dist;
+    this.draw();
+    if (this.onHover) this.onHover(dist);
+  }
+
+  handlePointer(e) {
+    if (!this.telemetry) return;
+    const rect = this.canvas.getBoundingClientRect();
+    const plotWidth = rect.width - this.margin.left - this.margin.right;
+    const t = (e.clientX - rect.left - this.margin.left) / plotWidth;
+    if (t < 0 || t > 1) {
+      if (this.hoverDist !== null) this.setHover(null);
+      return;
+    }
+    this.setHover(t * this.telemetry.lapLength);
+  }
+
+  /**
+   * Convert a speed channel value for display
+   */
+  formatSpeed(ms) {
+    return this.units === 'metric' ? (ms * 3.6).toFixed(0) + ' km/h' : (ms * 2.23694).toFixed(0) + ' mph';
+  }
+
+  formatValue(key, value) {
+    if (key === 'speed') return this.formatSpeed(value);
+    if (key === 'curvature') return value.toFixed(3) + ' /m';
+    return value.toFixed(2) + ' g';
+  }
+
+  /**
+   * Draw all channels, the simulator cursor and the hover read-out
+   */
+  draw() {
+    // Match the backing store to the displayed size for crisp lines on retina screens
+    const dpr = window.devicePixelRatio || 1;
+    const rect = this.canvas.getBoundingClientRect();
+    const width = Math.max(1, rect.width);
+    const height = Math.max(1, rect.height);
+    if (this.canvas.width !== Math.round(width * dpr) || this.canvas.height !== Math.round(height * dpr)) {
+      this.canvas.width = Math.round(width * dpr);
+      this.canvas.height = Math.round(height * dpr);
+    }
+    const ctx = this.ctx;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const data = this.telemetry;
+    if (!data) {
+      ctx.fillStyle = '#666';
+      ctx.font = '12px sans-serif';
+      ctx.fillText('Generate a racing line to see telemetry', this.margin.left, height / 2);
+      return;
+    }
+
+    const left = this.margin.left;
+    const plotWidth = width - left - this.margin.right;
+    const rowHeight = height / TELEMETRY_CHANNELS.length;
+    const xAt = (dist) => left + (dist / (data.lapLength || 1)) * plotWidth;
+    const hover = this.hoverDist !== null ? sampleTelemetry(data, this.hoverDist) : null;
+
+    TELEMETRY_CHANNELS.forEach((channel, row) => {
+      const values = data[channel.key];
+      const top = row * rowHeight + 4;
+      const bottom = (row + 1) * rowHeight - 4;
+      let min = Math.min(...values);
+      let max = Math.max(...values);
+      // Signed channels get a symmetric scale so zero sits in the middle
+      if (channel.key !== 'speed') {
+        const extent = Math.max(Math.abs(min), Math.abs(max)) || 1;
+        min = -extent;
+        max = extent;
+      }
+      const range = max - min || 1;
+      const yAt = (v) => bottom - ((v - min) / range) * (bottom - top);
+
+      ctx.strokeStyle = '#e0e0e0';
+      ctx.lineWidth = 1;
+      ctx.strokeRect(left, top, plotWidth, bottom - top);
+      if (channel.key !== 'speed') {
+        ctx.beginPath();
+        ctx.moveTo(left, yAt(0));
+        ctx.lineTo(left + plotWidth, yAt(0));
+        ctx.stroke();
+      }
+
+      ctx.strokeStyle = channel.color;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      values.forEach((v, i) => {
+        const x = xAt(data.distance[i]);
+        if (i === 0) ctx.moveTo(x, yAt(v));
+        else ctx.lineTo(x, yAt(v));
+      });
+      ctx.stroke();
+
+      ctx.fillStyle = '#333';
+      ctx.font = '11px sans-serif';
+      ctx.fillText(channel.label, 4, top + 12);
+      ctx.fillStyle = '#666';
+      ctx.font = '10px sans-serif';
+      if (hover) ctx.fillText(this.formatValue(channel.key, hover[channel.key]), 4, top + 26);
+      else if (channel.key === 'speed') ctx.fillText('max ' + this.formatSpeed(max), 4, top + 26);
+    });
+
+    const drawCursor = (dist, color) => {
+      const x = xAt(dist);
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+    };
+    if (this.cursorDist !== null) drawCursor(this.cursorDist, '#ff0000');
+    if (hover) drawCursor(hover.distance, '#333');
+  }
+}
+
+// Export for Node/Jest testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TELEMETRY_CHANNELS,
+    buildTelemetry,
+    sampleTelemetry,
+    TelemetryPanel
+  };
+}
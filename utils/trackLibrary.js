@@ -0,0 +1,202 @@
+/**
+ * Track Library - Named Tracks and Autosave in IndexedDB
+ * Library entries wrap a track file (see trackSchema.js) with a name, tags
+ * and a thumbnail. The autosave slot holds the working track and its undo
+ * history so a refresh picks up where the user left off.
+ */
+
+const LIBRARY_DB_NAME = 'karting.trackLibrary';
+const LIBRARY_DB_VERSION = 1;
+const LIBRARY_STORE = 'tracks';
+const AUTOSAVE_STORE = 'autosave';
+const AUTOSAVE_ID = 'current';
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (creating or upgrading) the library database
+ * @param {IDBFactory} factory - indexedDB or a compatible object
+ * @returns {Promise<IDBDatabase>}
+ */
+function openTrackLibrary(factory = typeof indexedDB !== 'undefined' ? indexedDB : null) {
+  if (!factory) return Promise.reject(new Error('IndexedDB is not available in this browser'));
+  const request = factory.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(LIBRARY_STORE)) db.createObjectStore(LIBRARY_STORE, { keyPath: 'id' });
+    if (!db.objectStoreNames.contains(AUTOSAVE_STORE)) db.createObjectStore(AUTOSAVE_STORE, { keyPath: 'id' });
+  };
+  return requestResult(request);
+}
+
+/**
+ * Run one request against a store
+ * @param {IDBDatabase} db - Open library database
+ * @param {string} storeName - LIBRARY_STORE or AUTOSAVE_STORE
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} action - (store) => IDBRequest
+ * @returns {Promise} The request's result
+ */
+function libraryRequest(db, storeName, mode, action) {
+  const store = db.transaction(storeName, mode).objectStore(storeName);
+  return requestResult(action(store));
+}
+
+/**
+ * All library entries, most recently modified first
+ * @param {IDBDatabase} db - Open library database
+ * @returns {Promise<Array>} Entries {id, name, tags, thumbnail, created, modified, track}
+ */
+async function listLibraryTracks(db) {
+  const records = await libraryRequest(db, LIBRARY_STORE, 'readonly', store => store.getAll());
+  return records.sort((a, b) => b.modified.localeCompare(a.modified));
+}
+
+/**
+ * One library entry (undefined if there is none with this id)
+ */
+function getLibraryTrack(db, id) {
+  return libraryRequest(db, LIBRARY_STORE, 'readonly', store => store.get(id));
+}
+
+/**
+ * Add or replace a library entry
+ */
+function putLibraryTrack(db, record) {
+  return libraryRequest(db, LIBRARY_STORE, 'readwrite', store => store.put(record));
+}
+
+/**
+ * Remove a library entry
+ */
+function deleteLibraryTrack(db, id) {
+  return libraryRequest(db, LIBRARY_STORE, 'readwrite', store => store.delete(id));
+}
+
+/**
+ * Store the working state
+ * @param {IDBDatabase} db - Open library database
+ * @param {Object} state - {track, history, historyIndex, libraryId}: the track file,
+ *   CanvasManager undo history and the library entry the track was opened from (or null)
+ */
+function saveAutosave(db, state) {
+  return libraryRequest(db, AUTOSAVE_STORE, 'readwrite',
+    store => store.put({ ...state, id: AUTOSAVE_ID, savedAt: new Date().toISOString() }));
+}
+
+/**
+ * The stored working state (undefined if nothing was autosaved)
+ */
+function loadAutosave(db) {
+  return libraryRequest(db, AUTOSAVE_STORE, 'readonly', store => store.get(AUTOSAVE_ID));
+}
+
+/**
+ * Split a tag field ("club, indoor  wet") into lower-case tags without repeats
+ * @param {string} text - Tags separated by commas or spaces
+ * @returns {Array} Tags
+ */
+function parseTags(text) {
+  const tags = String(text || '').toLowerCase().split(/[\s,]+/).filter(Boolean);
+  return [...new Set(tags)];
+}
+
+/**
+ * The name with " (2)", " (3)"... appended if another entry already uses it
+ * @param {string} name - Wanted name
+ * @param {Array} names - Names already in the library
+ * @returns {string} Unused name
+ */
+function uniqueTrackName(name, names) {
+  const taken = new Set(names.map(n => n.toLowerCase()));
+  if (!taken.has(name.toLowerCase())) return name;
+  let k = 2;
+  while (taken.has(`${name} (${k})`.toLowerCase())) k++;
+  return `${name} (${k})`;
+}
+
+/**
+ * Thumbnail of a track file: its SVG drawing as a data URL
+ * @param {Object} track - Track file
+ * @returns {string|null} data: URL, or null for a track with fewer than two points
+ */
+function trackThumbnail(track) {
+  if (!track.trackPoints || track.trackPoints.length < 2) return null;
+  const svg = exportSVG({
+    points: track.trackPoints,
+    closed: track.closed,
+    trackWidth: track.trackWidth,
+    metersPerPixel: track.metersPerPixel
+  }, track.racingLine);
+  return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+}
+
+/**
+ * Build a library entry for a track file
+ * The entry's name is written into the file's metadata so an opened entry
+ * keeps its name when downloaded.
+ *
+ * @param {Object} track - Track file (CanvasManager.saveTrackJSON)
+ * @param {Object} fields - {id, name, tags, created}: id and created of the entry being replaced, if any
+ * @returns {Object} Entry {id, name, tags, thumbnail, created, modified, track}
+ */
+function createLibraryRecord(track, { id = null, name = '', tags = [], created = null } = {}) {
+  const now = new Date().toISOString();
+  const trackName = name.trim() || track.metadata.name || 'Untitled track';
+  return {
+    id: id || 'track-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    name: trackName,
+    tags,
+    thumbnail: trackThumbnail(track),
+    created: created || now,
+    modified: now,
+    track: { ...track, metadata: { ...track.metadata, name: trackName } }
+  };
+}
+
+/**
+ * Filter entries by a search query
+ * Every word of the query must match the start of a word in the name, or a tag
+ * ("#wet" matches tags only).
+ *
+ * @param {Array} records - Library entries
+ * @param {string} query - Search text
+ * @returns {Array} Matching entries, in their original order
+ */
+function searchLibrary(records, query) {
+  const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return records;
+  return records.filter(record => {
+    const words = record.name.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    return terms.every(term => {
+      if (term.startsWith('#')) return record.tags.includes(term.slice(1));
+      return record.tags.some(tag => tag.startsWith(term)) || words.some(word => word.startsWith(term));
+    });
+  });
+}
+
+// Export for Node/Jest testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    openTrackLibrary,
+    listLibraryTracks,
+    getLibraryTrack,
+    putLibraryTrack,
+    deleteLibraryTrack,
+    saveAutosave,
+    loadAutosave,
+    parseTags,
+    uniqueTrackName,
+    trackThumbnail,
+    createLibraryRecord,
+    searchLibrary
+  };
+}
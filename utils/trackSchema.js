@@ -0,0 +1,217 @@
+/**
+ * Track File Schema - Versioned Track Files with Validation and Migration
+ * Track files are JSON. Files without a version (everything saved before
+ * versioning, and the example tracks) are version 1 and are migrated on load.
+ *
+ * Version 2:
+ * {
+ *   type: 'kartTrack', version: 2,
+ *   metadata: {name, description, created, modified}  - dates are ISO strings
+ *   units: 'metric' | 'imperial'                      - display units
+ *   trackPoints: [{x, y, widthLeft?, widthRight?}]    - canvas pixels; widths in meters
+ *   closed: boolean, trackWidth: meters, metersPerPixel: number
+ *   racingLine: [{x, y}] | null
+ *   optimizer: {algorithm, seed, iterations} | null   - run that produced racingLine
+ *   kart: KartPhysics parameters | null               - as KartPhysics.getParameters()
+ *   geoReference: {lat, lon, x, y, metersPerPixel} | null
+ *   background: {source, x, y, scale, rotation, opacity} | null
+ * }
+ */
+
+const TRACK_FILE_TYPE = 'kartTrack';
+const TRACK_FILE_VERSION = 2;
+const OPTIMIZER_ALGORITHMS = ['annealing', 'minCurvature', 'minTime'];
+
+/**
+ * Upgrades from each version to the next
+ */
+const TRACK_MIGRATIONS = {
+  // Unversioned files: name/description/timestamp at the top level, scale and width optional
+  1: (data) => {
+    const { name, description, timestamp, ...rest } = data;
+    const date = typeof timestamp === 'string' ? timestamp : null;
+    return {
+      ...rest,
+      type: TRACK_FILE_TYPE,
+      version: 2,
+      metadata: {
+        name: typeof name === 'string' ? name : '',
+        description: typeof description === 'string' ? description : '',
+        created: date,
+        modified: date
+      },
+      units: 'metric',
+      closed: rest.closed === undefined ? false : rest.closed,
+      trackWidth: rest.trackWidth === undefined ? 6 : rest.trackWidth,
+      metersPerPixel: rest.metersPerPixel === undefined ? 1 : rest.metersPerPixel,
+      racingLine: rest.racingLine === undefined ? null : rest.racingLine,
+      optimizer: rest.optimizer === undefined ? null : rest.optimizer,
+      kart: null,
+      geoReference: rest.geoReference === undefined ? null : rest.geoReference,
+      background: rest.background === undefined ? null : rest.background
+    };
+  }
+};
+
+/**
+ * Bring a track file up to the current version
+ * @param {Object} data - Parsed track file
+ * @returns {Object} A copy at TRACK_FILE_VERSION
+ */
+function migrateTrack(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Track file must be a JSON object');
+  }
+  let track = JSON.parse(JSON.stringify(data));
+  let version = track.version === undefined ? 1 : track.version;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Unknown track file version "${track.version}"`);
+  }
+  if (version > TRACK_FILE_VERSION) {
+    throw new Error(`Track file version ${version} is newer than this app supports (${TRACK_FILE_VERSION})`);
+  }
+  while (version < TRACK_FILE_VERSION) {
+    track = TRACK_MIGRATIONS[version](track);
+    version = track.version;
+  }
+  return track;
+}
+
+/**
+ * Check a current-version track against the schema
+ * @param {Object} track - Track file at TRACK_FILE_VERSION
+ * @returns {Array} Error messages naming the offending field (empty when valid)
+ */
+function validateTrack(track) {
+  const errors = [];
+  const isNumber = (v) => typeof v === 'number' && isFinite(v);
+  const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  const checkNumber = (value, path, { positive = false, min = -Infinity, max = Infinity } = {}) => {
+    if (!isNumber(value)) errors.push(`${path} must be a number`);
+    else if (positive && value <= 0) errors.push(`${path} must be positive`);
+    else if (value < min || value > max) errors.push(`${path} must be between ${min} and ${max}`);
+  };
+  const checkPoints = (points, path, minLength) => {
+    if (!Array.isArray(points)) {
+      errors.push(`${path} must be an array of points`);
+      return;
+    }
+    if (points.length < minLength) errors.push(`${path} needs at least ${minLength} points`);
+    points.forEach((p, i) => {
+      if (!isObject(p)) {
+        errors.push(`${path}[${i}] must be a point {x, y}`);
+        return;
+      }
+      checkNumber(p.x, `${path}[${i}].x`);
+      checkNumber(p.y, `${path}[${i}].y`);
+      if (p.widthLeft !== undefined) checkNumber(p.widthLeft, `${path}[${i}].widthLeft`, { positive: true });
+      if (p.widthRight !== undefined) checkNumber(p.widthRight, `${path}[${i}].widthRight`, { positive: true });
+    });
+  };
+
+  if (track.type !== TRACK_FILE_TYPE) errors.push(`type must be "${TRACK_FILE_TYPE}"`);
+  if (track.version !== TRACK_FILE_VERSION) errors.push(`version must be ${TRACK_FILE_VERSION}`);
+
+  if (!isObject(track.metadata)) {
+    errors.push('metadata must be an object');
+  } else {
+    for (const key of ['name', 'description']) {
+      if (typeof track.metadata[key] !== 'string') errors.push(`metadata.${key} must be a string`);
+    }
+    for (const key of ['created', 'modified']) {
+      const value = track.metadata[key];
+      if (value !== null && (typeof value !== 'string' || isNaN(Date.parse(value)))) {
+        errors.push(`metadata.${key} must be an ISO date or null`);
+      }
+    }
+  }
+  if (track.units !== 'metric' && track.units !== 'imperial') errors.push('units must be "metric" or "imperial"');
+
+  checkPoints(track.trackPoints, 'trackPoints', 0);
+  if (typeof track.closed !== 'boolean') errors.push('closed must be true or false');
+  checkNumber(track.trackWidth, 'trackWidth', { positive: true });
+  checkNumber(track.metersPerPixel, 'metersPerPixel', { positive: true });
+  if (track.racingLine !== null) checkPoints(track.racingLine, 'racingLine', 2);
+
+  if (track.optimizer !== null) {
+    const run = track.optimizer;
+    if (!isObject(run)) {
+      errors.push('optimizer must be an object or null');
+    } else {
+      if (!OPTIMIZER_ALGORITHMS.includes(run.algorithm)) {
+        errors.push(`optimizer.algorithm must be one of ${OPTIMIZER_ALGORITHMS.join(', ')}`);
+      }
+      if (!Number.isInteger(run.seed) || run.seed < 0) errors.push('optimizer.seed must be a non-negative integer');
+      if (!Number.isInteger(run.iterations) || run.iterations <= 0) errors.push('optimizer.iterations must be a positive integer');
+    }
+  }
+
+  if (track.kart !== null) {
+    if (!isObject(track.kart)) {
+      errors.push('kart must be an object or null');
+    } else {
+      try {
+        parseKartProfile({ type: PROFILE_FILE_TYPE, name: 'track kart', params: track.kart });
+      } catch (err) {
+        errors.push('kart: ' + err.message);
+      }
+    }
+  }
+
+  if (track.geoReference !== null) {
+    const geo = track.geoReference;
+    if (!isObject(geo)) {
+      errors.push('geoReference must be an object or null');
+    } else {
+      checkNumber(geo.lat, 'geoReference.lat', { min: -90, max: 90 });
+      checkNumber(geo.lon, 'geoReference.lon', { min: -180, max: 180 });
+      checkNumber(geo.x, 'geoReference.x');
+      checkNumber(geo.y, 'geoReference.y');
+      checkNumber(geo.metersPerPixel, 'geoReference.metersPerPixel', { positive: true });
+    }
+  }
+
+  if (track.background !== null) {
+    const bg = track.background;
+    if (!isObject(bg)) {
+      errors.push('background must be an object or null');
+    } else {
+      if (typeof bg.source !== 'string' || !bg.source) errors.push('background.source must be a file name or URL');
+      checkNumber(bg.x, 'background.x');
+      checkNumber(bg.y, 'background.y');
+      checkNumber(bg.scale, 'background.scale', { positive: true });
+      checkNumber(bg.rotation, 'background.rotation');
+      checkNumber(bg.opacity, 'background.opacity', { min: 0, max: 1 });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Read a track file: migrate it to the current version and validate it
+ * A malformed file throws with every problem listed, before anything is loaded
+ * @param {Object|string} data - Track file contents (parsed JSON object or JSON text)
+ * @returns {Object} Track at TRACK_FILE_VERSION
+ */
+function parseTrackFile(data) {
+  const track = migrateTrack(typeof data === 'string' ? JSON.parse(data) : data);
+  const errors = validateTrack(track);
+  if (errors.length > 0) {
+    throw new Error('Invalid track file:\n- ' + errors.join('\n- '));
+  }
+  // Keep only the kart parameters KartPhysics knows
+  if (track.kart) track.kart = parseKartProfile({ type: PROFILE_FILE_TYPE, name: 'track kart', params: track.kart }).params;
+  return track;
+}
+
+// Export for Node/Jest testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TRACK_FILE_TYPE,
+    TRACK_FILE_VERSION,
+    migrateTrack,
+    validateTrack,
+    parseTrackFile
+  };
+}
@@ -16,6 +16,8 @@ class CanvasManager {
     this.webglRenderer = null;
     this.editMode = false;
     this.draggingPoint = null;
+    this.selectedPoint = null; // point whose width handles are shown in edit mode
+    this.draggingWidth = null; // 'left' or 'right' while dragging a width handle
     
     // Set up high-DPI support for mobile
     this.setupHighDPI();
@@ -24,8 +26,32 @@ class CanvasManager {
     this.isDrawing = false;
     this.trackPoints = [];
     this.racingLine = null;
+    this.closedLoop = false; // track wraps from last point back to first
+    this.trackWidth = 6; // full track width (meters) used to draw the kerbs
+    this.metersPerPixel = 1; // world scale of canvas coordinates
+    this.optimizerRun = null; // {algorithm, seed, iterations} that produced racingLine
+    this.previewLine = null; // intermediate line while an optimization runs
+    this.highlightPoint = null; // {x, y} picked on the telemetry charts
+    this.referenceLine = null; // pinned line the current one is compared against
+    this.geoReference = null; // {lat, lon, x, y, metersPerPixel} for tracks built from GPS
+    // Background image to trace over: {image, source, x, y, scale, rotation, opacity} with
+    // x/y its centre in world pixels, scale world pixels per image pixel, rotation in degrees
+    this.background = null;
+    this.pendingBackground = null; // placement loaded from a track file, waiting for its image
+    this.movingBackground = false; // left-drag moves the background instead of drawing
+    this.draggingBackground = null; // last drag position {x, y}
+    this.trackMetadata = { name: '', description: '', created: null }; // kept from the loaded file
+    
+    // Scale calibration: two clicks mark a known real-world distance
+    this.calibrating = false;
+    this.calibrationPoints = [];
+    this.onCalibrationComplete = null;
     this.showApexes = false;
     this.showSpeedHeat = false;
+    this.showZones = false;
+    this.heatmapChannel = 'speed'; // key of HEATMAP_CHANNELS
+    this.colorScale = 'redGreen'; // key of COLOR_SCALES, also colours the racing line
+    this.units = 'metric'; // for the heatmap legend
     
     // History for undo/redo - initialize with empty state
     this.history = [{
@@ -33,6 +59,7 @@ class CanvasManager {
       racingLine: null
     }];
     this.historyIndex = 0;
+    this.onHistoryChange = null; // called after every edit, undo and redo (e.g. to autosave)
     
     this.setupEventListeners();
   }
@@ -119,12 +146,23 @@ class CanvasManager {
    */
   handleMouseDown(e) {
     const coords = this.getCanvasCoords(e);
-    if (e.button === 0) {
+    if (e.button === 0 && this.calibrating) {
+      this.addCalibrationPoint(coords);
+    } else if (e.button === 0 && this.movingBackground && this.background) {
+      this.draggingBackground = coords;
+    } else if (e.button === 0) {
       // Left click - draw or select point when in edit mode
       if (this.editMode) {
+        const handle = this.findWidthHandle(coords.x, coords.y, 8);
+        if (handle) {
+          this.draggingWidth = handle;
+          return;
+        }
         const idx = this.findNearestPointIndex(coords.x, coords.y, 8);
         if (idx >= 0) {
           this.draggingPoint = idx;
+          this.selectedPoint = idx;
+          this.render();
         } else {
           this.addTrackPoint(coords.x, coords.y);
           this.isDrawing = true;
@@ -158,6 +196,20 @@ class CanvasManager {
       this.render();
     }
 
+    if (this.draggingWidth) {
+      const coords = this.getCanvasCoords(e);
+      this.setEdgeWidth(this.selectedPoint, this.draggingWidth, coords);
+      this.render();
+    }
+
+    if (this.draggingBackground) {
+      const coords = this.getCanvasCoords(e);
+      this.background.x += coords.x - this.draggingBackground.x;
+      this.background.y += coords.y - this.draggingBackground.y;
+      this.draggingBackground = coords;
+      this.render();
+    }
+
     if (this.isPanning) {
       const dx = e.clientX - this.lastX;
       const dy = e.clientY - this.lastY;
@@ -175,10 +227,15 @@ class CanvasManager {
   handleMouseUp(e) {
     this.isDrawing = false;
     this.isPanning = false;
+    this.draggingBackground = null;
     if (this.draggingPoint != null) {
       this.draggingPoint = null;
       this.saveToHistory();
     }
+    if (this.draggingWidth) {
+      this.draggingWidth = null;
+      this.saveToHistory();
+    }
   }
   
   /**
@@ -225,6 +282,92 @@ class CanvasManager {
     this.isPanning = false;
   }
 
+  /**
+   * Start scale calibration: the next two clicks mark a known distance
+   * @param {Function} onComplete - Called with the two picked points {x, y}
+   */
+  startCalibration(onComplete) {
+    this.calibrating = true;
+    this.calibrationPoints = [];
+    this.onCalibrationComplete = onComplete;
+    this.render();
+  }
+
+  /**
+   * Record a calibration click and finish after the second one
+   */
+  addCalibrationPoint(coords) {
+    this.calibrationPoints.push(coords);
+    this.render();
+    if (this.calibrationPoints.length < 2) return;
+
+    const [a, b] = this.calibrationPoints;
+    const onComplete = this.onCalibrationComplete;
+    this.calibrating = false;
+    this.calibrationPoints = [];
+    this.onCalibrationComplete = null;
+    if (onComplete) onComplete(a, b);
+  }
+
+  /**
+   * Enable or disable point editing
+   */
+  setEditMode(enabled) {
+    this.editMode = enabled;
+    if (!enabled) this.selectedPoint = null;
+    this.render();
+  }
+
+  /**
+   * Get the edge handle positions for a track point (where its kerbs are)
+   */
+  getWidthHandles(idx) {
+    const closed = this.closedLoop && this.trackPoints.length > 2;
+    const point = this.trackPoints[idx];
+    const direction = tangentAt(this.trackPoints, idx, closed);
+    const widths = edgeWidths(point, this.trackWidth, this.metersPerPixel);
+    return {
+      left: perpendicularOffset(point, direction, -widths.left),
+      right: perpendicularOffset(point, direction, widths.right)
+    };
+  }
+
+  /**
+   * Find which width handle of the selected point is under the cursor
+   * @returns {string|null} 'left', 'right' or null
+   */
+  findWidthHandle(x, y, threshold = 8) {
+    if (this.selectedPoint == null || this.selectedPoint >= this.trackPoints.length) return null;
+    if (this.trackPoints.length < 2) return null;
+
+    const handles = this.getWidthHandles(this.selectedPoint);
+    for (const side of ['left', 'right']) {
+      if (Math.hypot(handles[side].x - x, handles[side].y - y) <= threshold) return side;
+    }
+    return null;
+  }
+
+  /**
+   * Set the distance from a track point to one edge, measured along
+   * the track normal through that point
+   */
+  setEdgeWidth(idx, side, coords) {
+    const closed = this.closedLoop && this.trackPoints.length > 2;
+    const point = this.trackPoints[idx];
+    const direction = tangentAt(this.trackPoints, idx, closed);
+    const len = Math.hypot(direction.x, direction.y) || 1;
+
+    // Signed distance along the right-hand normal (perpendicularOffset convention)
+    const offset = ((coords.x - point.x) * -direction.y + (coords.y - point.y) * direction.x) / len;
+    // Widths are stored in meters
+    const width = Math.max(0.5, (side === 'right' ? offset : -offset) * this.metersPerPixel);
+    if (side === 'right') {
+      point.widthRight = width;
+    } else {
+      point.widthLeft = width;
+    }
+  }
+
   findNearestPointIndex(x, y, threshold = 8) {
     let best = -1;
     let bestDist = Infinity;
@@ -278,6 +421,10 @@ class CanvasManager {
   clearTrack() {
     this.trackPoints = [];
     this.racingLine = null;
+    this.optimizerRun = null;
+    this.geoReference = null;
+    this.selectedPoint = null;
+    this.trackMetadata = { name: '', description: '', created: null };
     this.saveToHistory();
     this.render();
   }
@@ -324,6 +471,7 @@ class CanvasManager {
       this.history.shift();
       this.historyIndex--;
     }
+    if (this.onHistoryChange) this.onHistoryChange();
   }
   
   /**
@@ -335,6 +483,7 @@ class CanvasManager {
       this.trackPoints = JSON.parse(JSON.stringify(state.trackPoints));
       this.racingLine = state.racingLine ? JSON.parse(JSON.stringify(state.racingLine)) : null;
     }
+    if (this.onHistoryChange) this.onHistoryChange();
   }
   
   /**
@@ -358,30 +507,38 @@ class CanvasManager {
 
     // If WebGL rendering is enabled and available, let it draw the main lines
     if (this.useWebGL && this.webglRenderer && this.webglRenderer.gl) {
+      // The WebGL canvas has no 2D context, so the background goes on the overlay (at its opacity)
+      if (this.background && this.overlayCtx) {
+        this.overlayCtx.save();
+        this.overlayCtx.translate(this.panX, this.panY);
+        this.overlayCtx.scale(this.scale, this.scale);
+        this.drawBackground(this.overlayCtx);
+        this.overlayCtx.restore();
+      }
       if (this.trackPoints.length > 0) this.webglRenderer.drawLine(this.trackPoints, [0.3,0.3,0.3,1]);
+      if (this.referenceLine && this.referenceLine.length > 1) this.webglRenderer.drawLine(this.referenceLine, [0.6,0.2,0.8,1]);
       if (this.racingLine && this.racingLine.length > 0) this.webglRenderer.drawLine(this.racingLine, [0.0,0.7,0.0,1]);
+      if (this.previewLine && this.previewLine.length > 1) this.webglRenderer.drawLine(this.previewLine, [0.0,0.4,0.8,1]);
       // draw overlays using 2D context
       if (this.overlayCtx) {
-        // clear overlay entirely
-        this.overlayCtx.save();
-        this.overlayCtx.setTransform(1,0,0,1,0,0);
-        this.overlayCtx.clearRect(0,0,this.overlay.width,this.overlay.height);
-        this.overlayCtx.restore();
-
         this.overlayCtx.save();
         this.overlayCtx.translate(this.panX, this.panY);
         this.overlayCtx.scale(this.scale, this.scale);
-        if (this.showApexes && this.racingLine) this.drawApexPoints(this.racingLine);
-        if (this.showSpeedHeat && this.racingLine) this.drawSpeedHeatmap(this.racingLine);
+        if (this.showZones && this.racingLine) this.drawZones(this.racingLine);
+        if (this.showApexes && this.racingLine) this.drawCorners(this.racingLine);
+        if (this.showSpeedHeat && this.racingLine) this.drawHeatmap(this.racingLine);
         this.overlayCtx.restore();
       } else {
         this.ctx.save();
         this.ctx.translate(this.panX, this.panY);
         this.ctx.scale(this.scale, this.scale);
-        if (this.showApexes && this.racingLine) this.drawApexPoints(this.racingLine);
-        if (this.showSpeedHeat && this.racingLine) this.drawSpeedHeatmap(this.racingLine);
+        if (this.showZones && this.racingLine) this.drawZones(this.racingLine);
+        if (this.showApexes && this.racingLine) this.drawCorners(this.racingLine);
+        if (this.showSpeedHeat && this.racingLine) this.drawHeatmap(this.racingLine);
         this.ctx.restore();
       }
+      if (this.showSpeedHeat && this.racingLine) this.drawHeatmapLegend();
+      this.drawHighlightPoint();
       return;
     }
 
@@ -390,9 +547,12 @@ class CanvasManager {
     this.ctx.translate(this.panX, this.panY);
     this.ctx.scale(this.scale, this.scale);
 
-    // Draw grid and lines in 2D
+    // Draw background, grid and lines in 2D
+    this.drawBackground(this.ctx);
     this.drawGrid();
     if (this.trackPoints.length > 0) this.drawTrack(this.trackPoints);
+    if (this.calibrationPoints.length > 0) this.drawCalibration();
+    if (this.referenceLine && this.referenceLine.length > 1) this.drawReferenceLine(this.referenceLine);
     if (this.racingLine && this.racingLine.length > 0) {
       this.drawRacingLine(this.racingLine);
       // Draw overlays (apexes / heatmap) to overlay canvas if present
@@ -400,16 +560,139 @@ class CanvasManager {
         this.overlayCtx.save();
         this.overlayCtx.translate(this.panX, this.panY);
         this.overlayCtx.scale(this.scale, this.scale);
-        if (this.showApexes) this.drawApexPoints(this.racingLine);
-        if (this.showSpeedHeat) this.drawSpeedHeatmap(this.racingLine);
+        if (this.showZones) this.drawZones(this.racingLine);
+        if (this.showApexes) this.drawCorners(this.racingLine);
+        if (this.showSpeedHeat) this.drawHeatmap(this.racingLine);
         this.overlayCtx.restore();
       } else {
-        if (this.showApexes) this.drawApexPoints(this.racingLine);
-        if (this.showSpeedHeat) this.drawSpeedHeatmap(this.racingLine);
+        if (this.showZones) this.drawZones(this.racingLine);
+        if (this.showApexes) this.drawCorners(this.racingLine);
+        if (this.showSpeedHeat) this.drawHeatmap(this.racingLine);
       }
     }
+    if (this.previewLine && this.previewLine.length > 1) this.drawPreviewLine(this.previewLine);
 
     this.ctx.restore();
+    if (this.showSpeedHeat && this.racingLine) this.drawHeatmapLegend();
+    this.drawHighlightPoint();
+  }
+
+  /**
+   * Use an image as the background to trace over
+   * Without a placement, one loaded from a track file for the same source is
+   * restored; otherwise the image is fitted to the current view at half opacity.
+   *
+   * @param {HTMLImageElement} image - Loaded image
+   * @param {string} source - File name or URL the image came from (saved in the track JSON)
+   * @param {Object} placement - Optional {x, y, scale, rotation, opacity}
+   */
+  setBackground(image, source, placement = null) {
+    const pending = this.pendingBackground;
+    if (placement) {
+      this.background = { rotation: 0, opacity: 0.5, ...placement, image, source };
+    } else if (pending && pending.source === source) {
+      this.background = { ...pending, image };
+    } else {
+      const viewWidth = this.displayWidth / this.scale;
+      const viewHeight = this.displayHeight / this.scale;
+      this.background = {
+        image,
+        source,
+        x: (this.displayWidth / 2 - this.panX) / this.scale,
+        y: (this.displayHeight / 2 - this.panY) / this.scale,
+        scale: 0.9 * Math.min(viewWidth / image.width, viewHeight / image.height),
+        rotation: 0,
+        opacity: 0.5
+      };
+    }
+    this.pendingBackground = null;
+    this.render();
+  }
+
+  /**
+   * Remove the background image
+   */
+  removeBackground() {
+    this.background = null;
+    this.pendingBackground = null;
+    this.movingBackground = false;
+    this.render();
+  }
+
+  /**
+   * Background placement as saved in the track JSON (the image itself is saved by its source)
+   */
+  backgroundPlacement() {
+    if (!this.background) return this.pendingBackground;
+    const { source, x, y, scale, rotation, opacity } = this.background;
+    return { source, x, y, scale, rotation, opacity };
+  }
+
+  /**
+   * Draw the background image in world coordinates, so it stays aligned under pan and zoom
+   */
+  drawBackground(ctx) {
+    const bg = this.background;
+    if (!bg) return;
+    ctx.save();
+    ctx.globalAlpha = bg.opacity;
+    ctx.translate(bg.x, bg.y);
+    ctx.rotate(bg.rotation * Math.PI / 180);
+    ctx.scale(bg.scale, bg.scale);
+    ctx.drawImage(bg.image, -bg.image.width / 2, -bg.image.height / 2);
+    ctx.restore();
+  }
+
+  /**
+   * Mark the spot hovered on the telemetry charts
+   */
+  drawHighlightPoint() {
+    if (!this.highlightPoint) return;
+    const ctx = this.overlayCtx || this.ctx;
+    ctx.save();
+    ctx.translate(this.panX, this.panY);
+    ctx.scale(this.scale, this.scale);
+    ctx.strokeStyle = '#333';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.lineWidth = 2 / this.scale;
+    ctx.beginPath();
+    ctx.arc(this.highlightPoint.x, this.highlightPoint.y, 7 / this.scale, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+  }
+  
+  /**
+   * Draw the pinned reference line under the current one
+   */
+  drawReferenceLine(points) {
+    const closed = this.closedLoop && points.length > 2;
+    this.ctx.save();
+    this.ctx.strokeStyle = 'rgba(153, 51, 204, 0.7)';
+    this.ctx.lineWidth = 3;
+    this.ctx.beginPath();
+    this.ctx.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < points.length; i++) this.ctx.lineTo(points[i].x, points[i].y);
+    if (closed) this.ctx.closePath();
+    this.ctx.stroke();
+    this.ctx.restore();
+  }
+  
+  /**
+   * Draw the optimizer's intermediate line (dashed) over the current one
+   */
+  drawPreviewLine(points) {
+    const closed = this.closedLoop && points.length > 2;
+    this.ctx.save();
+    this.ctx.strokeStyle = '#0066cc';
+    this.ctx.lineWidth = 2;
+    this.ctx.setLineDash([6, 4]);
+    this.ctx.beginPath();
+    this.ctx.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < points.length; i++) this.ctx.lineTo(points[i].x, points[i].y);
+    if (closed) this.ctx.closePath();
+    this.ctx.stroke();
+    this.ctx.restore();
   }
   
   /**
@@ -449,7 +732,13 @@ class CanvasManager {
     if (points.length < 2) return;
     
     // Smooth the track using interpolation
-    const smoothPoints = interpolate(points, 5);
+    const closed = this.closedLoop && points.length > 2;
+    const smoothPoints = interpolate(points, 5, closed);
+    
+    // Draw kerbs along the left and right edges
+    const edges = trackEdges(points, this.trackWidth, closed, this.metersPerPixel);
+    this.drawKerb(interpolate(edges.left, 5, closed), closed);
+    this.drawKerb(interpolate(edges.right, 5, closed), closed);
     
     // Draw centerline
     this.ctx.strokeStyle = '#333333';
@@ -460,6 +749,7 @@ class CanvasManager {
     for (let i = 1; i < smoothPoints.length; i++) {
       this.ctx.lineTo(smoothPoints[i].x, smoothPoints[i].y);
     }
+    if (closed) this.ctx.closePath();
     this.ctx.stroke();
     
     // Draw points
@@ -467,6 +757,73 @@ class CanvasManager {
     for (let point of points) {
       this.ctx.fillRect(point.x - 2, point.y - 2, 4, 4);
     }
+    
+    // Width handles for the selected point in edit mode
+    if (this.editMode && this.selectedPoint != null && this.selectedPoint < points.length) {
+      this.drawWidthHandles(this.selectedPoint);
+    }
+  }
+  
+  /**
+   * Draw the left/right edge handles of a track point
+   */
+  drawWidthHandles(idx) {
+    const point = this.trackPoints[idx];
+    const handles = this.getWidthHandles(idx);
+    
+    this.ctx.save();
+    this.ctx.strokeStyle = '#0066ff';
+    this.ctx.lineWidth = 1;
+    this.ctx.beginPath();
+    this.ctx.moveTo(handles.left.x, handles.left.y);
+    this.ctx.lineTo(handles.right.x, handles.right.y);
+    this.ctx.stroke();
+    
+    this.ctx.fillStyle = '#0066ff';
+    this.ctx.fillRect(point.x - 3, point.y - 3, 6, 6);
+    for (const side of ['left', 'right']) {
+      this.ctx.beginPath();
+      this.ctx.arc(handles[side].x, handles[side].y, 4, 0, Math.PI * 2);
+      this.ctx.fill();
+    }
+    this.ctx.restore();
+  }
+  
+  /**
+   * Draw the picked calibration point(s)
+   */
+  drawCalibration() {
+    this.ctx.save();
+    this.ctx.fillStyle = '#9900cc';
+    for (const p of this.calibrationPoints) {
+      this.ctx.beginPath();
+      this.ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
+      this.ctx.fill();
+    }
+    this.ctx.restore();
+  }
+  
+  /**
+   * Draw one track edge as a red/white kerb
+   */
+  drawKerb(edge, closed) {
+    if (edge.length < 2) return;
+    
+    this.ctx.save();
+    this.ctx.lineWidth = 2;
+    this.ctx.beginPath();
+    this.ctx.moveTo(edge[0].x, edge[0].y);
+    for (let i = 1; i < edge.length; i++) {
+      this.ctx.lineTo(edge[i].x, edge[i].y);
+    }
+    if (closed) this.ctx.closePath();
+    
+    this.ctx.strokeStyle = '#cc0000';
+    this.ctx.stroke();
+    this.ctx.strokeStyle = '#ffffff';
+    this.ctx.setLineDash([4, 4]);
+    this.ctx.stroke();
+    this.ctx.restore();
   }
   
   /**
@@ -476,104 +833,250 @@ class CanvasManager {
     if (points.length < 2) return;
     
     // Smooth the racing line
-    const smoothPoints = interpolate(points, 5);
-    
-    // Calculate speeds along line for coloring
-    const speeds = [];
-    for (let i = 0; i < smoothPoints.length - 1; i++) {
-      const p1 = smoothPoints[i];
-      const p2 = smoothPoints[i + 1];
-      const p3 = smoothPoints[Math.min(i + 2, smoothPoints.length - 1)];
-      
-      const radius = radiusOfCurvature(p1, p2, p3);
-      const speed = kart.maxCornerSpeed(radius);
-      speeds.push(speed);
-    }
+    const closed = this.closedLoop && points.length > 2;
+    const smoothPoints = interpolate(points, 5, closed);
+    const segmentCount = closed ? smoothPoints.length : smoothPoints.length - 1;
     
-    const maxSpeed = Math.max(...speeds);
+    // Speeds along line for coloring, from the lap simulation
+    const speeds = simulateRacingLine(smoothPoints, { closed, metersPerPixel: this.metersPerPixel }).speeds;
+    const minSpeed = Math.min(...speeds);
+    const span = Math.max(...speeds) - minSpeed;
     
-    // Draw segments with color gradient based on speed
-    for (let i = 0; i < smoothPoints.length - 1; i++) {
-      const speed = speeds[i];
-      const speedRatio = speed / maxSpeed;
-      
-      // Red (slow) to green (fast)
-      const hue = speedRatio * 120; // 0=red, 120=green
-      this.ctx.strokeStyle = `hsl(${hue}, 100%, 50%)`;
+    // Draw segments coloured from the slowest (low end of the scale) to the fastest
+    for (let i = 0; i < segmentCount; i++) {
+      const speed = (speeds[i] + speeds[(i + 1) % speeds.length]) / 2;
+      this.ctx.strokeStyle = scaleColor(span > 0 ? (speed - minSpeed) / span : 1, this.colorScale);
       this.ctx.lineWidth = 3;
       
+      const next = pointAt(smoothPoints, i + 1, closed);
       this.ctx.beginPath();
       this.ctx.moveTo(smoothPoints[i].x, smoothPoints[i].y);
-      this.ctx.lineTo(smoothPoints[i + 1].x, smoothPoints[i + 1].y);
+      this.ctx.lineTo(next.x, next.y);
       this.ctx.stroke();
     }
   }
   
   /**
-   * Draw apex points (tight corners)
+   * Draw numbered corners: turn-in (blue), apex (orange) and exit (green)
    */
-  drawApexPoints(points) {
-    const apexes = findApexes(points);
+  drawCorners(points) {
+    if (points.length < 3 || this.trackPoints.length < 3) return;
     const ctx = this.overlayCtx || this.ctx;
+    const closed = this.closedLoop && points.length > 2;
+    const trackData = { points: this.trackPoints, closed: this.closedLoop && this.trackPoints.length > 2, metersPerPixel: this.metersPerPixel };
+    const lap = simulateRacingLine(points, { closed, metersPerPixel: this.metersPerPixel });
+    const corners = analyzeCorners(points, trackData, lap);
 
-    ctx.fillStyle = '#ff6600';
-    for (let idx of apexes) {
-      const point = points[idx];
+    const dot = (p, radius, color) => {
+      ctx.fillStyle = color;
       ctx.beginPath();
-      ctx.arc(point.x, point.y, 3, 0, Math.PI * 2);
+      ctx.arc(p.x, p.y, radius, 0, Math.PI * 2);
       ctx.fill();
+    };
+    ctx.font = 'bold 12px sans-serif';
+    for (const corner of corners) {
+      dot(corner.turnIn, 2.5, '#0066cc');
+      dot(corner.exit, 2.5, '#00aa55');
+      dot(corner.apex, 3.5, '#ff6600');
+      ctx.fillStyle = '#333';
+      ctx.fillText(corner.name, corner.apex.x + 6, corner.apex.y - 6);
     }
   }
   
   /**
-   * Draw speed heatmap
+   * Draw braking (red), cornering (yellow) and full-throttle (green) zones as
+   * bands along the line, with a bar at each brake point and distance boards
+   * beside the line counting down to the corner entry
    */
-  drawSpeedHeatmap(points) {
-    // Similar to racing line coloring but with stronger visual
+  drawZones(points) {
+    if (points.length < 2) return;
     const ctx = this.overlayCtx || this.ctx;
-    ctx.globalAlpha = 0.3;
-    for (let i = 0; i < points.length - 1; i++) {
-      const p1 = points[i];
-      const p2 = points[i + 1];
-      const p3 = points[Math.min(i + 2, points.length - 1)];
+    const closed = this.closedLoop && points.length > 2;
+    const n = points.length;
+    const lap = simulateRacingLine(points, { closed, metersPerPixel: this.metersPerPixel });
+    const colors = { brake: 'rgba(220, 30, 30, 0.4)', corner: 'rgba(240, 190, 0, 0.4)', throttle: 'rgba(0, 170, 60, 0.4)' };
 
-      const radius = radiusOfCurvature(p1, p2, p3);
-      const speed = kart.maxCornerSpeed(radius);
-      const maxSpeed = 25; // ~90 km/h
-      const speedRatio = Math.min(1, speed / maxSpeed);
+    ctx.save();
+    ctx.lineWidth = 12;
+    ctx.lineJoin = 'round';
+    for (const zone of findDrivingZones(lap, closed, kart.topSpeed())) {
+      // A zone covering a whole closed lap ends where it starts
+      const steps = closed ? ((zone.end - zone.start + n) % n || n) : zone.end - zone.start;
+      ctx.strokeStyle = colors[zone.phase];
+      ctx.beginPath();
+      ctx.moveTo(points[zone.start].x, points[zone.start].y);
+      for (let step = 1; step <= steps; step++) {
+        const p = pointAt(points, zone.start + step, closed);
+        ctx.lineTo(p.x, p.y);
+      }
+      ctx.stroke();
+    }
 
-      const hue = speedRatio * 120;
-      ctx.fillStyle = `hsl(${hue}, 100%, 50%)`;
+    ctx.font = 'bold 10px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (const brake of findBrakePoints(points, lap, closed, kart.topSpeed())) {
+      // Bar across the line where braking starts
+      const across = { x: -Math.sin(brake.heading) * 9, y: Math.cos(brake.heading) * 9 };
+      ctx.strokeStyle = '#cc0000';
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.moveTo(brake.x - across.x, brake.y - across.y);
+      ctx.lineTo(brake.x + across.x, brake.y + across.y);
+      ctx.stroke();
 
+      // Boards stand on the driver's right
+      for (const board of brake.boards) {
+        const x = board.x - Math.sin(board.heading) * 18;
+        const y = board.y + Math.cos(board.heading) * 18;
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.fillRect(x - 10, y - 7, 20, 14);
+        ctx.strokeRect(x - 10, y - 7, 20, 14);
+        ctx.fillStyle = '#333';
+        ctx.fillText(String(board.distance), x, y);
+      }
+    }
+    ctx.restore();
+  }
+  
+  /**
+   * Draw the heatmap of the selected channel (speed, lateral g or
+   * throttle/brake state) from the line's lap simulation
+   */
+  drawHeatmap(points) {
+    const ctx = this.overlayCtx || this.ctx;
+    const closed = this.closedLoop && points.length > 2;
+    const lap = simulateRacingLine(points, { closed, metersPerPixel: this.metersPerPixel });
+    const heat = heatmapValues(lap, this.heatmapChannel, kart.topSpeed());
+    this.heatmapLegend = heat;
+    ctx.globalAlpha = 0.4;
+    for (let i = 0; i < points.length; i++) {
+      ctx.fillStyle = heatmapColor(heat, i, this.colorScale);
       ctx.beginPath();
-      ctx.arc(p2.x, p2.y, 5, 0, Math.PI * 2);
+      ctx.arc(points[i].x, points[i].y, 5, 0, Math.PI * 2);
       ctx.fill();
     }
     ctx.globalAlpha = 1;
   }
   
   /**
-   * Save track to JSON
+   * Draw the legend of the last heatmap in the bottom-left corner of the view
+   */
+  drawHeatmapLegend() {
+    const heat = this.heatmapLegend;
+    if (!heat) return;
+    const ctx = this.overlayCtx || this.ctx;
+    const x = 10;
+    const y = this.displayHeight - 56;
+    
+    ctx.save();
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.fillRect(x, y, 180, 46);
+    ctx.font = '11px sans-serif';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#333';
+    ctx.fillText(HEATMAP_CHANNELS[heat.channel].label, x + 6, y + 10);
+    
+    if (heat.categories) {
+      const labels = { brake: 'Brake', corner: 'Corner', throttle: 'Throttle' };
+      Object.keys(labels).forEach((key, k) => {
+        ctx.fillStyle = heat.categories[key];
+        ctx.fillRect(x + 6 + k * 58, y + 24, 12, 12);
+        ctx.fillStyle = '#333';
+        ctx.fillText(labels[key], x + 22 + k * 58, y + 30);
+      });
+    } else {
+      const barWidth = 100;
+      for (let k = 0; k < barWidth; k++) {
+        ctx.fillStyle = scaleColor(k / (barWidth - 1), this.colorScale);
+        ctx.fillRect(x + 40 + k, y + 22, 1, 10);
+      }
+      const format = (v) => {
+        if (heat.channel === 'latG') return v.toFixed(1) + ' g';
+        return this.units === 'metric' ? (v * 3.6).toFixed(0) : (v * 2.23694).toFixed(0);
+      };
+      ctx.fillStyle = '#333';
+      ctx.textAlign = 'right';
+      ctx.fillText(format(heat.min), x + 36, y + 27);
+      ctx.textAlign = 'left';
+      ctx.fillText(format(heat.max), x + 144, y + 27);
+      if (heat.channel === 'speed') {
+        ctx.fillText(this.units === 'metric' ? 'km/h' : 'mph', x + 40, y + 40);
+      }
+    }
+    ctx.restore();
+  }
+  
+  /**
+   * Save track to JSON in the current track file format (see trackSchema.js)
+   * @param {Object} settings - {kart, units}: app settings stored with the track
+   * @returns {Object} Track file
    */
-  saveTrackJSON() {
+  saveTrackJSON(settings = {}) {
+    const now = new Date().toISOString();
     return {
+      type: TRACK_FILE_TYPE,
+      version: TRACK_FILE_VERSION,
+      metadata: {
+        name: this.trackMetadata.name,
+        description: this.trackMetadata.description,
+        created: this.trackMetadata.created || now,
+        modified: now
+      },
+      units: settings.units || 'metric',
       trackPoints: this.trackPoints,
+      closed: this.closedLoop,
+      trackWidth: this.trackWidth,
+      metersPerPixel: this.metersPerPixel,
       racingLine: this.racingLine,
-      timestamp: new Date().toISOString()
+      optimizer: this.optimizerRun,
+      kart: settings.kart || null,
+      geoReference: this.geoReference,
+      background: this.backgroundPlacement()
     };
   }
   
   /**
    * Load track from JSON
+   * Older files are migrated and the file is validated before anything
+   * changes, so a malformed file throws and leaves the canvas as it was.
+   *
+   * @param {Object|string} data - Track file contents
+   * @returns {Object} The track at the current version (for its kart and units)
    */
   loadTrackJSON(data) {
-    if (data.trackPoints) {
-      this.trackPoints = JSON.parse(JSON.stringify(data.trackPoints));
-    }
-    if (data.racingLine) {
-      this.racingLine = JSON.parse(JSON.stringify(data.racingLine));
+    const track = parseTrackFile(data);
+    this.trackPoints = track.trackPoints;
+    this.racingLine = track.racingLine;
+    this.closedLoop = track.closed;
+    this.trackWidth = track.trackWidth;
+    this.metersPerPixel = track.metersPerPixel;
+    this.optimizerRun = track.optimizer;
+    this.geoReference = track.geoReference;
+    this.trackMetadata = {
+      name: track.metadata.name,
+      description: track.metadata.description,
+      created: track.metadata.created
+    };
+    // The background image is restored when its source is loaded again
+    this.background = null;
+    this.pendingBackground = track.background;
+    // A loop stored with a repeated start point would get a zero-length closing segment
+    const pts = this.trackPoints;
+    if (this.closedLoop && pts.length > 3 && distance(pts[0], pts[pts.length - 1]) < 1e-6) {
+      pts.pop();
     }
     this.saveToHistory();
     this.render();
+    return track;
   }
 }
+
+// Export for Node/Jest testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CanvasManager
+  };
+}